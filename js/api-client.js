@@ -0,0 +1,135 @@
+// === Claims API Client ===
+// Pluggable backend used to talk to the claims service. The default backend
+// sends requests over HTTP to `baseUrl` (see server/mock-api.js for a local
+// mock). Another backend can be plugged in with ClaimBackend.use(backend) as
+// long as it implements the same methods.
+
+// Error raised by a backend. `status` is the HTTP status (0 for network errors),
+// `retryable` tells whether trying again later may succeed.
+class ClaimApiError extends Error {
+	constructor(message, { status = 0, retryable = false, details = [] } = {}) {
+		super(message);
+		this.name = 'ClaimApiError';
+		this.status = status;
+		this.retryable = retryable;
+		this.details = details; // [{ field, message }] from server validation
+	}
+}
+
+class HttpClaimBackend {
+	constructor(options = {}) {
+		this.baseUrl = (options.baseUrl || 'api').replace(/\/+$/, '');
+		this.maxRetries = options.maxRetries ?? 3;
+		this.retryBaseDelay = options.retryBaseDelay ?? 500; // ms, doubled on each retry
+		this.timeout = options.timeout ?? 30000;
+	}
+
+	// POST a claim as multipart form data (see claimPartsToFormData).
+	// `idempotencyKey` lets the server recognise a retried submission.
+	async submitClaim(body, { idempotencyKey } = {}) {
+		const headers = {};
+		if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+		return this.request('/claims', { method: 'POST', body, headers });
+	}
+
+	// Current status and status history of a submitted claim. The ID number on the
+	// claim must match; otherwise the server answers 404.
+	async getClaimStatus(referenceNumber, idNumber) {
+		return this.request('/claims/lookup', {
+			method: 'POST',
+			body: JSON.stringify({ referenceNumber, idNumber }),
+			headers: { 'Content-Type': 'application/json' }
+		});
+	}
+
+	async request(path, { method = 'GET', body, headers = {} } = {}) {
+		let attempt = 0;
+		for (;;) {
+			try {
+				return await this.send(path, { method, body, headers });
+			} catch (error) {
+				if (!error.retryable || attempt >= this.maxRetries) throw error;
+				const delay = error.retryAfter ?? this.retryBaseDelay * Math.pow(2, attempt);
+				attempt++;
+				console.warn(`Claims API request failed (${error.message}), retry ${attempt}/${this.maxRetries} in ${delay}ms`);
+				await new Promise(resolve => setTimeout(resolve, delay));
+			}
+		}
+	}
+
+	async send(path, { method, body, headers }) {
+		const controller = new AbortController();
+		const timer = setTimeout(() => controller.abort(), this.timeout);
+		let response;
+		try {
+			response = await fetch(`${this.baseUrl}${path}`, { method, body, headers, signal: controller.signal });
+		} catch (e) {
+			const message = e.name === 'AbortError' ? 'Request timed out' : 'Network error';
+			throw new ClaimApiError(message, { status: 0, retryable: true });
+		} finally {
+			clearTimeout(timer);
+		}
+
+		let payload = null;
+		try {
+			payload = await response.json();
+		} catch (e) {
+			payload = null;
+		}
+
+		if (response.ok) return payload;
+
+		const message = (payload && payload.error) || `Request failed with status ${response.status}`;
+		const details = (payload && payload.details) || [];
+		// Server errors, timeouts and rate limiting are worth retrying; other 4xx are not
+		const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+		const error = new ClaimApiError(message, { status: response.status, retryable, details });
+		const retryAfter = Number(response.headers.get('Retry-After'));
+		if (retryAfter > 0) error.retryAfter = retryAfter * 1000;
+		throw error;
+	}
+}
+
+// Parts of a claim submission, kept as plain data so they can also be stored
+// in IndexedDB while waiting to be sent (see SubmissionQueue):
+//   claim       - JSON of the claim form data (signature excluded)
+//   attachments - one { name, blob } per uploaded file
+//   signature   - PNG of the claimant's signature, when present
+//   claimForm   - PDF of the signed claim form (see ClaimPdf), when present
+// `sources` names the attachment each value read from a document came from (see ClaimModel).
+function buildClaimParts({ claimId, formData, files = [], signature = null, claimForm = null, sources = {} }) {
+	const { claimSignature, ...claim } = formData;
+	return {
+		claim: JSON.stringify({
+			claimId,
+			formData: claim,
+			sources,
+			attachments: files.map(({ meta }) => ({ id: meta.id, name: meta.name, size: meta.size, originalSize: meta.originalSize, type: meta.type, sha256: meta.sha256, category: meta.category, receiptTotal: meta.receiptTotal }))
+		}),
+		attachments: files.map(({ meta, blob }) => ({ name: meta.name, blob })),
+		signature,
+		claimForm
+	};
+}
+
+// Multipart body for a claim submission
+function claimPartsToFormData(parts) {
+	const body = new FormData();
+	body.append('claim', parts.claim);
+	parts.attachments.forEach(({ name, blob }) => body.append('attachments', blob, name));
+	if (parts.signature) body.append('signature', parts.signature, 'signature.png');
+	if (parts.claimForm) body.append('claimForm', parts.claimForm, 'claim-form.pdf');
+	return body;
+}
+
+// Active backend; configure with window.CLAIM_API_CONFIG = { baseUrl, maxRetries, ... }.
+// `self` so this file also loads in the service worker.
+const ClaimBackend = {
+	current: new HttpClaimBackend(self.CLAIM_API_CONFIG || {}),
+	use(backend) {
+		this.current = backend;
+	},
+	get() {
+		return this.current;
+	}
+};
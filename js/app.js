@@ -1,173 +1,163 @@
-// === IndexedDB Helper for File Storage ===
-const IDBHelper = {
-	db: null,
-	dbName: 'osworld_claims_db',
-	storeName: 'files',
-	async open() {
-		if (this.db) return this.db;
-		return new Promise((resolve, reject) => {
-			const req = indexedDB.open(this.dbName, 1);
-			req.onupgradeneeded = () => {
-				req.result.createObjectStore(this.storeName, { keyPath: 'id' });
-			};
-			req.onsuccess = () => {
-				this.db = req.result;
-				resolve(this.db);
-			};
-			req.onerror = () => reject(req.error);
-		});
-	},
-	async putFile(id, file) {
-		const db = await this.open();
-		return new Promise((resolve, reject) => {
-			const tx = db.transaction(this.storeName, 'readwrite');
-			tx.objectStore(this.storeName).put({ id, file });
-			tx.oncomplete = resolve;
-			tx.onerror = reject;
-		});
-	},
-	async getFile(id) {
-		const db = await this.open();
-		return new Promise((resolve, reject) => {
-			const tx = db.transaction(this.storeName, 'readonly');
-			const req = tx.objectStore(this.storeName).get(id);
-			req.onsuccess = () => resolve(req.result ? req.result.file : null);
-			req.onerror = reject;
-		});
-	},
-	async deleteFile(id) {
-		const db = await this.open();
-		return new Promise((resolve, reject) => {
-			const tx = db.transaction(this.storeName, 'readwrite');
-			tx.objectStore(this.storeName).delete(id);
-			tx.oncomplete = resolve;
-			tx.onerror = reject;
-		});
-	}
-};
-
 // Main JavaScript code for Insurance Claim Application
 
 // Global state management
 const AppState = {
+	claimId: null, // id of the draft being edited
 	currentStep: 1,
 	maxSteps: 3,
 	formData: {},
-	uploadedFiles: []
+	uploadedFiles: [],
+	fieldSources: {}, // form key -> { value, attachmentId, confidence } for values taken from a document
+	ocrSuggestions: [] // suggestions from uploaded photos waiting for the user (see ClaimOcr)
 };
 
 // Data storage manager
 class DataStorage {
 	constructor() {
-		this.storageKey = 'insurance-claim-data';
+		this.claimId = null;
 		this.autoSaveInterval = null;
 		this.isSubmitted = false; // Flag to track if claim was submitted
+		this.ready = null; // Resolves once the draft is loaded and its legacy files are migrated
+		this.previewUrls = new Map(); // file id -> Promise of an object URL for its thumbnail
+		this.ocrScanned = new Set(); // ids of attachments already read by ClaimOcr
+		this.ocrQueue = Promise.resolve(); // scans run one after another
+		this.ocrStatus = null; // { key, params } of the message shown in #ocr-status
 		this.init();
 	}
 
 	init() {
-		// Load data from local storage
-		this.loadFromStorage();
-        
+		// Work on the draft named in the URL, or start a new one
+		this.claimId = this.resolveClaimId();
+		AppState.claimId = this.claimId;
+
+		// Encrypted claim data can only be loaded once the PIN is entered (see PinLock)
+		this.ready = PinLock.unlockPage().then(() => {
+			// Load data from local storage
+			const migrated = this.loadFromStorage();
+			this.startAutoSave();
+			return migrated;
+		});
+	}
+
+	startAutoSave() {
 		// Auto-save periodically (only if not submitted)
 		this.autoSaveInterval = setInterval(() => {
 			if (!this.isSubmitted) {
 				this.saveToStorage();
 			}
 		}, 30000); // Auto-save every 30 seconds
+	}
 
-		// Try to register service worker for runtime data access
-		if ('serviceWorker' in navigator) {
-			// Use relative path so the service worker can be found when the site
-			// is served from a subdirectory like /Insurance-Claim-System/
-			navigator.serviceWorker.register('sw.js').then(reg => {
-				console.log('Service Worker registered:', reg.scope);
-			}).catch(err => console.warn('Service worker registration failed:', err));
+	// Stop saving once the claim has been handed over for submission
+	stopAutoSave() {
+		this.isSubmitted = true;
+		if (this.autoSaveInterval) {
+			clearInterval(this.autoSaveInterval);
+			this.autoSaveInterval = null;
 		}
 	}
 
+	resolveClaimId() {
+		const fromUrl = DraftStore.idFromUrl();
+		if (fromUrl) return fromUrl;
+
+		// Data saved before drafts existed becomes a draft of its own
+		const id = DraftStore.migrateLegacy() || DraftStore.generateId();
+		// Reflect the claim in the URL so a reload resumes the same draft
+		const url = new URL(window.location.href);
+		url.searchParams.set('claim', id);
+		window.history.replaceState(null, '', url);
+		return id;
+	}
+
 	saveToStorage() {
-		// Don't save if claim has been submitted
-		if (this.isSubmitted) {
+		// Don't save if claim has been submitted, or over encrypted data before it is unlocked
+		if (this.isSubmitted || ClaimEncryption.locked()) {
 			return;
 		}
         
 		try {
-			// Save metadata only (avoid storing binary data in localStorage)
+			// Save metadata only (avoid storing binary data in localStorage); attachments
+			// keep their id, a reference into IndexedDB
 			const dataToSave = {
-				formData: AppState.formData,
-				uploadedFiles: AppState.uploadedFiles.map(file => ({
-					id: file.id, // reference into IndexedDB
-					name: file.name,
-					size: file.size,
-					type: file.type
-				})),
+				schemaVersion: ClaimModel.schemaVersion,
+				claim: ClaimModel.fromForm(AppState.formData, AppState.uploadedFiles, AppState.fieldSources),
+				currentStep: AppState.currentStep,
 				timestamp: new Date().toISOString()
 			};
 
-			localStorage.setItem(this.storageKey, JSON.stringify(dataToSave));
+			DraftStore.saveData(this.claimId, dataToSave);
 			console.log('Metadata saved to local storage');
 		} catch (error) {
 			console.error('Failed to save data:', error);
 			// If metadata save fails, notify user
 			if (!this.isSubmitted) {
-				this.showMessage('Failed to save metadata, please check storage space', 'error');
+				this.showMessage(I18n.t('message.saveFailed'), 'error');
 			}
 		}
 	}
 
+	// Resolves with the number of legacy files migrated
 	loadFromStorage() {
 		try {
-			const savedData = localStorage.getItem(this.storageKey);
-			if (savedData) {
-				const parsedData = JSON.parse(savedData);
-				AppState.formData = parsedData.formData || {};
-				AppState.uploadedFiles = parsedData.uploadedFiles || [];
+			const parsedData = DraftStore.loadData(this.claimId);
+			if (parsedData) {
+				const { formData, uploadedFiles, fieldSources } = ClaimModel.toForm(parsedData.claim);
+				AppState.formData = formData;
+				AppState.uploadedFiles = uploadedFiles;
+				AppState.fieldSources = fieldSources;
+				AppState.currentStep = Math.min(Math.max(parsedData.currentStep || 1, 1), AppState.maxSteps);
 				console.log('Metadata loaded from local storage');
 
-				// Migrate any legacy entries that still have base64 data saved elsewhere
-				// If an entry contains a 'data' property (legacy), convert to Blob and store in IndexedDB
-				const self = this;
-				(async function migrateLegacy() {
-					let migrated = false;
-					for (let i = 0; i < AppState.uploadedFiles.length; i++) {
-						const f = AppState.uploadedFiles[i];
-						if (f && f.data) {
-							try {
-								// convert base64/dataURL to blob
-								const parts = f.data.split(',');
-								const base64 = parts[1] || '';
-								const byteCharacters = atob(base64);
-								const byteNumbers = new Array(byteCharacters.length);
-								for (let j = 0; j < byteCharacters.length; j++) byteNumbers[j] = byteCharacters.charCodeAt(j);
-								const byteArray = new Uint8Array(byteNumbers);
-								const blob = new Blob([byteArray], { type: f.type || 'application/octet-stream' });
-								// generate id and put into IndexedDB via helper
-								const id = `file-${Date.now()}-${Math.random().toString(36).slice(2,9)}`;
-								try {
-									await IDBHelper.putFile(id, blob);
-									AppState.uploadedFiles[i] = { id: id, name: f.name, size: f.size, type: f.type };
-									migrated = true;
-									console.log('Migrated legacy file to IndexedDB', f.name);
-								} catch (e) {
-									console.error('Migration to IDB failed for', f.name, e);
-								}
-							} catch (e) {
-								console.error('Failed to convert legacy data for', f.name, e);
-							}
-						}
-					}
-					if (migrated) {
-						// Save updated metadata (without legacy data fields)
-						try { self.saveToStorage(); } catch(e) { console.error('Failed to save metadata after migration', e); }
-					}
-				})();
+				// Move any legacy base64 entries into IndexedDB before files are used
+				const migrated = this.migrateLegacyFiles();
 
 				this.fillFormData();
+				return migrated;
 			}
 		} catch (error) {
 			console.error('Failed to load data:', error);
 		}
+		return Promise.resolve(0);
+	}
+
+	// Bring attachments saved by older versions up to date: entries that still carry a
+	// base64 'data' property move into IndexedDB as Blobs, and files without a content
+	// hash get one. Resolves with the number of updated files.
+	async migrateLegacyFiles() {
+		let migrated = 0;
+		for (let i = 0; i < AppState.uploadedFiles.length; i++) {
+			const f = AppState.uploadedFiles[i];
+			if (!f || (!f.data && f.sha256)) continue;
+			try {
+				if (f.data) {
+					const blob = dataUrlToBlob(f.data, f.type);
+					const id = f.id || generateFileId();
+					await IDBHelper.putFile(id, blob, this.claimId);
+					AppState.uploadedFiles[i] = { id, name: f.name, size: f.size, originalSize: f.originalSize, type: f.type, sha256: await FileInspector.sha256(blob), category: f.category, receiptTotal: f.receiptTotal };
+					console.log('Migrated legacy file to IndexedDB', f.name);
+				} else {
+					const blob = await this.getFileBlob(f);
+					if (!blob) continue;
+					f.sha256 = await FileInspector.sha256(blob);
+				}
+				migrated++;
+			} catch (e) {
+				console.error('Migration to IDB failed for', f.name, e);
+			}
+		}
+		if (migrated > 0) {
+			// Save updated metadata (without legacy data fields)
+			this.saveToStorage();
+			this.displayUploadedFiles();
+		}
+		return migrated;
+	}
+
+	// Load a file's content from IndexedDB on demand
+	async getFileBlob(file) {
+		if (!file || !file.id) return null;
+		return IDBHelper.getFile(file.id);
 	}
 
 	fillFormData() {
@@ -193,15 +183,10 @@ class DataStorage {
 			});
 		}
 
-		// Restore payee type selection
-		if (AppState.formData.payeeType) {
-			document.querySelectorAll('[data-payee]').forEach(btn => {
-				btn.classList.remove('active');
-				if (btn.dataset.payee === AppState.formData.payeeType) {
-					btn.classList.add('active');
-				}
-			});
-		}
+		// Restore the expenses and payees. Expenses come first: rendering the payees reads
+		// the form back, which would otherwise pick up the cards of the previous expenses.
+		renderExpenses();
+		renderPayees();
 
 		// Restore policy source selection
 		if (AppState.formData.policySource) {
@@ -213,15 +198,15 @@ class DataStorage {
 			});
 			// show policy number input if necessary
 			const pg = document.getElementById('policy-number-group');
-			if (pg) pg.style.display = AppState.formData.policySource === 'self' ? 'block' : 'none';
+			if (pg) pg.hidden = AppState.formData.policySource !== 'self';
 		}
 
-		// Restore incident selection (legacy key 'accident-situation' or new key 'incident')
-		const incidentKey = AppState.formData['accident-situation'] || AppState.formData.incident;
+		// Restore incident selection
+		const incidentKey = AppState.formData.incident;
 		if (incidentKey) {
 			document.querySelectorAll('.incident-btn').forEach(btn => btn.classList.remove('active'));
 			const btn = document.querySelector(`.incident-btn[data-incident="${incidentKey}"]`);
-			if (btn) { btn.classList.add('active'); const map = { 'common-accident':'incident-extra-common','traffic-accident':'incident-extra-traffic','ordinary-illness':'incident-extra-ordinary-illness','serious-illness':'incident-extra-serious-illness' }; const id = map[incidentKey]; if (id) document.getElementById(id).style.display = 'block'; }
+			if (btn) { btn.classList.add('active'); const map = { 'common-accident':'incident-extra-common','traffic-accident':'incident-extra-traffic','ordinary-illness':'incident-extra-ordinary-illness','serious-illness':'incident-extra-serious-illness' }; const id = map[incidentKey]; if (id) document.getElementById(id).hidden = false; }
 		}
 
 		// Restore traffic motor select if exists
@@ -232,13 +217,18 @@ class DataStorage {
 
 		// Restore file list
 		this.displayUploadedFiles();
+
+		// Resume at the step the draft was saved on
+		updateStepDisplay();
 	}
 
 	clearStorage() {
 		this.isSubmitted = true; // Mark as submitted to stop auto-saving
-		localStorage.removeItem(this.storageKey);
+		DraftStore.remove(this.claimId);
 		AppState.formData = {};
 		AppState.uploadedFiles = [];
+		AppState.fieldSources = {};
+		AppState.ocrSuggestions = [];
         
 		// Clear the auto-save interval
 		if (this.autoSaveInterval) {
@@ -248,151 +238,434 @@ class DataStorage {
 		console.log('Data cleared');
 	}
 
-	exportToFile() {
+	// Empty every field and restore the default selections, before other data is filled in
+	resetForm() {
+		document.querySelectorAll('.form-section input, .form-section select, .form-section textarea').forEach(element => {
+			if (element.type === 'checkbox') element.checked = false;
+			else if (element.type !== 'file') element.value = '';
+		});
+		document.querySelectorAll('.type-btn[data-type], .policy-btn, .incident-btn').forEach(btn => {
+			btn.classList.toggle('active', btn.matches('[data-type="self"], [data-source="recommend"]'));
+		});
+		document.querySelectorAll('.incident-extra').forEach(el => { el.hidden = true; });
+		const pg = document.getElementById('policy-number-group');
+		if (pg) pg.hidden = true;
+		document.querySelectorAll('.error-summary').forEach(summary => summary.remove());
+		document.querySelectorAll('.field-feedback').forEach(feedback => clearFieldFeedback(feedback.id.replace(/-feedback$/, '')));
+	}
+
+	// Replace the draft's data and attachments with an imported claim (see ClaimImport).
+	// Returns the names of attachments that were not accepted.
+	async applyImport({ formData, attachments, fieldSources = {} }) {
+		await this.ready;
+		this.releasePreviews();
+		for (const file of AppState.uploadedFiles) await IDBHelper.deleteFile(file.id);
+		await IDBHelper.deleteFile(ClaimPdf.fileId(this.claimId));
+
+		const rejected = [];
+		const uploadedFiles = [];
+		const newIds = new Map(); // attachment id in the imported claim -> id in this draft
+		for (const file of attachments) {
+			const type = FileInspector.sniffType(new Uint8Array(await file.blob.slice(0, 16).arrayBuffer()));
+			if (type !== file.type || !fileHandler.allowedTypes.includes(type) || file.blob.size > fileHandler.maxFileSize) {
+				rejected.push(file.name);
+				continue;
+			}
+			const id = generateFileId();
+			await IDBHelper.putFile(id, file.blob, this.claimId);
+			if (file.id) newIds.set(file.id, id);
+			uploadedFiles.push({ id, name: file.name, size: file.blob.size, originalSize: file.originalSize, type: file.type, sha256: await FileInspector.sha256(file.blob), category: file.category, receiptTotal: file.receiptTotal });
+		}
+
+		AppState.formData = formData;
+		AppState.uploadedFiles = uploadedFiles;
+		// Expenses stay linked to their receipts under the new ids
+		(formData.expenses || []).forEach(expense => {
+			const receipt = newIds.get(expense['expense-receipt']);
+			if (receipt) expense['expense-receipt'] = receipt;
+			else delete expense['expense-receipt'];
+		});
+		AppState.fieldSources = {};
+		Object.entries(fieldSources).forEach(([key, source]) => {
+			if (newIds.has(source.attachmentId)) AppState.fieldSources[key] = { ...source, attachmentId: newIds.get(source.attachmentId) };
+		});
+		AppState.ocrSuggestions = [];
+		AppState.currentStep = 1;
+		this.resetForm();
+		this.fillFormData();
+		this.saveToStorage();
+		return rejected;
+	}
+
+	// Download the whole claim (data, signature, claim form and attachments) as one ZIP
+	async exportToFile() {
 		try {
-			const timestamp = new Date().toISOString().split('T')[0];
-			const baseFileName = `Insurance_Claim_Data_${timestamp}`;
-            
-			// Prepare data for JSON export (without base64 data to reduce file size)
-			const dataToExport = {
-				formData: AppState.formData,
-				uploadedFiles: AppState.uploadedFiles.map(file => ({
-					name: file.name,
-					size: file.size,
-					type: file.type,
-					// Remove the base64 data from JSON export since we're saving files separately
-					dataRemoved: true,
-					note: "Original file saved separately"
-				})),
-				exportTime: new Date().toISOString(),
-				note: "Uploaded files are saved as separate files alongside this JSON"
-			};
-            
-			// Export JSON file
-			const dataStr = JSON.stringify(dataToExport, null, 2);
-			const dataBlob = new Blob([dataStr], { type: 'application/json' });
-            
-			const jsonLink = document.createElement('a');
-			jsonLink.href = URL.createObjectURL(dataBlob);
-			jsonLink.download = `${baseFileName}.json`;
-            
-			// Add to DOM, click, then remove
-			document.body.appendChild(jsonLink);
-			jsonLink.click();
-			document.body.removeChild(jsonLink);
-            
-			// Clean up URL
-			setTimeout(() => URL.revokeObjectURL(jsonLink.href), 100);
-            
-			// Export each uploaded file separately
-			this.exportUploadedFiles(baseFileName);
-            
-			this.showMessage('Data and files exported successfully', 'success');
+			await this.ready;
+			const exportedAt = new Date().toISOString();
+			const blob = await ClaimExport.build({
+				claimId: this.claimId,
+				claim: ClaimModel.fromForm(AppState.formData, AppState.uploadedFiles, AppState.fieldSources),
+				files: await this.attachmentBlobs(),
+				claimForm: await IDBHelper.getFile(ClaimPdf.fileId(this.claimId)),
+				exportedAt
+			});
+			ClaimExport.download(blob, ClaimExport.fileName(exportedAt));
+			this.showMessage(I18n.t('message.exportSucceeded'), 'success');
 		} catch (error) {
 			console.error('Failed to export data:', error);
-			this.showMessage('Data export failed', 'error');
+			this.showMessage(I18n.t('message.exportFailed'), 'error');
 		}
 	}
 
-	exportUploadedFiles(baseFileName) {
-		if (AppState.uploadedFiles.length === 0) {
-			console.log('No uploaded files to export');
-			return;
+	// Every uploaded file with its content, as [{ meta, blob }]
+	async attachmentBlobs() {
+		await this.ready;
+		const files = [];
+		for (const meta of AppState.uploadedFiles) {
+			const blob = await this.getFileBlob(meta);
+			if (!blob) throw new Error(`File content not found: ${meta.name}`);
+			files.push({ meta, blob });
 		}
+		return files;
+	}
 
-		console.log(`Starting to export ${AppState.uploadedFiles.length} files`);
-        
-		// Create a small delay between downloads to avoid browser blocking
-		AppState.uploadedFiles.forEach((file, index) => {
-			setTimeout(() => {
-				try {
-					console.log(`Exporting file ${index + 1}: ${file.name}`);
-                    
-					// Convert base64 back to blob
-					const base64Data = file.data.split(',')[1];
-					const byteCharacters = atob(base64Data);
-					const byteNumbers = new Array(byteCharacters.length);
-                    
-					for (let i = 0; i < byteCharacters.length; i++) {
-						byteNumbers[i] = byteCharacters.charCodeAt(i);
-					}
-                    
-					const byteArray = new Uint8Array(byteNumbers);
-					const blob = new Blob([byteArray], { type: file.type });
-                    
-					// Create download link for the original file
-					const link = document.createElement('a');
-					link.href = URL.createObjectURL(blob);
-                    
-					// Generate safe filename: baseFileName_index_originalName
-					const fileExtension = file.name.split('.').pop();
-					const fileNameWithoutExt = file.name.replace(`.${fileExtension}`, '');
-					const safeFileName = `${baseFileName}_file${index + 1}_${this.sanitizeFileName(fileNameWithoutExt)}.${fileExtension}`;
-                    
-					link.download = safeFileName;
-                    
-					// Add to DOM, click, then remove
-					document.body.appendChild(link);
-					link.click();
-					document.body.removeChild(link);
-                    
-					// Clean up the blob URL
-					setTimeout(() => URL.revokeObjectURL(link.href), 100);
-                    
-					console.log(`File exported: ${safeFileName}`);
-                    
-				} catch (error) {
-					console.error(`Failed to export file ${file.name}:`, error);
-					this.showMessage(`Failed to export file: ${file.name}`, 'error');
-				}
-			}, index * 500); // 500ms delay between each file download
+	// Submission parts with the form data, every attachment, the signature and the claim form PDF
+	async buildSubmission() {
+		const files = await this.attachmentBlobs();
+		const signatureUrl = AppState.formData.claimSignature;
+		const signature = signatureUrl ? dataUrlToBlob(signatureUrl, 'image/png') : null;
+		// Signed claim form; kept with the claim so the success page can offer it for download
+		const claimForm = await ClaimPdf.createBlob({
+			claimId: this.claimId,
+			formData: AppState.formData,
+			files: AppState.uploadedFiles,
+			generatedAt: new Date().toISOString(),
+			locale: I18n.locale
 		});
+		await IDBHelper.putFile(ClaimPdf.fileId(this.claimId), claimForm, this.claimId);
+		const sources = ClaimModel.fromForm(AppState.formData, AppState.uploadedFiles, AppState.fieldSources).sources;
+		return buildClaimParts({ claimId: this.claimId, formData: AppState.formData, files, signature, claimForm, sources });
 	}
 
-	// Helper function to create safe filenames
-	sanitizeFileName(fileName) {
-		// Remove or replace characters that are not safe for filenames
-		return fileName.replace(/[<>:"/\\|?*]/g, '_').replace(/\s+/g, '_');
+	// Public API to return current claim data (used by page or SW): redacted, or in full
+	// where the page allows it (see ClaimRedaction.forAccess)
+	getClaimData({ mode = 'redacted' } = {}) {
+		return ClaimRedaction.forAccess({
+			schemaVersion: ClaimModel.schemaVersion,
+			claimId: this.claimId,
+			claim: ClaimModel.fromForm(AppState.formData, AppState.uploadedFiles, AppState.fieldSources),
+			timestamp: new Date().toISOString()
+		}, mode);
 	}
 
-	// Public API to return current claim data (used by page or SW)
-	getClaimData() {
+	// The full claim for a JSON export the user starts, to be imported again (see
+	// ClaimImport). Attachments are listed without their content; the ZIP export has both.
+	getExportData() {
 		return {
-			formData: AppState.formData,
-			uploadedFiles: AppState.uploadedFiles,
-			timestamp: new Date().toISOString()
+			schemaVersion: ClaimModel.schemaVersion,
+			claimId: this.claimId,
+			exportedAt: new Date().toISOString(),
+			redacted: false,
+			claim: ClaimModel.fromForm(AppState.formData, AppState.uploadedFiles, AppState.fieldSources)
 		};
 	}
 
 	displayUploadedFiles() {
+		this.renderDocumentChecklist();
+		this.renderOcrPanel();
+		// The receipts an expense can be linked to
+		renderExpenses();
 		const fileList = document.getElementById('file-list');
 		if (!fileList) return;
 
-		fileList.innerHTML = '';
-		AppState.uploadedFiles.forEach((file, index) => {
-			const fileItem = document.createElement('div');
-			fileItem.className = 'file-item';
-			fileItem.innerHTML = `
-				<div class="file-info">
-					<i class="fas ${this.getFileIcon(file.type)}"></i>
-					<div>
-						<div class="file-name">${file.name}</div>
-						<div class="file-size">${this.formatFileSize(file.size)}</div>
-					</div>
-				</div>
-				<button class="file-remove" onclick="storage.removeFile(${index})">
-					<i class="fas fa-times"></i>
-				</button>
-			`;
-			fileList.appendChild(fileItem);
+		// Clicks and category changes are handled on the list (see FileHandler.initFileActions)
+		SafeDom.replace(fileList, AppState.uploadedFiles.map((file, index) => {
+			const moveLabel = I18n.t('upload.moveFile', { name: file.name });
+			const size = this.formatFileSize(file.size);
+			// Dragged to reorder (see FileHandler.initReorder)
+			const fileItem = SafeDom.el('div', { class: 'file-item', draggable: 'true', dataset: { index } },
+				SafeDom.el('button', { type: 'button', class: 'file-drag-handle', 'aria-label': moveLabel, title: moveLabel },
+					SafeDom.icon('fa-grip-vertical')),
+				SafeDom.el('div', { class: 'file-info' },
+					SafeDom.el('div', { class: 'file-thumb', dataset: { fileAction: 'preview' } }, SafeDom.icon(this.getFileIcon(file.type))),
+					SafeDom.el('div', {},
+						SafeDom.el('div', { class: 'file-name', dataset: { fileAction: 'preview' } }, file.name),
+						SafeDom.el('div', { class: 'file-size' },
+							file.originalSize && file.originalSize !== file.size
+								? `${size} (${I18n.t('upload.originalSize', { size: this.formatFileSize(file.originalSize) })})`
+								: size))),
+				this.duplicateBadge(file, index),
+				file.receiptTotal && SafeDom.el('span', { class: 'file-receipt-total' },
+					I18n.t('ocr.receiptTotalValue', { amount: this.formatSuggestion({ field: 'receiptTotal', value: file.receiptTotal.amount }) })),
+				SafeDom.el('select', { class: 'file-category', 'aria-label': I18n.t('upload.fileCategory', { name: file.name }), dataset: { fileAction: 'category' } },
+					this.documentCategoryOptions(file.category || 'other')),
+				SafeDom.el('button', { type: 'button', class: 'file-remove', 'aria-label': I18n.t('upload.removeFile', { name: file.name }), dataset: { fileAction: 'remove' } },
+					SafeDom.icon('fa-times')));
+			this.renderThumbnail(fileItem.querySelector('.file-thumb'), file);
+			return fileItem;
+		}));
+	}
+
+	// Object URL of a file's content, kept until the file is removed
+	previewUrl(file) {
+		if (!this.previewUrls.has(file.id)) {
+			this.previewUrls.set(file.id, this.ready
+				.then(() => this.getFileBlob(file))
+				.then(blob => (blob ? URL.createObjectURL(blob) : null)));
+		}
+		return this.previewUrls.get(file.id);
+	}
+
+	releasePreview(id) {
+		const url = this.previewUrls.get(id);
+		this.previewUrls.delete(id);
+		if (url) url.then(value => value && URL.revokeObjectURL(value), () => {});
+	}
+
+	releasePreviews() {
+		Array.from(this.previewUrls.keys()).forEach(id => this.releasePreview(id));
+	}
+
+	// Replace a file's icon with the image itself, or with the first page of a PDF
+	// (where the browser can display PDFs inline)
+	async renderThumbnail(thumb, file) {
+		let url = null;
+		try {
+			url = await this.previewUrl(file);
+		} catch (e) {
+			console.error('Failed to load thumbnail', file.name, e);
+		}
+		if (!url || !thumb.isConnected) return;
+		if (file.type === 'application/pdf') {
+			SafeDom.replace(thumb, SafeDom.el('object', {
+				type: 'application/pdf',
+				data: `${url}#page=1&toolbar=0&navpanes=0&scrollbar=0&view=Fit`,
+				tabindex: '-1',
+				'aria-hidden': 'true'
+			}, SafeDom.icon('fa-file-pdf')));
+		} else if (file.type.startsWith('image/')) {
+			SafeDom.replace(thumb, SafeDom.el('img', { src: url, alt: '', draggable: 'false' }));
+		}
+	}
+
+	// Move an attachment to another position; its number in exports and the claim form follows
+	moveFile(from, to) {
+		const files = AppState.uploadedFiles;
+		if (from === to || from < 0 || to < 0 || from >= files.length || to >= files.length) return false;
+		const [file] = files.splice(from, 1);
+		files.splice(to, 0, file);
+		this.displayUploadedFiles();
+		this.saveToStorage();
+		return true;
+	}
+
+	// Note on a file whose content is identical to an earlier attachment
+	duplicateBadge(file, index) {
+		const duplicate = FileInspector.findDuplicate(AppState.uploadedFiles.slice(0, index), file.sha256);
+		if (!duplicate) return null;
+		return SafeDom.el('span', { class: 'file-duplicate' }, SafeDom.icon('fa-clone'), ' ', I18n.t('upload.duplicateOf', { name: duplicate.name }));
+	}
+
+	// <option>s for every document category, with `selected` preselected
+	documentCategoryOptions(selected) {
+		return ClaimFormSchema.documents.categories.map(category =>
+			SafeDom.el('option', { value: category, selected: category === selected }, I18n.t(`document.category.${category}`))
+		);
+	}
+
+	// Show the documents required for the selected incident type, ticking off the
+	// categories that already have a file, and fill the category picker for new uploads
+	renderDocumentChecklist() {
+		const checklist = document.getElementById('document-checklist');
+		if (checklist) {
+			const data = FormValidator.claimData();
+			const required = ValidationEngine.requiredDocuments(ClaimFormSchema, data);
+			const missing = ValidationEngine.missingDocuments(ClaimFormSchema, data);
+			if (required.length === 0) {
+				SafeDom.replace(checklist, SafeDom.el('li', { class: 'checklist-hint' }, I18n.t('step3.checklistHint')));
+			} else {
+				SafeDom.replace(checklist, required.map(category => {
+					const done = !missing.includes(category);
+					return SafeDom.el('li', { class: done ? 'done' : 'missing' },
+						SafeDom.icon(done ? 'fa-check-circle' : 'fa-circle'),
+						` ${I18n.t(`document.category.${category}`)} `,
+						SafeDom.el('span', { class: 'checklist-status' }, I18n.t(done ? 'step3.checklist.done' : 'step3.checklist.missing')));
+				}));
+			}
+		}
+
+		const picker = document.getElementById('document-category');
+		if (picker) {
+			const current = picker.value;
+			SafeDom.replace(picker, this.documentCategoryOptions(current || this.suggestedDocumentCategory()));
+		}
+	}
+
+	// Category for the next upload: the first required one still missing
+	suggestedDocumentCategory() {
+		const [missing] = ValidationEngine.missingDocuments(ClaimFormSchema, FormValidator.claimData());
+		return missing || 'other';
+	}
+
+	// Move the category picker on to the next missing document
+	suggestDocumentCategory() {
+		const picker = document.getElementById('document-category');
+		if (picker) picker.value = this.suggestedDocumentCategory();
+	}
+
+	setFileCategory(index, category) {
+		const file = AppState.uploadedFiles[index];
+		if (!file) return;
+		file.category = category;
+		this.renderDocumentChecklist();
+		renderExpenses();
+		this.saveToStorage();
+		FormValidator.refreshErrors();
+	}
+
+	// Suggestions that fit the claim as it stands: fields of the selected incident type
+	// whose value differs, and receipt totals of attachments that are still there
+	visibleSuggestions() {
+		return AppState.ocrSuggestions.filter(suggestion => {
+			const file = AppState.uploadedFiles.find(candidate => candidate.id === suggestion.attachmentId);
+			if (!file) return false;
+			if (suggestion.field === 'receiptTotal') return !file.receiptTotal || file.receiptTotal.amount !== suggestion.value;
+			const element = document.getElementById(suggestion.field);
+			const extra = element && element.closest('.incident-extra');
+			return element && !(extra && extra.hidden) && AppState.formData[suggestion.field] !== suggestion.value;
+		});
+	}
+
+	setOcrStatus(key, params = {}) {
+		this.ocrStatus = key ? { key, params } : null;
+		this.renderOcrPanel();
+	}
+
+	// The OCR toggle, its status line and the suggestions waiting to be accepted or rejected.
+	// Recognized text is inserted as text only: it comes from a photo, not from the app.
+	renderOcrPanel() {
+		const toggle = document.getElementById('ocr-enabled');
+		if (toggle) toggle.checked = ClaimOcr.enabled();
+		const status = document.getElementById('ocr-status');
+		if (status) {
+			status.textContent = this.ocrStatus ? I18n.t(this.ocrStatus.key, this.ocrStatus.params) : '';
+			status.hidden = !this.ocrStatus;
+		}
+		const list = document.getElementById('ocr-suggestions');
+		if (!list) return;
+		// Buttons name their action in data-ocr-action and the suggestion in data-suggestion-id
+		SafeDom.replace(list, this.visibleSuggestions().map(suggestion => SafeDom.el('li', { class: 'ocr-suggestion' },
+			SafeDom.el('div', { class: 'ocr-suggestion-text' },
+				SafeDom.el('span', { class: 'ocr-suggestion-field' },
+					I18n.t(suggestion.field === 'receiptTotal' ? 'ocr.receiptTotal' : `field.${suggestion.field}`)),
+				SafeDom.el('strong', { class: 'ocr-suggestion-value' }, this.formatSuggestion(suggestion)),
+				SafeDom.el('span', { class: 'ocr-suggestion-source' },
+					I18n.t('ocr.source', { name: suggestion.attachmentName, confidence: suggestion.confidence }))),
+			SafeDom.el('div', { class: 'ocr-suggestion-actions' },
+				[['accept', 'btn-primary'], ['reject', 'btn-secondary']].map(([action, className]) => SafeDom.el('button', {
+					type: 'button',
+					class: className,
+					dataset: { ocrAction: action, suggestionId: suggestion.id }
+				}, I18n.t(`ocr.${action}`)))))));
+	}
+
+	formatSuggestion({ field, value }) {
+		if (field === 'accident-time') return I18n.formatDateTime(value);
+		if (field === 'receiptTotal') return I18n.formatNumber(Number(value), { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+		return value;
+	}
+
+	// Read an uploaded image for suggestions; scans are queued so only one runs at a time
+	scanForSuggestions(file, blob) {
+		if (this.ocrScanned.has(file.id) || !file.type.startsWith('image/')) return this.ocrQueue;
+		this.ocrScanned.add(file.id);
+		this.ocrQueue = this.ocrQueue.then(async () => {
+			if (!AppState.uploadedFiles.some(candidate => candidate.id === file.id)) return;
+			this.setOcrStatus('ocr.reading', { name: file.name });
+			try {
+				const suggestions = await ClaimOcr.suggest(file, blob || await this.getFileBlob(file));
+				AppState.ocrSuggestions = AppState.ocrSuggestions
+					.filter(existing => !suggestions.some(suggestion => suggestion.id === existing.id))
+					.concat(suggestions);
+				this.setOcrStatus(suggestions.length > 0 ? 'ocr.found' : 'ocr.noneFound', { name: file.name, count: suggestions.length });
+			} catch (e) {
+				console.error('Text recognition failed', file.name, e);
+				this.ocrScanned.delete(file.id);
+				this.setOcrStatus('ocr.failed', { name: file.name });
+			}
 		});
+		return this.ocrQueue;
+	}
+
+	// Turn OCR on or off; when turned on, read the images already uploaded
+	async setOcrEnabled(on) {
+		if (on && !await ClaimOcr.available()) {
+			ClaimOcr.setEnabled(false);
+			this.setOcrStatus('ocr.unavailable');
+			return;
+		}
+		ClaimOcr.setEnabled(on);
+		this.setOcrStatus(null);
+		if (on) {
+			await this.ready;
+			AppState.uploadedFiles.forEach(file => this.scanForSuggestions(file));
+		}
+	}
+
+	// Use a suggested value; the value keeps a link to the document it was read from
+	acceptSuggestion(id) {
+		const suggestion = AppState.ocrSuggestions.find(candidate => candidate.id === id);
+		if (!suggestion) return;
+		AppState.ocrSuggestions = AppState.ocrSuggestions.filter(candidate => candidate.id !== id);
+		const { field, value, attachmentId, confidence } = suggestion;
+		if (field === 'receiptTotal') {
+			const file = AppState.uploadedFiles.find(candidate => candidate.id === attachmentId);
+			if (file) file.receiptTotal = { amount: value, confidence };
+			this.displayUploadedFiles();
+		} else {
+			const element = document.getElementById(field);
+			if (element) element.value = value;
+			AppState.formData[field] = value;
+			AppState.fieldSources[field] = { value, attachmentId, confidence };
+			this.renderOcrPanel();
+		}
+		this.saveToStorage();
+		FormValidator.refreshErrors();
+	}
+
+	rejectSuggestion(id) {
+		AppState.ocrSuggestions = AppState.ocrSuggestions.filter(candidate => candidate.id !== id);
+		this.renderOcrPanel();
 	}
 
-	removeFile(index) {
-		AppState.uploadedFiles.splice(index, 1);
+	async removeFile(index) {
+		const [file] = AppState.uploadedFiles.splice(index, 1);
+		if (file) this.releasePreview(file.id);
+		if (file) AppState.ocrSuggestions = AppState.ocrSuggestions.filter(suggestion => suggestion.attachmentId !== file.id);
+		// Expenses paid against the file lose their receipt
+		(AppState.formData.expenses || []).forEach(expense => {
+			if (file && expense['expense-receipt'] === file.id) delete expense['expense-receipt'];
+		});
 		this.displayUploadedFiles();
 		this.saveToStorage();
-		this.showMessage('File deleted', 'info');
+		FormValidator.refreshErrors();
+		if (file && file.id) {
+			try {
+				await IDBHelper.deleteFile(file.id);
+			} catch (e) {
+				console.error('Failed to delete file from IndexedDB', file.name, e);
+			}
+		}
+		this.showMessage(I18n.t('message.fileDeleted'), 'info');
+	}
+
+	// Open an uploaded file in the full-screen viewer, which pages through all attachments
+	previewFile(index) {
+		if (!AppState.uploadedFiles[index]) return;
+		AttachmentViewer.open([...AppState.uploadedFiles], index, async file => {
+			await this.ready;
+			return this.getFileBlob(file);
+		});
 	}
 
 	getFileIcon(type) {
@@ -402,47 +675,22 @@ class DataStorage {
 	}
 
 	formatFileSize(bytes) {
-		if (bytes === 0) return '0 Bytes';
-		const k = 1024;
-		const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-		const i = Math.floor(Math.log(bytes) / Math.log(k));
-		return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+		return I18n.formatFileSize(bytes);
 	}
 
 	showMessage(message, type = 'info') {
 		// Create message notification
-		const messageDiv = document.createElement('div');
-		messageDiv.className = `message message-${type}`;
-		messageDiv.innerHTML = `
-			<i class="fas ${type === 'error' ? 'fa-exclamation-triangle' : 
-						  type === 'success' ? 'fa-check-circle' : 'fa-info-circle'}"></i>
-			<span>${message}</span>
-		`;
-        
-		// Add styles
-		messageDiv.style.cssText = `
-			position: fixed;
-			top: 100px;
-			left: 50%;
-			transform: translateX(-50%);
-			background: ${type === 'error' ? '#dc3545' : 
-						type === 'success' ? '#28a745' : '#17a2b8'};
-			color: white;
-			padding: 12px 20px;
-			border-radius: 6px;
-			z-index: 1001;
-			display: flex;
-			align-items: center;
-			gap: 8px;
-			box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-			animation: slideDown 0.3s ease-out;
-		`;
+		const icon = type === 'error' ? 'fa-exclamation-triangle' :
+			type === 'success' ? 'fa-check-circle' :
+			type === 'warning' ? 'fa-exclamation-circle' : 'fa-info-circle';
+		// Styled and animated by its classes (see "Message styles" in css/styles.css)
+		const messageDiv = SafeDom.el('div', { class: `message message-${type}` }, SafeDom.icon(icon), SafeDom.el('span', {}, message));
 
 		document.body.appendChild(messageDiv);
 
 		// Auto-hide after 3 seconds
 		setTimeout(() => {
-			messageDiv.style.animation = 'slideUp 0.3s ease-out';
+			messageDiv.classList.add('message-leaving');
 			setTimeout(() => {
 				if (messageDiv.parentNode) {
 					messageDiv.parentNode.removeChild(messageDiv);
@@ -452,62 +700,16 @@ class DataStorage {
 	}
 }
 
-// Form validator with international phone support
+// Form validator: checks the form against ClaimFormSchema, with international phone support
 class FormValidator {
-	static validateStep1() {
-		const errors = [];
-        
-		if (!AppState.formData['insured-name']) {
-			errors.push('Please enter insured person name');
-		}
-        
-		if (!AppState.formData['id-number']) {
-			errors.push('Please enter ID number');
-		}
-        
-		if (!AppState.formData['phone']) {
-			errors.push('Please enter phone number');
-		} else if (!this.isValidInternationalPhone(AppState.formData['phone'])) {
-			errors.push('Please enter a valid international phone number (e.g., +1234567890)');
-		}
-        
-		if (!AppState.formData['accident-time']) {
-			errors.push('Please select incident time');
-		}
-        
-		if (!AppState.formData['accident-situation']) {
-			errors.push('Please select incident situation');
-		}
-        
-		if (!AppState.formData.agreement) {
-			errors.push('Please read and agree to the terms and conditions');
-		}
-        
-		return errors;
+	// Data the schema is checked against: form values plus the uploaded file list
+	static claimData() {
+		return { ...AppState.formData, uploadedFiles: AppState.uploadedFiles };
 	}
 
-	static validateStep2() {
-		const errors = [];
-        
-		if (!AppState.formData['payee-name']) {
-			errors.push('Please enter payee name');
-		}
-        
-		if (!AppState.formData['payee-phone']) {
-			errors.push('Please enter payee phone number');
-		} else if (!this.isValidInternationalPhone(AppState.formData['payee-phone'])) {
-			errors.push('Please enter a valid payee phone number');
-		}
-        
-		if (!AppState.formData['bank-card']) {
-			errors.push('Please enter bank card number');
-		}
-        
-		if (!AppState.formData['bank-name']) {
-			errors.push('Please select bank name');
-		}
-        
-		return errors;
+	// Errors ({ field, step, rule, message }) for the given steps, or every step when omitted
+	static validate(steps) {
+		return ValidationEngine.validate(ClaimFormSchema, this.claimData(), { steps });
 	}
 
 	// International phone number validation supporting various formats
@@ -526,20 +728,90 @@ class FormValidator {
 		return patterns.some(pattern => pattern.test(cleanPhone));
 	}
 
-	static showValidationErrors(errors) {
-		if (errors.length > 0) {
-			storage.showMessage(errors.join('; '), 'error');
-			return false;
+	// Every field errors can be reported on, as { field, step }: the schema's fields and, for
+	// a list of entries, the fields of each entry (`payee-name-0`)
+	static fields() {
+		const fields = [];
+		Object.entries(ClaimFormSchema.fields).forEach(([key, spec]) => {
+			fields.push({ field: key, step: spec.step });
+			if (!spec.items) return;
+			(AppState.formData[key] || []).forEach((entry, index) => {
+				Object.keys(spec.items.fields).forEach(item => fields.push({ field: `${item}-${index}`, step: spec.step }));
+			});
+		});
+		return fields;
+	}
+
+	// Errors in step order, then in the order the fields appear on the form; errors in a
+	// list come after the list's own error, by entry
+	static sortErrors(errors) {
+		const order = Object.keys(ClaimFormSchema.fields);
+		const position = error => {
+			if (!error.group) return [order.indexOf(error.field), 0, 0];
+			const items = Object.keys(ClaimFormSchema.fields[error.group].items.fields);
+			return [order.indexOf(error.group), error.index + 1, items.indexOf(error.key)];
+		};
+		return errors.slice().sort((a, b) => {
+			if (a.step !== b.step) return a.step - b.step;
+			const [pa, pb] = [position(a), position(b)];
+			return pa[0] - pb[0] || pa[1] - pb[1] || pa[2] - pb[2];
+		});
+	}
+
+	// Show errors next to their fields and in a summary at the top of the first step with
+	// errors (switching to it), and focus the first invalid field. Errors on the checked
+	// steps that no longer apply are cleared. Returns true when there are no errors.
+	static showValidationErrors(errors, steps) {
+		const byField = new Map(errors.map(error => [error.field, error]));
+		this.fields().forEach(({ field, step }) => {
+			if (steps && !steps.includes(step)) return;
+			if (byField.has(field)) showFieldFeedback(field, byField.get(field).message);
+			else if (hasFieldError(field)) clearFieldFeedback(field);
+		});
+		for (let step = 1; step <= AppState.maxSteps; step++) {
+			if (!steps || steps.includes(step)) renderErrorSummary(step, []);
 		}
-		return true;
+		if (errors.length === 0) return true;
+
+		const sorted = this.sortErrors(errors);
+		const step = sorted[0].step;
+		if (step !== AppState.currentStep) {
+			AppState.currentStep = step;
+			updateStepDisplay();
+		}
+		renderErrorSummary(step, sorted.filter(error => error.step === step));
+		focusField(sorted[0].field);
+		return false;
+	}
+
+	// Re-check the fields that currently show an error as the user edits: update or clear
+	// their messages and summaries, but never add errors to untouched fields. `reshow` lists
+	// fields whose error was shown on elements that have just been rebuilt.
+	static refreshErrors(reshow = []) {
+		if (reshow.length === 0 && !document.querySelector('.field-feedback-error, .error-summary')) return;
+		collectFormData();
+		const byField = new Map(this.validate().map(error => [error.field, error]));
+		this.fields().forEach(({ field }) => {
+			if (!hasFieldError(field) && !reshow.includes(field)) return;
+			if (byField.has(field)) showFieldFeedback(field, byField.get(field).message);
+			else clearFieldFeedback(field);
+		});
+		document.querySelectorAll('.error-summary').forEach(summary => {
+			const step = Number(summary.dataset.step);
+			renderErrorSummary(step, this.sortErrors([...byField.values()].filter(error => error.step === step && hasFieldError(error.field))));
+		});
 	}
 }
 
 // File handler
 class FileHandler {
 	constructor() {
-		this.maxFileSize = 10 * 1024 * 1024; // 10MB
+		this.maxFileSize = 10 * 1024 * 1024; // 10MB, for the file as it is stored
+		this.maxInputSize = 50 * 1024 * 1024; // 50MB, for photos before they are processed
 		this.allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'];
+		// Photos are turned upright, resized and stripped of metadata before they are stored
+		// (see ImageProcessor); HEIC photos are converted to JPEG
+		this.imageOptions = { ...ImageProcessor.defaults };
 		this.init();
 	}
 
@@ -565,6 +837,100 @@ class FileHandler {
 			uploadZone.addEventListener('drop', this.handleDrop.bind(this));
 			fileInput.addEventListener('change', this.handleFileSelect.bind(this));
 		}
+
+		const fileList = document.getElementById('file-list');
+		if (fileList) {
+			this.initFileActions(fileList);
+			this.initReorder(fileList);
+		}
+
+		const ocrToggle = document.getElementById('ocr-enabled');
+		if (ocrToggle) ocrToggle.addEventListener('change', () => storage.setOcrEnabled(ocrToggle.checked));
+		const ocrList = document.getElementById('ocr-suggestions');
+		if (ocrList) {
+			ocrList.addEventListener('click', e => {
+				const button = e.target.closest('[data-ocr-action]');
+				if (!button) return;
+				if (button.dataset.ocrAction === 'accept') storage.acceptSuggestion(button.dataset.suggestionId);
+				else storage.rejectSuggestion(button.dataset.suggestionId);
+			});
+		}
+	}
+
+	// Preview, remove and categorize uploaded files; the elements name their action in
+	// data-file-action and the file by the data-index of their .file-item
+	initFileActions(fileList) {
+		const fileIndex = target => Number(target.closest('.file-item').dataset.index);
+		fileList.addEventListener('click', e => {
+			const target = e.target.closest('[data-file-action]');
+			if (!target) return;
+			if (target.dataset.fileAction === 'preview') storage.previewFile(fileIndex(target));
+			else if (target.dataset.fileAction === 'remove') storage.removeFile(fileIndex(target));
+		});
+		fileList.addEventListener('change', e => {
+			const target = e.target.closest('[data-file-action="category"]');
+			if (target) storage.setFileCategory(fileIndex(target), target.value);
+		});
+	}
+
+	// Reorder uploaded files by dragging them in the list, or with the arrow keys on
+	// a file's drag handle
+	initReorder(fileList) {
+		let dragged = null;
+		const items = () => Array.from(fileList.querySelectorAll('.file-item'));
+		const clearMarkers = () => items().forEach(item => item.classList.remove('dragging', 'drop-before', 'drop-after'));
+		// Position the dragged file would be inserted at, counted in the list before the move
+		const dropIndex = y => {
+			const index = items().findIndex(item => {
+				const rect = item.getBoundingClientRect();
+				return y < rect.top + rect.height / 2;
+			});
+			return index < 0 ? items().length : index;
+		};
+
+		fileList.addEventListener('dragstart', e => {
+			const item = e.target.closest('.file-item');
+			if (!item) return;
+			dragged = Number(item.dataset.index);
+			e.dataTransfer.effectAllowed = 'move';
+			// Firefox only starts a drag that carries data
+			e.dataTransfer.setData('text/plain', AppState.uploadedFiles[dragged].name);
+			item.classList.add('dragging');
+		});
+		fileList.addEventListener('dragover', e => {
+			if (dragged === null) return;
+			e.preventDefault();
+			e.dataTransfer.dropEffect = 'move';
+			const list = items();
+			const index = dropIndex(e.clientY);
+			list.forEach(item => item.classList.remove('drop-before', 'drop-after'));
+			if (index < list.length) list[index].classList.add('drop-before');
+			else list[list.length - 1].classList.add('drop-after');
+		});
+		fileList.addEventListener('drop', e => {
+			if (dragged === null) return;
+			e.preventDefault();
+			const index = dropIndex(e.clientY);
+			const from = dragged;
+			dragged = null;
+			clearMarkers();
+			storage.moveFile(from, index > from ? index - 1 : index);
+		});
+		fileList.addEventListener('dragend', () => {
+			dragged = null;
+			clearMarkers();
+		});
+
+		fileList.addEventListener('keydown', e => {
+			const handle = e.target.closest('.file-drag-handle');
+			const delta = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+			if (!handle || !delta) return;
+			e.preventDefault();
+			const index = Number(handle.closest('.file-item').dataset.index);
+			if (storage.moveFile(index, index + delta)) {
+				fileList.querySelector(`.file-item[data-index="${index + delta}"] .file-drag-handle`).focus();
+			}
+		});
 	}
 
 	handleDragOver(e) {
@@ -587,51 +953,69 @@ class FileHandler {
 	}
 
 	async processFiles(files) {
-		for (const file of files) {
-			if (!this.validateFile(file)) continue;
-            
+		const picker = document.getElementById('document-category');
+		const category = (picker && picker.value) || 'other';
+		for (const selected of files) {
 			try {
-				const fileData = await this.readFileAsBase64(file);
+				// Judge the file by its content, not by the type the browser guessed from its name
+				const file = await FileInspector.withDetectedType(selected);
+				if (!this.validateFile(file)) continue;
+				if (file.type === 'application/pdf') await FileInspector.checkPdf(file);
+
+				if (ImageProcessor.canProcess(file)) storage.showMessage(I18n.t('message.fileProcessing', { name: file.name }), 'info');
+				const processed = await ImageProcessor.process(file, this.imageOptions);
+				if (processed.blob.size > this.maxFileSize) {
+					storage.showMessage(I18n.t('message.fileTooLarge', { name: file.name, max: I18n.formatFileSize(this.maxFileSize) }), 'error');
+					continue;
+				}
+
+				// Store the file content as a Blob in IndexedDB; only metadata stays in AppState
+				const sha256 = await FileInspector.sha256(processed.blob);
+				const duplicate = FileInspector.findDuplicate(AppState.uploadedFiles, sha256);
+				const id = generateFileId();
+				await IDBHelper.putFile(id, processed.blob, storage.claimId);
 				const fileInfo = {
-					name: file.name,
-					size: file.size,
-					type: file.type,
-					data: fileData
+					id,
+					name: processed.name,
+					size: processed.blob.size,
+					originalSize: processed.originalSize,
+					type: processed.type,
+					sha256,
+					category
 				};
                 
 				AppState.uploadedFiles.push(fileInfo);
 				storage.displayUploadedFiles();
 				storage.saveToStorage();
-				storage.showMessage(`File ${file.name} uploaded successfully`, 'success');
+				FormValidator.refreshErrors();
+				// The same document twice is allowed (e.g. two copies asked for), but worth a warning
+				if (duplicate) storage.showMessage(I18n.t('message.duplicateFile', { name: processed.name, duplicate: duplicate.name }), 'warning');
+				else storage.showMessage(I18n.t('message.fileUploaded', { name: processed.name }), 'success');
+				if (ClaimOcr.enabled()) storage.scanForSuggestions(fileInfo, processed.blob);
 			} catch (error) {
 				console.error('File processing failed:', error);
-				storage.showMessage(`File ${file.name} processing failed`, 'error');
+				const rejected = error instanceof FileInspectionError || error instanceof ImageProcessingError;
+				storage.showMessage(rejected ? error.message : I18n.t('message.fileProcessingFailed', { name: selected.name }), 'error');
 			}
 		}
+		storage.suggestDocumentCategory();
 	}
 
 	validateFile(file) {
-		if (!this.allowedTypes.includes(file.type)) {
-			storage.showMessage(`Unsupported file type: ${file.name}`, 'error');
+		if (!this.allowedTypes.includes(file.type) && !ImageProcessor.isHeic(file)) {
+			storage.showMessage(I18n.t('message.unsupportedFileType', { name: file.name }), 'error');
 			return false;
 		}
         
-		if (file.size > this.maxFileSize) {
-			storage.showMessage(`File too large: ${file.name} (max 10MB)`, 'error');
+		// Photos are usually much smaller once processed
+		const limit = ImageProcessor.canProcess(file) ? this.maxInputSize : this.maxFileSize;
+		if (file.size > limit) {
+			storage.showMessage(I18n.t('message.fileTooLarge', { name: file.name, max: I18n.formatFileSize(limit) }), 'error');
 			return false;
 		}
         
 		return true;
 	}
-
-	readFileAsBase64(file) {
-		return new Promise((resolve, reject) => {
-			const reader = new FileReader();
-			reader.onload = () => resolve(reader.result);
-			reader.onerror = reject;
-			reader.readAsDataURL(file);
-		});
-	}
 }
 
 // Initialize storage and file handlers
@@ -639,36 +1023,46 @@ const storage = new DataStorage();
 const fileHandler = new FileHandler();
 
 // Form interaction functions
+// Read the form inputs of the claim model's fields, and the payee and expense cards, into AppState.formData
 function collectFormData() {
-	const formElements = document.querySelectorAll('input, select');
-	formElements.forEach(element => {
+	Object.keys(ClaimModel.fields).forEach(key => {
+		const element = document.getElementById(key);
+		if (!element || !element.matches('input, select, textarea')) return;
 		if (element.type === 'checkbox') {
-			AppState.formData[element.id] = element.checked;
+			AppState.formData[key] = element.checked;
 		} else if (element.value) {
-			AppState.formData[element.id] = element.value;
+			AppState.formData[key] = element.value;
+		} else {
+			delete AppState.formData[key];
 		}
 	});
+	const payeeList = document.getElementById('payee-list');
+	if (payeeList && payeeList.querySelector('.payee-card')) AppState.formData.payees = PayeeList.read(payeeList);
+	// Without cards there is nothing to read; removing the last expense empties the list itself
+	const expenseList = document.getElementById('expense-list');
+	if (expenseList && expenseList.querySelector('.expense-card')) AppState.formData.expenses = ExpenseList.read(expenseList);
 }
 
 function nextStep() {
 	collectFormData();
     
 	if (AppState.currentStep === 1) {
-		const errors = FormValidator.validateStep1();
-		if (!FormValidator.showValidationErrors(errors)) {
+		updateIdNumberFeedback();
+		const errors = FormValidator.validate([1]);
+		if (!FormValidator.showValidationErrors(errors, [1])) {
 			return;
 		}
 		// Validation passed — proceed directly to next step (no modal)
 		AppState.currentStep++;
 		updateStepDisplay();
 		storage.saveToStorage();
-		storage.showMessage('Proceeding to next step', 'success');
+		storage.showMessage(I18n.t('message.nextStep'), 'success');
 		return;
 	}
     
 	if (AppState.currentStep === 2) {
-		const errors = FormValidator.validateStep2();
-		if (!FormValidator.showValidationErrors(errors)) {
+		const errors = FormValidator.validate([2]);
+		if (!FormValidator.showValidationErrors(errors, [2])) {
 			return;
 		}
 	}
@@ -677,7 +1071,7 @@ function nextStep() {
 		AppState.currentStep++;
 		updateStepDisplay();
 		storage.saveToStorage();
-		storage.showMessage('Proceeding to next step', 'success');
+		storage.showMessage(I18n.t('message.nextStep'), 'success');
 	}
 }
 
@@ -711,53 +1105,265 @@ function updateStepDisplay() {
 function saveForm() {
 	collectFormData();
 	storage.saveToStorage();
-	storage.showMessage('Form saved as draft', 'success');
+	storage.showMessage(I18n.t('message.draftSaved'), 'success');
 }
 
-function submitClaim() {
+async function submitClaim() {
 	collectFormData();
     
 	// Final validation before submission
-	const step1Errors = FormValidator.validateStep1();
-	const step2Errors = FormValidator.validateStep2();
-	const allErrors = [...step1Errors, ...step2Errors];
-    
-	if (!FormValidator.showValidationErrors(allErrors)) {
+	updateIdNumberFeedback();
+	if (!FormValidator.showValidationErrors(FormValidator.validate())) {
 		return;
 	}
     
-	if (AppState.uploadedFiles.length === 0) {
-		storage.showMessage('Please upload at least one document', 'error');
+	// A claim already queued or sent must not be submitted again
+	const queued = await SubmissionQueue.get(storage.claimId);
+	if (queued && queued.status !== 'failed') {
+		showSubmissionStatus(SubmissionQueue.summary(queued));
 		return;
 	}
     
-	// Simulate submission process
-	storage.showMessage('Submitting insurance claim...', 'info');
+	const submitBtn = document.querySelector('button[data-action="submitClaim"]');
+	if (submitBtn) submitBtn.disabled = true;
+	storage.showMessage(I18n.t('message.submitting'), 'info');
     
-	setTimeout(() => {
-		// Export data to file
-		storage.exportToFile();
-        
-		// Mark as submitted but don't clear storage yet (for success page download)
-		storage.isSubmitted = true;
-        
-		// Clear the auto-save interval
-		if (storage.autoSaveInterval) {
-			clearInterval(storage.autoSaveInterval);
+	try {
+		const parts = await storage.buildSubmission();
+		if (!navigator.onLine) {
+			await queueSubmission(parts);
+			return;
 		}
-        
-		// Redirect to success page
-		window.location.href = 'success.html';
-	}, 2000);
+		try {
+			const result = await ClaimBackend.get().submitClaim(claimPartsToFormData(parts), { idempotencyKey: storage.claimId });
+			DraftStore.recordSubmission(storage.claimId, result);
+			completeSubmission();
+		} catch (error) {
+			// Connection lost while sending: keep the claim in the offline queue
+			if (error instanceof ClaimApiError && error.status === 0) {
+				await queueSubmission(parts);
+				return;
+			}
+			throw error;
+		}
+	} catch (error) {
+		console.error('Claim submission failed:', error);
+		storage.showMessage(describeSubmissionError(error), 'error');
+		if (submitBtn) submitBtn.disabled = false;
+	}
+}
+
+// Claim accepted by the server: export it and show the success page
+async function completeSubmission() {
+	// Export the claim as a ZIP before leaving the page
+	await storage.exportToFile();
+    
+	// Mark as submitted but don't clear storage yet (for success page download)
+	storage.stopAutoSave();
+	// Encrypted saves are written in the background; let them finish
+	await DraftStore.flush();
+    
+	// Redirect to success page
+	window.location.href = `success.html?claim=${encodeURIComponent(storage.claimId)}`;
+}
+
+// Put the claim in the offline queue; the service worker sends it when back online
+async function queueSubmission(parts) {
+	await SubmissionQueue.enqueue(storage.claimId, parts, ClaimBackend.get().baseUrl);
+	storage.stopAutoSave();
+	DraftStore.updateMeta(storage.claimId, { submissionStatus: 'queued' });
+	showSubmissionStatus({ claimId: storage.claimId, status: 'queued' });
+	if (!(await SubmissionQueue.requestSync())) {
+		console.log('Background Sync unavailable; queued claim will be sent on the next page load or when back online');
+	}
+}
+
+// Status change of a queued submission (from the service worker or a page-side flush)
+function handleSubmissionStatus(entry) {
+	DraftStore.applySubmissionStatus(entry);
+	if (entry.claimId !== storage.claimId) return;
+	showSubmissionStatus(entry);
+	if (entry.status === 'sent') {
+		completeSubmission();
+	} else if (entry.status === 'failed') {
+		// Rejected by the server: let the user correct the claim and submit again
+		storage.isSubmitted = false;
+		if (!storage.autoSaveInterval) storage.startAutoSave();
+		const submitBtn = document.querySelector('button[data-action="submitClaim"]');
+		if (submitBtn) submitBtn.disabled = false;
+	}
+}
+
+// Last status shown in the banner, re-rendered when the language changes
+let lastSubmissionStatus = null;
+
+// Show the queued / sending / sent / failed banner on the upload step
+function showSubmissionStatus(entry) {
+	const banner = document.getElementById('submission-status');
+	if (!banner) return;
+	lastSubmissionStatus = entry;
+	const messages = {
+		queued: I18n.t('submission.queued'),
+		sending: I18n.t('submission.sending'),
+		sent: I18n.t('submission.sent', { reference: entry.result ? entry.result.referenceNumber : '' }),
+		failed: I18n.t('submission.failed', {
+			reason: entry.lastError ? describeSubmissionError(new ClaimApiError(entry.lastError.message, entry.lastError)) : I18n.t('submission.notAccepted')
+		})
+	};
+	banner.className = `submission-status status-${entry.status}`;
+	banner.textContent = messages[entry.status] || '';
+	banner.hidden = !messages[entry.status];
+}
+
+// On load: pick up results sent while no page was open, show this claim's status,
+// and send anything still queued (covers browsers without Background Sync)
+async function restoreSubmissionQueue() {
+	try {
+		await storage.ready;
+		const entries = await SubmissionQueue.list();
+		entries.forEach(entry => DraftStore.applySubmissionStatus(SubmissionQueue.summary(entry)));
+		const current = entries.find(e => e.claimId === storage.claimId);
+		if (current) {
+			if (current.status !== 'failed') storage.stopAutoSave();
+			showSubmissionStatus(SubmissionQueue.summary(current));
+		}
+		await SubmissionQueue.flush(handleSubmissionStatus);
+	} catch (e) {
+		console.error('Failed to restore submission queue', e);
+	}
+}
+
+// User-facing message for a failed submission
+function describeSubmissionError(error) {
+	if (!(error instanceof ClaimApiError)) {
+		return I18n.t('submission.error', { message: error.message });
+	}
+	if (error.status === 0) {
+		return I18n.t('submission.unreachable');
+	}
+	if (error.status >= 500) {
+		return I18n.t('submission.unavailable');
+	}
+	// 4xx: the server rejected the claim, show its reasons
+	const reasons = error.details.map(d => d.message).join('; ');
+	return I18n.t('submission.rejected', { reasons: reasons || error.message });
+}
+
+
+// Replace the current draft with a claim read from an exported JSON or ZIP file
+async function importClaimFile(file) {
+	if (storage.isSubmitted) {
+		storage.showMessage(I18n.t('import.error.submitted'), 'error');
+		return;
+	}
+	collectFormData();
+	const hasData = Object.keys(AppState.formData).length > 0 || AppState.uploadedFiles.length > 0;
+	if (hasData && !confirm(I18n.t('import.confirmReplace'))) return;
+
+	try {
+		const imported = await ClaimImport.read(file);
+		const rejected = await storage.applyImport(imported);
+		// The ID type decides the ID number placeholder and format check
+		document.getElementById('id-type').dispatchEvent(new Event('change'));
+		showImportReport({
+			missingFields: imported.missingFields,
+			unknownFields: imported.unknownFields,
+			missingAttachments: [...imported.missingAttachments, ...rejected]
+		});
+	} catch (error) {
+		console.error('Claim import failed:', error);
+		storage.showMessage(error instanceof ClaimImportError ? error.message : I18n.t('import.error.unreadable'), 'error');
+	}
 }
 
+// What an import could not restore; kept to re-render it in another language
+let lastImportReport = null;
+
+function showImportReport(report) {
+	const panel = document.getElementById('import-report');
+	lastImportReport = report;
+	const { missingFields, unknownFields, missingAttachments } = report;
+	if (missingFields.length + unknownFields.length + missingAttachments.length === 0) {
+		panel.hidden = true;
+		lastImportReport = null;
+		storage.showMessage(I18n.t('import.succeeded'), 'success');
+		return;
+	}
+
+	const separator = I18n.t('common.listSeparator');
+	const lines = [
+		['import.missingFields', missingFields.map(fieldLabel)],
+		['import.unknownFields', unknownFields],
+		['import.missingAttachments', missingAttachments]
+	].filter(([, items]) => items.length > 0);
+	// The dismiss button is handled by the panel's delegated listener (see DOMContentLoaded)
+	SafeDom.replace(panel,
+		SafeDom.el('h3', { class: 'import-report-title' }, I18n.t('import.reportTitle')),
+		SafeDom.el('ul', {}, lines.map(([key, items]) => SafeDom.el('li', {}, I18n.t(key, { items: items.join(separator) })))),
+		SafeDom.el('button', { type: 'button', class: 'btn-secondary', dataset: { importAction: 'dismiss' } }, I18n.t('common.dismiss'))
+	);
+	panel.hidden = false;
+}
+
+// Translated label of a form field, or of a field in a payee or expense entry (`payee-name-0`)
+function fieldLabel(field) {
+	if (I18n.has(`field.${field}`)) return I18n.t(`field.${field}`);
+	const entry = /^(.+)-(\d+)$/.exec(field);
+	const list = entry && (ClaimModel.payeeFields[entry[1]] ? 'payees' : ClaimModel.expenseFields[entry[1]] ? 'expenses' : null);
+	if (list) {
+		return I18n.t(`${list}.fieldLabel`, { number: Number(entry[2]) + 1, label: I18n.t(`field.${entry[1]}`) });
+	}
+	return field;
+}
+
+// Table row previewing a form value: translated label and choice, card and ID numbers
+// masked, a receipt by its file name
+function claimPreviewRow(key, value) {
+	const choice = `${ClaimPdf.valuePrefixes[key] || `value.${key}`}.${value}`;
+	const receipt = key === 'expense-receipt' && AppState.uploadedFiles.find(file => file.id === value);
+	let text;
+	if (typeof value === 'boolean') text = I18n.t(value ? 'common.yes' : 'common.no');
+	else if (I18n.has(choice)) text = I18n.t(choice);
+	else if (receipt) text = receipt.name;
+	else text = ClaimRedaction.maskForDisplay(key, value);
+	return SafeDom.el('tr', {},
+		SafeDom.el('td', { class: 'claim-key' }, fieldLabel(key)),
+		SafeDom.el('td', { class: 'claim-value' }, text));
+}
+
+// Preview rows of every entry of a list: a heading per entry (`titleKey` with its number),
+// then the entry's values of `fields`
+function entryPreviewRows(entries = [], fields, titleKey) {
+	return entries.map((entry, index) => [
+		SafeDom.el('tr', {}, SafeDom.el('th', { class: 'claim-group', colspan: '2' }, I18n.t(titleKey, { number: index + 1 }))),
+		Object.keys(fields)
+			.filter(key => entry[key] !== undefined && entry[key] !== '')
+			.map(key => claimPreviewRow(key, entry[key]))
+	]);
+}
+
+function payeePreviewRows(payees) {
+	return entryPreviewRows(payees, ClaimModel.payeeFields, 'payees.title');
+}
+
+// Every expense, then the estimated reimbursement
+function expensePreviewRows(expenses = []) {
+	if (expenses.length === 0) return [];
+	const estimate = ClaimCoverage.estimate(expenses);
+	return [
+		entryPreviewRows(expenses, ClaimModel.expenseFields, 'expenses.item'),
+		SafeDom.el('tr', {},
+			SafeDom.el('td', { class: 'claim-key' }, I18n.t('expenses.estimate.reimbursable')),
+			SafeDom.el('td', { class: 'claim-value' }, Money.format(estimate.reimbursable, estimate.currency)))
+	];
+}
 
 function goBack() {
 	if (AppState.currentStep > 1) {
 		prevStep();
 	} else {
-		if (confirm('Are you sure you want to leave? Unsaved data will be lost.')) {
-			window.history.back();
+		if (confirm(I18n.t('message.leaveConfirm'))) {
+			window.location.href = 'drafts.html';
 		}
 	}
 }
@@ -767,7 +1373,7 @@ function clearField(fieldId) {
 	const field = document.getElementById(fieldId);
 	if (field) {
 		field.value = '';
-		delete AppState.formData[fieldId];
+		collectFormData();
 		storage.saveToStorage();
 	}
 }
@@ -777,8 +1383,273 @@ function formatBankCard(value) {
 	return value.replace(/\s/g, '').replace(/(.{4})/g, '$1 ').trim();
 }
 
+// Schema fields without an element of the same id: show their messages on this element instead
+const fieldElementIds = {
+	applicantType: 'applicant-options',
+	policySource: 'policy-options',
+	payees: 'payee-list',
+	incident: 'incident-options',
+	uploadedFiles: 'upload-zone'
+};
+
+function fieldElement(fieldId) {
+	return document.getElementById(fieldElementIds[fieldId] || fieldId);
+}
+
+// Add or remove one id in the field's aria-describedby list, keeping any others
+function setDescribedBy(field, id, present) {
+	const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(x => x && x !== id);
+	if (present) ids.push(id);
+	if (ids.length) field.setAttribute('aria-describedby', ids.join(' '));
+	else field.removeAttribute('aria-describedby');
+}
+
+// Show an inline message right below a field ('error' or 'warning'), linked to it for screen readers
+function showFieldFeedback(fieldId, message, type = 'error') {
+	const field = fieldElement(fieldId);
+	if (!field) return;
+	let feedback = document.getElementById(`${fieldId}-feedback`);
+	if (!feedback) {
+		feedback = SafeDom.el('div', { id: `${fieldId}-feedback` });
+		// A checkbox's message goes after its whole label
+		const anchor = field.type === 'checkbox' ? (field.closest('label') || field) : field;
+		anchor.insertAdjacentElement('afterend', feedback);
+	}
+	feedback.className = `field-feedback field-feedback-${type}`;
+	feedback.textContent = message;
+	field.classList.toggle('input-error', type === 'error');
+	if (type === 'error') field.setAttribute('aria-invalid', 'true');
+	else field.removeAttribute('aria-invalid');
+	setDescribedBy(field, feedback.id, true);
+}
+
+function clearFieldFeedback(fieldId) {
+	const feedback = document.getElementById(`${fieldId}-feedback`);
+	if (feedback) feedback.remove();
+	const field = fieldElement(fieldId);
+	if (field) {
+		field.classList.remove('input-error');
+		field.removeAttribute('aria-invalid');
+		setDescribedBy(field, `${fieldId}-feedback`, false);
+	}
+}
+
+function hasFieldError(fieldId) {
+	const feedback = document.getElementById(`${fieldId}-feedback`);
+	return !!feedback && feedback.classList.contains('field-feedback-error');
+}
+
+// Move focus to a field, making non-focusable containers (e.g. the upload zone) focusable first
+function focusField(fieldId) {
+	let field = fieldElement(fieldId);
+	if (!field) return;
+	if (fieldId === 'incident') field = field.querySelector('.incident-btn.active') || field.querySelector('.incident-btn') || field;
+	if (field.tabIndex < 0 && !field.hasAttribute('tabindex')) field.setAttribute('tabindex', '-1');
+	field.focus();
+	field.scrollIntoView({ block: 'center', behavior: 'smooth' });
+}
+
+// Error summary at the top of a step, linking to each invalid field; removed when there are no errors
+function renderErrorSummary(step, errors) {
+	const section = document.getElementById(`step-${step}`);
+	if (!section) return;
+	let summary = document.getElementById(`step-${step}-errors`);
+	if (errors.length === 0) {
+		if (summary) summary.remove();
+		return;
+	}
+	if (!summary) {
+		summary = SafeDom.el('div', { id: `step-${step}-errors`, class: 'error-summary', role: 'alert', dataset: { step } },
+			SafeDom.el('h3', { class: 'error-summary-title' }),
+			SafeDom.el('ul'));
+		section.querySelector('.section-title').insertAdjacentElement('afterend', summary);
+	}
+	SafeDom.replace(summary.querySelector('.error-summary-title'), I18n.t('validation.summaryTitle'));
+	// Links move focus to their field through the delegated listener (see DOMContentLoaded)
+	SafeDom.replace(summary.querySelector('ul'), errors.map(error => {
+		const field = fieldElement(error.field);
+		return SafeDom.el('li', {}, SafeDom.el('a', { href: `#${field ? field.id : error.field}`, dataset: { errorField: error.field } }, error.message));
+	}));
+}
+
+// Inline format error for the ID number; keeps the birth date and sex encoded in it with the claim
+function updateIdNumberFeedback() {
+	const value = document.getElementById('id-number').value;
+	const result = IdNumberValidator.validate(document.getElementById('id-type').value, value);
+	if (result.valid && result.birthDate) {
+		AppState.formData.insuredBirthDate = result.birthDate;
+		AppState.formData.insuredSex = result.sex;
+	} else {
+		delete AppState.formData.insuredBirthDate;
+		delete AppState.formData.insuredSex;
+	}
+	if (result.valid || !value) clearFieldFeedback('id-number');
+	else showFieldFeedback('id-number', result.error);
+	return result;
+}
+
+// Inline checksum / length error for a payee's bank card number
+function updateBankCardFeedback(index) {
+	const id = `bank-card-${index}`;
+	const result = BankCardValidator.validate(document.getElementById(id).value);
+	if (result.valid) clearFieldFeedback(id);
+	else showFieldFeedback(id, result.error);
+	return result.valid;
+}
+
+// Pre-select the bank issuing a payee's card, unless the user picked one themselves
+function suggestBankFromCard(index) {
+	const bankSelect = document.getElementById(`bank-name-${index}`);
+	const issuer = BankCardValidator.lookupBank(document.getElementById(`bank-card-${index}`).value);
+	if (issuer && (!bankSelect.value || bankSelect.dataset.autoSelected === 'true')) {
+		bankSelect.value = issuer;
+		bankSelect.dataset.autoSelected = 'true';
+	}
+	updateBankMismatchWarning(index);
+}
+
+// Warn when the bank selected for a payee is not the card's issuer
+function updateBankMismatchWarning(index) {
+	const bankSelect = document.getElementById(`bank-name-${index}`);
+	const cardInput = document.getElementById(`bank-card-${index}`);
+	if (!bankSelect || !cardInput) return;
+	const issuer = BankCardValidator.lookupBank(cardInput.value);
+	const selected = bankSelect.value;
+	if (issuer && selected && selected !== 'other' && selected !== issuer) {
+		const bankLabel = value => bankSelect.querySelector(`option[value="${value}"]`).textContent;
+		showFieldFeedback(bankSelect.id, I18n.t('message.bankMismatch', { issuer: bankLabel(issuer), selected: bankLabel(selected) }), 'warning');
+	} else {
+		clearFieldFeedback(bankSelect.id);
+	}
+}
+
+// Fields of the cards in `list` that show an error, to show it again once the cards are
+// rebuilt: those of an entry just removed (index `removed`) go with it and the ones after
+// it move up
+function entryErrors(list, removed = -1) {
+	const fields = [];
+	list.querySelectorAll('[aria-invalid="true"]').forEach(element => {
+		const [, key, position] = /^(.+)-(\d+)$/.exec(element.id) || [];
+		const index = Number(position);
+		if (!key || index === removed) return;
+		fields.push(`${key}-${removed >= 0 && index > removed ? index - 1 : index}`);
+	});
+	return fields;
+}
+
+// Payee cards for AppState.formData.payees, the split total and the allocation; errors
+// shown on the old cards stay (see entryErrors)
+function renderPayees(removed = -1) {
+	const list = document.getElementById('payee-list');
+	const split = document.getElementById('payee-split');
+	if (!list || !split) return;
+	const reshow = entryErrors(list, removed);
+	if (!split.value) split.value = 'percent';
+	PayeeList.render(list, AppState.formData.payees || [], split.value);
+	document.getElementById('payout-total-group').hidden = split.value !== 'amount';
+	list.querySelectorAll('.payee-card').forEach(card => updateBankMismatchWarning(Number(card.dataset.index)));
+	// Also picks up the default payee of an empty claim
+	collectFormData();
+	updatePayeeAllocation();
+	FormValidator.refreshErrors(reshow);
+}
+
+// How much of the payout the payees' shares add up to so far
+function updatePayeeAllocation() {
+	const element = document.getElementById('payee-allocation');
+	if (!element) return;
+	const data = AppState.formData;
+	const allocation = PayeeList.allocation(data.payees || [], data['payee-split'], data['payout-total']);
+	element.textContent = allocation ? allocation.text : '';
+	element.classList.toggle('incomplete', !!allocation && !allocation.complete);
+}
+
+function addPayee() {
+	collectFormData();
+	const payees = AppState.formData.payees || [];
+	AppState.formData.payees = [...payees, { payeeType: 'other' }];
+	renderPayees();
+	storage.saveToStorage();
+	focusField(`payee-name-${payees.length}`);
+}
+
+function removePayee(index) {
+	collectFormData();
+	AppState.formData.payees.splice(index, 1);
+	renderPayees(index);
+	storage.saveToStorage();
+}
+
+// Switching type keeps the values the new type also asks for
+function setPayeeType(index, type) {
+	collectFormData();
+	AppState.formData.payees[index] = { ...AppState.formData.payees[index], payeeType: type };
+	renderPayees();
+	storage.saveToStorage();
+	const selected = document.querySelector(`#payeeType-${index} .type-btn.active`);
+	if (selected) selected.focus();
+}
+
+// Expense cards for AppState.formData.expenses, with the uploaded files as receipts to
+// choose from, and the estimate; errors shown on the old cards stay (see entryErrors)
+function renderExpenses(removed = -1) {
+	const list = document.getElementById('expense-list');
+	if (!list) return;
+	const reshow = entryErrors(list, removed);
+	ExpenseList.render(list, AppState.formData.expenses || [], AppState.uploadedFiles);
+	updateExpenseEstimate();
+	FormValidator.refreshErrors(reshow);
+}
+
+function updateExpenseEstimate() {
+	const element = document.getElementById('expense-estimate');
+	if (element) ExpenseList.renderEstimate(element, ClaimCoverage.estimate(AppState.formData.expenses));
+}
+
+// New expenses are in the policy currency until the user picks another
+function addExpense() {
+	collectFormData();
+	const expenses = AppState.formData.expenses || [];
+	AppState.formData.expenses = [...expenses, { 'expense-currency': ClaimCoverage.terms().currency }];
+	renderExpenses();
+	storage.saveToStorage();
+	focusField(`expense-date-${expenses.length}`);
+}
+
+function removeExpense(index) {
+	collectFormData();
+	AppState.formData.expenses.splice(index, 1);
+	renderExpenses(index);
+	storage.saveToStorage();
+}
+
+// Buttons on the page name their action in data-action; there are no inline handlers,
+// as the page's Content-Security-Policy does not run them
+const pageActions = {
+	goBack: () => goBack(),
+	importClaim: () => document.getElementById('import-file').click(),
+	saveForm: () => saveForm(),
+	nextStep: () => nextStep(),
+	prevStep: () => prevStep(),
+	submitClaim: () => submitClaim(),
+	clearField: button => clearField(button.dataset.field),
+	closeClaimModal: () => closeClaimModal(),
+	clearSignature: () => clearSignature(),
+	confirmSignature: () => confirmSignature(),
+	addPayee: () => addPayee(),
+	addExpense: () => addExpense(),
+	closePayeeConfirm: () => closePayeeConfirm(),
+	editPayee: () => editPayee(),
+	confirmPayee: () => confirmPayee()
+};
+
 // Applicant type and form handling
 document.addEventListener('DOMContentLoaded', function() {
+	document.addEventListener('click', event => {
+		const button = event.target.closest('[data-action]');
+		if (button && pageActions[button.dataset.action]) pageActions[button.dataset.action](button);
+	});
+
 	// Applicant type button events
 	document.querySelectorAll('.type-btn[data-type]').forEach(btn => {
 		btn.addEventListener('click', function() {
@@ -789,15 +1660,74 @@ document.addEventListener('DOMContentLoaded', function() {
 		});
 	});
 
-	// Payee type button events  
-	document.querySelectorAll('.type-btn[data-payee]').forEach(btn => {
-		btn.addEventListener('click', function() {
-			document.querySelectorAll('.type-btn[data-payee]').forEach(b => b.classList.remove('active'));
-			this.classList.add('active');
-			AppState.formData.payeeType = this.dataset.payee;
+	// Payee cards: type buttons, removal and bank details (see PayeeList)
+	const payeeList = document.getElementById('payee-list');
+	if (payeeList) {
+		const payeeIndex = element => Number(element.closest('.payee-card').dataset.index);
+		payeeList.addEventListener('click', event => {
+			const button = event.target.closest('[data-payee-action]');
+			if (!button) return;
+			if (button.dataset.payeeAction === 'type') setPayeeType(payeeIndex(button), button.dataset.value);
+			else if (button.dataset.payeeAction === 'remove') removePayee(payeeIndex(button));
+		});
+		payeeList.addEventListener('input', event => {
+			const input = event.target;
+			if (input.dataset.payeeField === 'bank-card') {
+				// Bank card formatting
+				const cursorPosition = input.selectionStart;
+				const oldLength = input.value.length;
+				input.value = formatBankCard(input.value);
+				const newCursorPosition = cursorPosition + (input.value.length - oldLength);
+				input.setSelectionRange(newCursorPosition, newCursorPosition);
+				suggestBankFromCard(payeeIndex(input));
+				// Clear a previous error as soon as the number becomes valid
+				if (hasFieldError(input.id) && BankCardValidator.validate(input.value).valid) clearFieldFeedback(input.id);
+			}
+			collectFormData();
+			updatePayeeAllocation();
+		});
+		payeeList.addEventListener('change', event => {
+			const element = event.target;
+			const index = payeeIndex(element);
+			if (element.dataset.payeeField === 'bank-card' && element.value) updateBankCardFeedback(index);
+			if (element.dataset.payeeField === 'bank-name') {
+				// The user chose the bank: don't override it from the card number anymore
+				element.dataset.autoSelected = 'false';
+				updateBankMismatchWarning(index);
+			}
+			collectFormData();
 			storage.saveToStorage();
 		});
-	});
+		// Share labels follow the split mode; the amount to split is only asked for when splitting by amount
+		document.getElementById('payee-split').addEventListener('change', () => {
+			collectFormData();
+			renderPayees();
+		});
+		document.getElementById('payout-total').addEventListener('input', () => {
+			collectFormData();
+			updatePayeeAllocation();
+		});
+		renderPayees();
+	}
+
+	// Expense cards: removal, and the estimate as amounts are typed (see ExpenseList)
+	const expenseList = document.getElementById('expense-list');
+	if (expenseList) {
+		expenseList.addEventListener('click', event => {
+			const button = event.target.closest('[data-expense-action="remove"]');
+			if (button) removeExpense(Number(button.closest('.expense-card').dataset.index));
+		});
+		expenseList.addEventListener('input', () => {
+			collectFormData();
+			updateExpenseEstimate();
+		});
+		expenseList.addEventListener('change', () => {
+			collectFormData();
+			updateExpenseEstimate();
+			storage.saveToStorage();
+		});
+		renderExpenses();
+	}
     
 	// Policy source button events
 	document.querySelectorAll('.policy-btn').forEach(btn => {
@@ -809,8 +1739,7 @@ document.addEventListener('DOMContentLoaded', function() {
 			// show/hide policy number
 			const pg = document.getElementById('policy-number-group');
 			if (pg) {
-				if (this.dataset.source === 'self') pg.style.display = 'block';
-				else pg.style.display = 'none';
+				pg.hidden = this.dataset.source !== 'self';
 			}
 		});
 	});
@@ -821,11 +1750,10 @@ document.addEventListener('DOMContentLoaded', function() {
 			document.querySelectorAll('.incident-btn').forEach(b => b.classList.remove('active'));
 			this.classList.add('active');
 			AppState.formData.incident = this.dataset.incident;
-			// also set legacy key used by validator and other code
-			AppState.formData['accident-situation'] = this.dataset.incident;
 			storage.saveToStorage();
+			FormValidator.refreshErrors();
 			// Toggle extras
-			document.querySelectorAll('.incident-extra').forEach(el => el.style.display = 'none');
+			document.querySelectorAll('.incident-extra').forEach(el => { el.hidden = true; });
 			const map = {
 				'common-accident': 'incident-extra-common',
 				'traffic-accident': 'incident-extra-traffic',
@@ -833,7 +1761,10 @@ document.addEventListener('DOMContentLoaded', function() {
 				'serious-illness': 'incident-extra-serious-illness'
 			};
 			const id = map[this.dataset.incident];
-			if (id) document.getElementById(id).style.display = 'block';
+			if (id) document.getElementById(id).hidden = false;
+			storage.renderDocumentChecklist();
+			storage.suggestDocumentCategory();
+			storage.renderOcrPanel();
 		});
 	});
 
@@ -852,10 +1783,11 @@ document.addEventListener('DOMContentLoaded', function() {
 			if (event.data && event.data.type === 'REQUEST_CLAIM_DATA') {
 				const channel = event.ports && event.ports[0];
 				if (channel) {
-					channel.postMessage({
-						type: 'CLAIM_DATA_RESPONSE',
-						data: storage.getClaimData()
-					});
+					try {
+						channel.postMessage({ type: 'CLAIM_DATA_RESPONSE', data: storage.getClaimData({ mode: event.data.mode }) });
+					} catch (error) {
+						channel.postMessage({ type: 'CLAIM_DATA_RESPONSE', error: error.message });
+					}
 				}
 			}
 		} catch (e) {
@@ -863,14 +1795,22 @@ document.addEventListener('DOMContentLoaded', function() {
 		}
 	});
 
+	// Offline submission queue: status updates from the service worker, flush when back online
+	SubmissionQueue.onStatus(handleSubmissionStatus);
+	window.addEventListener('online', () => SubmissionQueue.flush(handleSubmissionStatus));
+	restoreSubmissionQueue();
+
+	// The page APIs below return redacted claim data; pass { mode: 'full' } for all of
+	// it, where the page allows that (see ClaimRedaction)
+
 	// Expose synchronous JS API to get claim data from page
-	window.getClaimData = function() {
-		return storage.getClaimData();
+	window.getClaimData = function(options = {}) {
+		return storage.getClaimData(options);
 	};
 
 	// Expose async fetch-based API wrapper that will use SW endpoint
-	window.fetchClaimData = function() {
-		return fetch('/claim-data').then(r => {
+	window.fetchClaimData = function({ mode = 'redacted' } = {}) {
+		return fetch(`/claim-data?mode=${encodeURIComponent(mode)}`).then(r => {
 			if (!r.ok) throw new Error('Failed to fetch claim data');
 			return r.json();
 		});
@@ -880,7 +1820,8 @@ document.addEventListener('DOMContentLoaded', function() {
 	// This is intentionally read-only for evaluators that only want the data object.
 	// Usage:
 	//   window.getWebsiteResult().then(result => { ... });
-	window.getWebsiteResult = function() {
+	//   window.getWebsiteResult({ mode: 'full' }) for unredacted data, where allowed
+	window.getWebsiteResult = function(options = {}) {
 		try {
 			// Ensure latest inputs are captured
 			collectFormData();
@@ -889,12 +1830,14 @@ document.addEventListener('DOMContentLoaded', function() {
 			console.warn('getWebsiteResult: failed to collect/save form data', e);
 		}
 
-		const result = storage.getClaimData();
-		return Promise.resolve(result);
+		try {
+			return Promise.resolve(storage.getClaimData(options));
+		} catch (error) {
+			return Promise.reject(error);
+		}
 	};
 
-	// Separate API to download all artifacts (JSON metadata, uploaded files, signature).
-	// Options: { downloadJSON: true, downloadFiles: true, downloadSignature: true }
+	// Separate API to download all artifacts (claim data, uploaded files, signature) as one ZIP
 	window.downloadDocuments = function() {
 		try {
 			collectFormData();
@@ -903,14 +1846,12 @@ document.addEventListener('DOMContentLoaded', function() {
 			console.warn('downloadDocuments: failed to collect/save form data', e);
 		}
 
-		try {
-			storage.exportUploadedFiles();
-		} catch (e) {
-			console.error('downloadDocuments: exportUploadedFiles failed', e);
-		}
+		return storage.exportToFile();
 	};
 
-	window.downloadJSON = function() {
+	// downloadJSON() saves the redacted claim data (not importable); downloadJSON({ mode: 'export' })
+	// saves the full claim to import again later, like the ZIP from downloadDocuments()
+	window.downloadJSON = function(options = {}) {
 		try {
 			collectFormData();
 			storage.saveToStorage();
@@ -919,7 +1860,7 @@ document.addEventListener('DOMContentLoaded', function() {
 		}
 
 		try {
-			const result = storage.getClaimData();
+			const result = options.mode === 'export' ? storage.getExportData() : storage.getClaimData(options);
 			const timestamp = new Date().toISOString().split('T')[0];
 			const baseFileName = `Insurance_Claim_Data_${timestamp}`;
 			const jsonBlob = new Blob([JSON.stringify(result)], { type: 'application/json' });
@@ -941,46 +1882,24 @@ document.addEventListener('DOMContentLoaded', function() {
 		collectFormData();
 		const modal = document.getElementById('claim-modal');
 		const table = document.getElementById('claim-table');
-		const data = storage.getClaimData().formData;
+		const data = AppState.formData;
 		if (table) {
-			table.innerHTML = '';
 			const rows = [];
-			// Friendly labels mapping
-			const labels = {
-				'policySource': 'Policy Source',
-				'id-type': 'ID Type',
-				'policy-number': 'Policy Number',
-				'insured-name': 'Insured Name',
-				'id-number': 'ID Number',
-				'phone': 'Phone',
-				'accident-time': 'Incident Time',
-				'incident': 'Incident Type',
-				'accident-situation': 'Accident Situation',
-				'common-injury-area': 'Injury Area',
-				'common-severity': 'Severity',
-				'illness-hospital': 'Diagnosis Hospital',
-				'serious-hospital-start': 'Hospital Start',
-				'serious-hospital-end': 'Hospital End',
-				'account-relationship': 'Account Relationship',
-				'agreement': 'Agreed'
-			};
 			Object.keys(data).forEach(k => {
-				// skip empty
-				if (data[k] === undefined || data[k] === null || data[k] === '') return;
-				const label = labels[k] || k;
-				let value = data[k];
-				if (typeof value === 'boolean') value = value ? 'Yes' : 'No';
-				rows.push(`<tr><td class="claim-key">${label}</td><td class="claim-value">${value}</td></tr>`);
+				// skip empty, and the payees and expenses, listed one by one below
+				if (data[k] === undefined || data[k] === null || data[k] === '' || k === 'payees' || k === 'expenses') return;
+				// Translated field label and, for choices, the option label
+				rows.push(claimPreviewRow(k, data[k]));
 			});
-			table.innerHTML = rows.join('');
+			SafeDom.replace(table, rows, payeePreviewRows(data.payees), expensePreviewRows(data.expenses));
 		}
-		if (modal) modal.style.display = 'block';
+		if (modal) modal.hidden = false;
 		initSignatureCanvas();
 	};
 
 	window.closeClaimModal = function() {
 		const modal = document.getElementById('claim-modal');
-		if (modal) modal.style.display = 'none';
+		if (modal) modal.hidden = true;
 	};
 
 	window.clearSignature = function() {
@@ -994,12 +1913,13 @@ document.addEventListener('DOMContentLoaded', function() {
 		if (!c) return;
 		const dataUrl = c.toDataURL('image/png');
 		AppState.formData.claimSignature = dataUrl;
+		AppState.formData.claimSignedAt = new Date().toISOString();
 		storage.saveToStorage();
 		closeClaimModal();
 		// proceed to next step
 		AppState.currentStep++;
 		updateStepDisplay();
-		storage.showMessage('Proceeding to next step', 'success');
+		storage.showMessage(I18n.t('message.nextStep'), 'success');
 	};
 
 	// Initialize signature canvas drawing
@@ -1035,17 +1955,22 @@ document.addEventListener('DOMContentLoaded', function() {
 		ctx.clearRect(0,0,canvas.width,canvas.height);
 	};
 
-	// Payee confirmation modal
+	// Payee confirmation modal: the split and every payee, with card numbers masked
 	window.showPayeeConfirm = function() {
 		collectFormData();
 		const modal = document.getElementById('payee-confirm-modal');
 		const preview = document.getElementById('payee-preview');
-		if (preview) preview.innerText = JSON.stringify(AppState.formData, null, 2);
-		if (modal) modal.style.display = 'block';
+		if (preview) {
+			const rows = ['payee-split', 'payout-total']
+				.filter(key => AppState.formData[key] !== undefined && AppState.formData[key] !== '')
+				.map(key => claimPreviewRow(key, AppState.formData[key]));
+			SafeDom.replace(preview, SafeDom.el('table', { class: 'claim-table' }, rows, payeePreviewRows(AppState.formData.payees)));
+		}
+		if (modal) modal.hidden = false;
 	};
-	window.closePayeeConfirm = function() { document.getElementById('payee-confirm-modal').style.display = 'none'; };
+	window.closePayeeConfirm = function() { document.getElementById('payee-confirm-modal').hidden = true; };
 	window.editPayee = function() { closePayeeConfirm(); AppState.currentStep = 2; updateStepDisplay(); };
-	window.confirmPayee = function() { closePayeeConfirm(); storage.saveToStorage(); storage.showMessage('Payee confirmed', 'success'); };
+	window.confirmPayee = function() { closePayeeConfirm(); storage.saveToStorage(); storage.showMessage(I18n.t('message.payeeConfirmed'), 'success'); };
     
 	// Form input event listeners
 	document.querySelectorAll('input, select').forEach(element => {
@@ -1055,39 +1980,75 @@ document.addEventListener('DOMContentLoaded', function() {
 		});
 	});
 
-	// Bank card formatting
-	const bankCardInput = document.getElementById('bank-card');
-	if (bankCardInput) {
-		bankCardInput.addEventListener('input', function() {
-			const cursorPosition = this.selectionStart;
-			const oldLength = this.value.length;
-			this.value = formatBankCard(this.value);
-			const newLength = this.value.length;
-			const newCursorPosition = cursorPosition + (newLength - oldLength);
-			this.setSelectionRange(newCursorPosition, newCursorPosition);
+	// Clear field errors as soon as the user fixes them
+	['input', 'change'].forEach(type => {
+		document.addEventListener(type, function(event) {
+			if (event.target.closest('.form-section')) FormValidator.refreshErrors();
+		});
+	});
+
+	// Links in the error summaries move focus to their field (see renderErrorSummary)
+	document.addEventListener('click', function(event) {
+		const link = event.target.closest('.error-summary a[data-error-field]');
+		if (!link) return;
+		event.preventDefault();
+		focusField(link.dataset.errorField);
+	});
+
+	// ID number checks depend on the selected ID type
+	const idTypeSelect = document.getElementById('id-type');
+	const idNumberInput = document.getElementById('id-number');
+	if (idTypeSelect && idNumberInput) {
+		const updatePlaceholder = () => {
+			idNumberInput.placeholder = I18n.t(`idNumber.placeholder.${idTypeSelect.value}`);
+		};
+		updatePlaceholder();
+		I18n.onChange(updatePlaceholder);
+		idTypeSelect.addEventListener('change', function() {
+			updatePlaceholder();
+			if (idNumberInput.value) updateIdNumberFeedback();
+			storage.saveToStorage();
+		});
+		idNumberInput.addEventListener('change', function() {
+			updateIdNumberFeedback();
+			storage.saveToStorage();
 		});
 	}
-    
+
+	// Import a claim from an exported JSON or ZIP file
+	const importInput = document.getElementById('import-file');
+	if (importInput) {
+		importInput.addEventListener('change', function() {
+			const [file] = this.files;
+			// Reset so the same file can be chosen again
+			this.value = '';
+			if (file) importClaimFile(file);
+		});
+	}
+	// Dismiss button of the import report (see showImportReport)
+	const importReport = document.getElementById('import-report');
+	if (importReport) {
+		importReport.addEventListener('click', e => {
+			if (!e.target.closest('[data-import-action="dismiss"]')) return;
+			importReport.hidden = true;
+			lastImportReport = null;
+		});
+	}
+
+	// Re-render text built in JS when the language is switched
+	I18n.onChange(() => {
+		storage.displayUploadedFiles();
+		collectFormData();
+		renderPayees();
+		FormValidator.refreshErrors();
+		if (lastSubmissionStatus) showSubmissionStatus(lastSubmissionStatus);
+		if (lastImportReport) showImportReport(lastImportReport);
+	});
+
 	// Voice input functionality (simulated)
 	document.querySelectorAll('.voice-input-btn').forEach(btn => {
 		btn.addEventListener('click', function() {
-			storage.showMessage('Voice input feature is under development...', 'info');
+			storage.showMessage(I18n.t('message.voiceInput'), 'info');
 		});
 	});
 });
-
-// Add CSS animations
-const style = document.createElement('style');
-style.textContent = `
-	@keyframes slideDown {
-		from { opacity: 0; transform: translate(-50%, -20px); }
-		to { opacity: 1; transform: translate(-50%, 0); }
-	}
-    
-	@keyframes slideUp {
-		from { opacity: 1; transform: translate(-50%, 0); }
-		to { opacity: 0; transform: translate(-50%, -20px); }
-	}
-`;
-document.head.appendChild(style);
-
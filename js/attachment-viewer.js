@@ -0,0 +1,164 @@
+// === Attachment Viewer ===
+// Full-screen viewer for uploaded files, with zoom, rotation and paging through all
+// attachments. Images are shown directly; PDFs in the browser's own PDF viewer, with
+// a link to open them in a new tab where it cannot display them inline.
+// Markup: #attachment-viewer in index.html; buttons name their action in data-viewer-action.
+const AttachmentViewer = {
+	zoomSteps: [0.5, 0.75, 1, 1.5, 2, 3, 4],
+	files: [],
+	index: 0,
+	zoom: 1,
+	rotation: 0,
+	url: null,
+	loadBlob: null,
+	returnFocus: null,
+	// Increases on every page change, so content that arrives late is not shown
+	loading: 0,
+
+	element() {
+		return document.getElementById('attachment-viewer');
+	},
+
+	// Show `files` (attachment metadata) starting at `index`; `loadBlob(file)` resolves
+	// with the content of a file
+	open(files, index, loadBlob) {
+		const viewer = this.element();
+		if (!viewer || files.length === 0) return;
+		this.files = files;
+		this.loadBlob = loadBlob;
+		this.returnFocus = document.activeElement;
+		viewer.hidden = false;
+		document.body.classList.add('viewer-open');
+		this.show(index);
+		viewer.querySelector('[data-viewer-action="close"]').focus();
+	},
+
+	close() {
+		const viewer = this.element();
+		if (!viewer || viewer.hidden) return;
+		this.loading++;
+		viewer.hidden = true;
+		document.body.classList.remove('viewer-open');
+		SafeDom.replace(document.getElementById('viewer-stage'));
+		this.release();
+		if (this.returnFocus && this.returnFocus.isConnected) this.returnFocus.focus();
+	},
+
+	release() {
+		if (this.url) URL.revokeObjectURL(this.url);
+		this.url = null;
+	},
+
+	async show(index) {
+		const count = this.files.length;
+		this.index = (index + count) % count;
+		this.zoom = 1;
+		this.rotation = 0;
+		const file = this.files[this.index];
+		const loading = ++this.loading;
+
+		document.getElementById('viewer-title').textContent = file.name;
+		this.updateCounter();
+		this.element().querySelectorAll('.viewer-nav').forEach(button => { button.hidden = count < 2; });
+		const stage = document.getElementById('viewer-stage');
+		SafeDom.replace(stage, SafeDom.el('div', { class: 'viewer-message' }, SafeDom.icon('fa-spinner fa-spin')));
+
+		let blob = null;
+		try {
+			blob = await this.loadBlob(file);
+		} catch (e) {
+			console.error('Failed to load attachment', file.name, e);
+		}
+		if (loading !== this.loading) return;
+		this.release();
+		if (!blob) {
+			SafeDom.replace(stage, SafeDom.el('div', { class: 'viewer-message' }, I18n.t('message.fileNotAvailable', { name: file.name })));
+			return;
+		}
+
+		this.url = URL.createObjectURL(blob);
+		const media = file.type === 'application/pdf'
+			? SafeDom.el('object', { class: 'viewer-media', type: 'application/pdf', data: this.url },
+				SafeDom.el('a', { class: 'viewer-message', href: this.url, target: '_blank', rel: 'noopener' }, I18n.t('viewer.openPdf')))
+			: SafeDom.el('img', { class: 'viewer-media', src: this.url, alt: file.name });
+		SafeDom.replace(stage, SafeDom.el('div', { class: 'viewer-frame' }, media));
+		this.layout();
+	},
+
+	updateCounter() {
+		document.getElementById('viewer-counter').textContent = I18n.t('viewer.counter', { current: this.index + 1, total: this.files.length });
+	},
+
+	step(delta) {
+		if (this.files.length > 1) this.show(this.index + delta);
+	},
+
+	// Move to the next zoom step in `direction` (1 in, -1 out, 0 back to fit)
+	setZoom(direction) {
+		const current = this.zoomSteps.indexOf(this.zoom);
+		const next = direction === 0 ? this.zoomSteps.indexOf(1) : current + direction;
+		if (next < 0 || next >= this.zoomSteps.length) return;
+		this.zoom = this.zoomSteps[next];
+		if (direction === 0) this.rotation = 0;
+		this.layout();
+	},
+
+	rotate() {
+		this.rotation = (this.rotation + 90) % 360;
+		this.layout();
+	},
+
+	// Size the frame to the zoomed view so the stage scrolls over all of it; the media
+	// is rotated inside the frame, with its sides swapped when it lies sideways
+	layout() {
+		const stage = document.getElementById('viewer-stage');
+		const frame = stage && stage.querySelector('.viewer-frame');
+		if (!frame) return;
+		const width = stage.clientWidth * this.zoom;
+		const height = stage.clientHeight * this.zoom;
+		const sideways = this.rotation % 180 !== 0;
+		frame.style.width = `${width}px`;
+		frame.style.height = `${height}px`;
+		const media = frame.querySelector('.viewer-media');
+		media.style.width = `${sideways ? height : width}px`;
+		media.style.height = `${sideways ? width : height}px`;
+		media.style.transform = `translate(-50%, -50%) rotate(${this.rotation}deg)`;
+		const zoomLabel = document.getElementById('viewer-zoom');
+		if (zoomLabel) zoomLabel.textContent = I18n.formatNumber(this.zoom, { style: 'percent' });
+	},
+
+	init() {
+		const viewer = this.element();
+		if (!viewer) return;
+		const actions = {
+			close: () => this.close(),
+			previous: () => this.step(-1),
+			next: () => this.step(1),
+			'zoom-in': () => this.setZoom(1),
+			'zoom-out': () => this.setZoom(-1),
+			reset: () => this.setZoom(0),
+			rotate: () => this.rotate()
+		};
+		viewer.addEventListener('click', event => {
+			const button = event.target.closest('[data-viewer-action]');
+			if (button) actions[button.dataset.viewerAction]();
+			else if (event.target === viewer) this.close();
+		});
+		viewer.addEventListener('keydown', event => {
+			const keys = { Escape: 'close', ArrowLeft: 'previous', ArrowRight: 'next', '+': 'zoom-in', '=': 'zoom-in', '-': 'zoom-out', '0': 'reset', r: 'rotate' };
+			const action = keys[event.key];
+			if (!action) return;
+			event.preventDefault();
+			actions[action]();
+		});
+		window.addEventListener('resize', () => this.layout());
+		I18n.onChange(() => {
+			if (viewer.hidden) return;
+			this.updateCounter();
+			this.layout();
+		});
+	}
+};
+
+if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => AttachmentViewer.init());
+else AttachmentViewer.init();
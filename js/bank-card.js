@@ -0,0 +1,101 @@
+// === Bank Card Validation ===
+// Luhn checksum, per-scheme length rules and a local BIN (issuer prefix) table
+// used to suggest the bank. The BIN table is a subset of common debit/credit card
+// prefixes for the banks offered in the bank-name list.
+const BankCardValidator = {
+	// Checked in order; the first matching pattern decides the scheme
+	schemes: [
+		{ name: 'American Express', pattern: /^3[47]/, lengths: [15] },
+		{ name: 'JCB', pattern: /^35(2[89]|[3-8])/, lengths: [16, 17, 18, 19] },
+		{ name: 'UnionPay', pattern: /^62/, lengths: [16, 17, 18, 19] },
+		{ name: 'Visa', pattern: /^4/, lengths: [13, 16, 19] },
+		{ name: 'Mastercard', pattern: /^(5[1-5]|222[1-9]|22[3-9]|2[3-6]|27[01]|2720)/, lengths: [16] }
+	],
+	// Domestic debit cards outside the schemes above
+	defaultLengths: [16, 17, 18, 19],
+
+	// BIN prefix -> bank-name option value
+	binTable: {
+		'industrial-bank': ['620200', '621225', '621226', '621558', '621559', '621723', '622200', '622202', '622208'],
+		'agricultural-bank': ['103', '621282', '622821', '622822', '622823', '622825', '622826', '622827', '622828', '622836', '622837', '622840', '622844', '622845', '622846', '622847', '622848', '622849', '623052'],
+		'construction-bank': ['436742', '436745', '621284', '621700', '622166', '622168', '622280', '622700', '622708', '623668'],
+		'bank-of-china': ['456351', '601382', '621660', '621661', '621663', '621666', '621667', '621668', '621669', '621785', '621786', '621787', '621788', '621789', '621790', '622760', '623569'],
+		'postal-bank': ['620062', '621095', '621096', '621098', '621285', '621799', '622150', '622151', '622181', '622188', '623218'],
+		'communications-bank': ['405512', '601428', '621069', '622258', '622259', '622260', '622261', '622262'],
+		'merchants-bank': ['410062', '468203', '512425', '524011', '621286', '621483', '621485', '621486', '622575', '622576', '622577', '622578', '622580', '622581', '622582', '622588'],
+		'minsheng-bank': ['415599', '421393', '421865', '427570', '427571', '472067', '472068', '621691', '622600', '622601', '622602', '622615', '622617', '622618', '622622'],
+		'citic-bank': ['433670', '433671', '433680', '442729', '442730', '621768', '621771', '621773', '622690', '622691', '622692', '622696', '622698', '622998', '622999']
+	},
+
+	normalize(value) {
+		return String(value || '').replace(/[\s-]/g, '');
+	},
+
+	luhn(digits) {
+		let sum = 0;
+		for (let i = 0; i < digits.length; i++) {
+			let d = Number(digits[digits.length - 1 - i]);
+			if (i % 2 === 1) {
+				d *= 2;
+				if (d > 9) d -= 9;
+			}
+			sum += d;
+		}
+		return sum % 10 === 0;
+	},
+
+	detectScheme(digits) {
+		return this.schemes.find(s => s.pattern.test(digits)) || null;
+	},
+
+	// Bank (bank-name option value) issuing the card, by longest matching BIN prefix
+	lookupBank(value) {
+		const digits = this.normalize(value);
+		let match = null;
+		Object.entries(this.binTable).forEach(([bank, prefixes]) => {
+			prefixes.forEach(prefix => {
+				if (digits.startsWith(prefix) && (!match || prefix.length > match.prefix.length)) {
+					match = { bank, prefix };
+				}
+			});
+		});
+		return match ? match.bank : null;
+	},
+
+	// [16, 17, 18, 19] -> '16-19', [13, 16, 19] -> '13, 16 or 19'
+	describeLengths(lengths) {
+		const contiguous = lengths.every((n, i) => i === 0 || n === lengths[i - 1] + 1);
+		if (lengths.length === 1) return String(lengths[0]);
+		if (contiguous) return I18n.t('bankCard.lengthRange', { min: lengths[0], max: lengths[lengths.length - 1] });
+		return I18n.t('bankCard.lengthList', { list: lengths.slice(0, -1).join(', '), last: lengths[lengths.length - 1] });
+	},
+
+	// Returns { valid, error, scheme, bank }; `error` is the first problem found (translated)
+	validate(value) {
+		const digits = this.normalize(value);
+		const result = { valid: false, error: null, scheme: null, bank: null };
+		if (!digits) {
+			result.error = I18n.t('bankCard.required');
+			return result;
+		}
+		if (!/^\d+$/.test(digits)) {
+			result.error = I18n.t('bankCard.digitsOnly');
+			return result;
+		}
+		const scheme = this.detectScheme(digits);
+		result.scheme = scheme ? scheme.name : null;
+		result.bank = this.lookupBank(digits);
+		const lengths = scheme ? scheme.lengths : this.defaultLengths;
+		if (!lengths.includes(digits.length)) {
+			const params = { scheme: scheme ? I18n.t(`bankCard.scheme.${scheme.name}`) : null, lengths: this.describeLengths(lengths), count: digits.length };
+			result.error = I18n.t(scheme ? 'bankCard.schemeLength' : 'bankCard.length', params);
+			return result;
+		}
+		if (!this.luhn(digits)) {
+			result.error = I18n.t('bankCard.checksum');
+			return result;
+		}
+		result.valid = true;
+		return result;
+	}
+};
@@ -0,0 +1,94 @@
+// === Claim Export ===
+// Bundles a claim into a single ZIP download (see ZipWriter):
+//   claim.json            the claim (see ClaimModel) with the list of attachments
+//   signature.png         the claim signature, if signed
+//   claim-form.pdf        the signed claim form, if one was generated
+//   attachments/NN_name   every uploaded file, numbered in upload order
+//   manifest.json         size and SHA-256 hash of each of the files above
+const ClaimExport = {
+	format: 'insurance-claim-export',
+
+	// Safe archive entry name: no path separators, reserved or control characters
+	sanitizeFileName(fileName) {
+		const safe = String(fileName).replace(/[<>:"/\\|?*\u0000-\u001f]/g, '_').replace(/\s+/g, '_').replace(/^\.+/, '');
+		return safe || 'file';
+	},
+
+	attachmentPath(index, fileName) {
+		return `attachments/${String(index + 1).padStart(2, '0')}_${this.sanitizeFileName(fileName)}`;
+	},
+
+	async sha256(bytes) {
+		const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+		return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+	},
+
+	// Build the archive. `claim` is a structured claim (see ClaimModel), `files` are
+	// [{ meta, blob }] for its attachments and `claimForm` is the claim form PDF Blob
+	// or null. Returns a Blob.
+	async build({ claimId, claim, files = [], claimForm = null, exportedAt = new Date().toISOString() }) {
+		const encoder = new TextEncoder();
+		const bytesOf = async blob => new Uint8Array(await blob.arrayBuffer());
+		// The signature is exported as an image next to claim.json
+		const { signature, ...declaration } = claim.declaration || {};
+		const entries = [];
+
+		const attachments = files.map(({ meta }, index) => ({
+			id: meta.id,
+			name: meta.name,
+			type: meta.type,
+			size: meta.size,
+			originalSize: meta.originalSize,
+			sha256: meta.sha256,
+			category: meta.category,
+			receiptTotal: meta.receiptTotal,
+			path: this.attachmentPath(index, meta.name)
+		}));
+		const data = {
+			schemaVersion: ClaimModel.schemaVersion,
+			claimId,
+			exportedAt,
+			claim: { ...claim, declaration, attachments },
+			signature: signature ? 'signature.png' : null,
+			claimForm: claimForm ? 'claim-form.pdf' : null
+		};
+		entries.push({ name: 'claim.json', data: encoder.encode(JSON.stringify(data, null, 2)) });
+		if (signature) {
+			entries.push({ name: 'signature.png', data: await bytesOf(dataUrlToBlob(signature, 'image/png')) });
+		}
+		if (claimForm) {
+			entries.push({ name: 'claim-form.pdf', data: await bytesOf(claimForm) });
+		}
+		for (let i = 0; i < files.length; i++) {
+			entries.push({ name: attachments[i].path, data: await bytesOf(files[i].blob) });
+		}
+
+		const manifest = {
+			format: this.format,
+			claimId,
+			exportedAt,
+			files: []
+		};
+		for (const { name, data } of entries) {
+			manifest.files.push({ path: name, size: data.length, sha256: await this.sha256(data) });
+		}
+		entries.push({ name: 'manifest.json', data: encoder.encode(JSON.stringify(manifest, null, 2)) });
+
+		return new Blob([ZipWriter.build(entries, exportedAt)], { type: 'application/zip' });
+	},
+
+	fileName(exportedAt = new Date().toISOString()) {
+		return `Insurance_Claim_Data_${exportedAt.split('T')[0]}.zip`;
+	},
+
+	// Save a Blob through a temporary download link
+	download(blob, fileName) {
+		const link = document.createElement('a');
+		link.href = URL.createObjectURL(blob);
+		link.download = fileName;
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+		setTimeout(() => URL.revokeObjectURL(link.href), 100);
+	}
+};
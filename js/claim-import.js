@@ -0,0 +1,138 @@
+// === Claim Import ===
+// Reads a claim back from a file the app exported: the ZIP bundle (see ClaimExport)
+// or a full JSON export, of any ClaimModel schema version. The data is converted to form
+// data and checked against ClaimFormSchema; the result lists what could not be restored:
+//   { formData, fieldSources, attachments: [{ id, name, type, size, originalSize, sha256,
+//     category, receiptTotal, blob }], unknownFields, missingFields, missingAttachments }
+
+// Error raised for a file that cannot be imported; the message is translated
+class ClaimImportError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'ClaimImportError';
+	}
+}
+
+const ClaimImport = {
+	async read(file) {
+		const bytes = new Uint8Array(await file.arrayBuffer());
+		const claim = ZipReader.isZip(bytes) ? await this.readZip(bytes) : this.readJson(bytes);
+		return this.check(claim);
+	},
+
+	parseJson(bytes) {
+		try {
+			return JSON.parse(new TextDecoder().decode(bytes));
+		} catch (e) {
+			throw new ClaimImportError(I18n.t('import.error.unreadable'));
+		}
+	},
+
+	// Exported claim data upgraded to the current schema version. A redacted copy (see
+	// ClaimRedaction) holds masked card and ID numbers and no signature, so it is refused.
+	upgrade(data) {
+		const claim = data && (data.schemaVersion ? data.claim : data.formData);
+		if (!claim || typeof claim !== 'object') throw new ClaimImportError(I18n.t('import.error.noClaimData'));
+		if (data.redacted === true) throw new ClaimImportError(I18n.t('import.error.redacted'));
+		try {
+			return ClaimModel.migrate(data);
+		} catch (e) {
+			throw new ClaimImportError(I18n.t('import.error.version', { version: data.schemaVersion }));
+		}
+	},
+
+	// JSON export: attachments are listed, but only legacy exports carry their content
+	readJson(bytes) {
+		const { formData, uploadedFiles, unknownFields, fieldSources } = ClaimModel.toForm(this.upgrade(this.parseJson(bytes)).claim);
+		const attachments = uploadedFiles.map(file => ({
+			id: file.id,
+			name: file.name,
+			type: file.type,
+			size: file.size,
+			originalSize: file.originalSize,
+			sha256: file.sha256,
+			category: file.category,
+			receiptTotal: file.receiptTotal,
+			blob: typeof file.data === 'string' ? dataUrlToBlob(file.data, file.type) : null
+		}));
+		return { formData, fieldSources, attachments, unknownFields };
+	},
+
+	// ZIP export: every file is checked against the manifest before anything is restored
+	async readZip(bytes) {
+		let entries;
+		try {
+			entries = new Map(ZipReader.entries(bytes).map(entry => [entry.name, entry]));
+		} catch (e) {
+			throw new ClaimImportError(I18n.t('import.error.unreadable'));
+		}
+		const extract = async name => {
+			try {
+				return await ZipReader.extract(bytes, entries.get(name));
+			} catch (e) {
+				throw new ClaimImportError(I18n.t('import.error.integrity', { name }));
+			}
+		};
+		if (!entries.has('claim.json')) throw new ClaimImportError(I18n.t('import.error.noClaimData'));
+
+		const contents = new Map();
+		if (entries.has('manifest.json')) {
+			const manifest = this.parseJson(await extract('manifest.json'));
+			for (const { path, sha256 } of manifest.files || []) {
+				if (!entries.has(path)) throw new ClaimImportError(I18n.t('import.error.integrity', { name: path }));
+				const data = await extract(path);
+				if (await ClaimExport.sha256(data) !== sha256) throw new ClaimImportError(I18n.t('import.error.integrity', { name: path }));
+				contents.set(path, data);
+			}
+		}
+		const content = async path => contents.get(path) || (entries.has(path) ? extract(path) : null);
+
+		const data = this.upgrade(this.parseJson(await content('claim.json')));
+		const { formData, uploadedFiles, unknownFields, fieldSources } = ClaimModel.toForm(data.claim);
+		const signature = data.signature ? await content(data.signature) : null;
+		if (signature) formData.claimSignature = `data:image/png;base64,${this.toBase64(signature)}`;
+
+		const attachments = [];
+		for (const file of uploadedFiles) {
+			const data = file.path ? await content(file.path) : null;
+			// The hash recorded when the file was uploaded must still match its content
+			if (data && file.sha256 && await ClaimExport.sha256(data) !== file.sha256) {
+				throw new ClaimImportError(I18n.t('import.error.integrity', { name: file.path }));
+			}
+			attachments.push({
+				id: file.id,
+				name: file.name,
+				type: file.type,
+				size: file.size,
+				originalSize: file.originalSize,
+				sha256: file.sha256,
+				category: file.category,
+				receiptTotal: file.receiptTotal,
+				blob: data ? new Blob([data], { type: file.type }) : null
+			});
+		}
+		return { formData, fieldSources, attachments, unknownFields };
+	},
+
+	toBase64(bytes) {
+		let binary = '';
+		for (let i = 0; i < bytes.length; i += 0x8000) {
+			binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+		}
+		return btoa(binary);
+	},
+
+	// List required fields that are empty and attachments without content
+	check({ formData, fieldSources, attachments, unknownFields }) {
+		const linked = attachments.filter(file => file.blob);
+		const errors = ValidationEngine.validate(ClaimFormSchema, { ...formData, uploadedFiles: linked });
+		return {
+			formData,
+			fieldSources,
+			attachments: linked,
+			unknownFields,
+			missingFields: errors.filter(error => error.rule === 'required' || error.rule === 'minItems').map(error => error.field),
+			missingAttachments: attachments.filter(file => !file.blob).map(file => file.name)
+		};
+	}
+};
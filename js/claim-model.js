@@ -0,0 +1,240 @@
+// === Claim Data Model ===
+// The claim as it is saved, exported and returned by getClaimData(): nested sections
+// and a `schemaVersion`. The form itself works on flat `formData` keyed by element id
+// (the keys used in ClaimFormSchema); fromForm() and toForm() convert between the two.
+//
+// Versions:
+//   1  { formData, uploadedFiles } with flat form keys (no schemaVersion)
+//   2  { schemaVersion: 2, claim: { policy, insured, incident, payee, payment,
+//        declaration, attachments, sources } }
+//   3  { schemaVersion: 3, claim: { policy, insured, incident, payout, payees,
+//        declaration, attachments, sources } }
+//   4  { schemaVersion: 4, claim: { policy, insured, incident, payout, payees, expenses,
+//        declaration, attachments, sources } }
+// `payees` lists everyone the claim is paid to, each with their own bank details and
+// share; `payout.split` says whether shares are percentages or amounts of `payout.total`.
+// `expenses` itemizes the amounts claimed, each with its currency and the id of the
+// attachment holding its receipt.
+// `sources` is optional: for values taken from a document (see ClaimOcr), the path of
+// the value -> { attachmentId, confidence }.
+// Older saved drafts and exported files are upgraded by migrate().
+const ClaimModel = {
+	schemaVersion: 4,
+
+	// Form key -> path in the claim, value type (string, date, datetime or boolean) and,
+	// for personal data, its sensitivity (see ClaimRedaction.rules)
+	fields: {
+		'policySource': { path: 'policy.source', type: 'string' },
+		'policy-number': { path: 'policy.number', type: 'string' },
+
+		'applicantType': { path: 'insured.relationship', type: 'string' },
+		'insured-name': { path: 'insured.name', type: 'string', sensitivity: 'name' },
+		'id-type': { path: 'insured.idType', type: 'string' },
+		'id-number': { path: 'insured.idNumber', type: 'string', sensitivity: 'identifier' },
+		'insuredBirthDate': { path: 'insured.birthDate', type: 'date', sensitivity: 'personal' },
+		'insuredSex': { path: 'insured.sex', type: 'string' },
+		'phone': { path: 'insured.phone', type: 'string', sensitivity: 'contact' },
+
+		'incident': { path: 'incident.type', type: 'string' },
+		'accident-time': { path: 'incident.time', type: 'datetime' },
+		'common-injury-area': { path: 'incident.injuryArea', type: 'string' },
+		'common-severity': { path: 'incident.severity', type: 'string' },
+		'traffic-motor': { path: 'incident.motorVehicle', type: 'string' },
+		'traffic-location': { path: 'incident.location', type: 'string' },
+		'traffic-police-report': { path: 'incident.policeReport', type: 'string' },
+		'illness-hospital': { path: 'incident.hospital', type: 'string' },
+		'illness-summary': { path: 'incident.diagnosisSummary', type: 'string', sensitivity: 'health' },
+		'serious-diagnosis': { path: 'incident.diagnosis', type: 'string', sensitivity: 'health' },
+		'serious-hospital-start': { path: 'incident.hospitalStart', type: 'date' },
+		'serious-hospital-end': { path: 'incident.hospitalEnd', type: 'date' },
+
+		'payee-split': { path: 'payout.split', type: 'string' },
+		'payout-total': { path: 'payout.total', type: 'string' },
+
+		'agreement': { path: 'declaration.agreed', type: 'boolean' },
+		'claimSignature': { path: 'declaration.signature', type: 'string', sensitivity: 'signature' },
+		'claimSignedAt': { path: 'declaration.signedAt', type: 'datetime' }
+	},
+
+	// Form key -> path within one entry of `payees`. The form keeps the payees as a list
+	// of flat entries in formData.payees.
+	payeeFields: {
+		'payeeType': { path: 'type', type: 'string' },
+		'payee-name': { path: 'name', type: 'string', sensitivity: 'name' },
+		'payee-phone': { path: 'phone', type: 'string', sensitivity: 'contact' },
+		'account-relationship': { path: 'relationship', type: 'string' },
+		'company-registration': { path: 'company.registrationNumber', type: 'string' },
+		'company-contact': { path: 'company.contactPerson', type: 'string', sensitivity: 'name' },
+		'payee-share': { path: 'share', type: 'string' },
+
+		'bank-card': { path: 'payment.bankCard', type: 'string', sensitivity: 'financial' },
+		'bank-name': { path: 'payment.bankName', type: 'string' },
+		'branch-name': { path: 'payment.branchName', type: 'string' }
+	},
+
+	// Form key -> path within one entry of `expenses` (formData.expenses). Amounts are
+	// decimal strings, computed on with Money.
+	expenseFields: {
+		'expense-date': { path: 'date', type: 'date' },
+		'expense-category': { path: 'category', type: 'string' },
+		'expense-provider': { path: 'provider', type: 'string' },
+		'expense-amount': { path: 'amount', type: 'string' },
+		'expense-currency': { path: 'currency', type: 'string' },
+		'expense-receipt': { path: 'receiptId', type: 'string' }
+	},
+
+	// Paths (within a payee for `payment.*`) filled in by fromForm() itself rather than from a form field
+	fixedPaths: ['payment.method'],
+
+	coerce(type, value) {
+		return type === 'boolean' ? value === true || value === 'true' : String(value);
+	},
+
+	getPath(object, path) {
+		return path.split('.').reduce((node, name) => (node == null ? undefined : node[name]), object);
+	},
+
+	setPath(object, path, value) {
+		const names = path.split('.');
+		const last = names.pop();
+		const parent = names.reduce((node, name) => (node[name] = node[name] || {}), object);
+		parent[last] = value;
+	},
+
+	// Nested values of the `fields` present in flat `data`, set on `target`
+	assign(target, fields, data) {
+		Object.entries(fields).forEach(([key, { path, type }]) => {
+			const value = data[key];
+			if (value === undefined || value === null || value === '') return;
+			this.setPath(target, path, this.coerce(type, value));
+		});
+		return target;
+	},
+
+	// Flat values of the `fields` found in a nested `node`; paths no field maps to are
+	// added to `unknownFields`, prefixed with `prefix`
+	flatten(node, fields, unknownFields, prefix = '') {
+		const keysByPath = new Map(Object.entries(fields).map(([key, { path }]) => [path, key]));
+		const formData = {};
+		const walk = (node, parentPath) => {
+			Object.entries(node).forEach(([name, value]) => {
+				const path = parentPath ? `${parentPath}.${name}` : name;
+				if (keysByPath.has(path)) {
+					const key = keysByPath.get(path);
+					if (value !== undefined && value !== null && value !== '') formData[key] = this.coerce(fields[key].type, value);
+				} else if (value && typeof value === 'object' && !Array.isArray(value)) {
+					walk(value, path);
+				} else if (!this.fixedPaths.includes(path)) {
+					unknownFields.push(prefix ? `${prefix}.${path}` : path);
+				}
+			});
+		};
+		walk(node, '');
+		return formData;
+	},
+
+	// Structured claim from the form's flat data and attachment metadata. `fieldSources`
+	// maps form keys to { value, attachmentId, confidence }; a source is kept while the
+	// field still holds that value and the attachment is still there.
+	fromForm(formData = {}, uploadedFiles = [], fieldSources = {}) {
+		const claim = {
+			policy: {},
+			insured: {},
+			incident: {},
+			payout: {},
+			payees: (formData.payees || []).map(entry => this.assign({ payment: { method: 'bank-card' } }, this.payeeFields, entry)),
+			expenses: (formData.expenses || []).map(entry => this.assign({}, this.expenseFields, entry)),
+			declaration: {},
+			attachments: uploadedFiles.map(({ id, name, size, originalSize, type, sha256, category, receiptTotal }) => ({ id, name, size, originalSize, type, sha256, category, receiptTotal }))
+		};
+		this.assign(claim, this.fields, formData);
+		const sources = {};
+		Object.entries(fieldSources).forEach(([key, { value, attachmentId, confidence }]) => {
+			if (!this.fields[key] || formData[key] !== value || !uploadedFiles.some(file => file.id === attachmentId)) return;
+			sources[this.fields[key].path] = { attachmentId, confidence };
+		});
+		if (Object.keys(sources).length > 0) claim.sources = sources;
+		return claim;
+	},
+
+	// Flat form data, attachment list and field sources of a structured claim.
+	// `unknownFields` lists the paths in the claim that no form field maps to
+	// (`payees.<index>.<path>` within a payee, `expenses.<index>.<path>` within an expense).
+	toForm(claim = {}) {
+		const unknownFields = [];
+		const { attachments = [], sources = {}, payees = [], expenses = [], ...sections } = claim;
+		const formData = this.flatten(sections, this.fields, unknownFields);
+		if (Array.isArray(payees) && payees.length > 0) {
+			formData.payees = payees.map((payee, index) => this.flatten(payee || {}, this.payeeFields, unknownFields, `payees.${index}`));
+		}
+		if (Array.isArray(expenses) && expenses.length > 0) {
+			formData.expenses = expenses.map((expense, index) => this.flatten(expense || {}, this.expenseFields, unknownFields, `expenses.${index}`));
+		}
+		const keysByPath = new Map(Object.entries(this.fields).map(([key, { path }]) => [path, key]));
+		const fieldSources = {};
+		Object.entries(sources).forEach(([path, source]) => {
+			const key = keysByPath.get(path);
+			if (key && key in formData) fieldSources[key] = { value: formData[key], ...source };
+		});
+		return { formData, uploadedFiles: attachments.map(file => ({ ...file })), unknownFields, fieldSources };
+	},
+
+	// Form key -> path of the payee fields in version 2, which had one payee (`payee`)
+	// with its bank details beside it (`payment`)
+	version2PayeeFields: {
+		'payeeType': { path: 'payee.type', type: 'string' },
+		'payee-name': { path: 'payee.name', type: 'string' },
+		'payee-phone': { path: 'payee.phone', type: 'string' },
+		'account-relationship': { path: 'payee.relationship', type: 'string' },
+		'bank-card': { path: 'payment.bankCard', type: 'string' },
+		'bank-name': { path: 'payment.bankName', type: 'string' },
+		'branch-name': { path: 'payment.branchName', type: 'string' }
+	},
+
+	// migrations[n] upgrades a saved draft or exported claim from version n to n + 1
+	migrations: {
+		1(data) {
+			const { formData = {}, uploadedFiles, attachments, ...rest } = data;
+			const flat = { ...formData };
+			// 'accident-situation' was the incident key before 'incident'
+			if (!flat.incident && flat['accident-situation']) flat.incident = flat['accident-situation'];
+			delete flat['accident-situation'];
+			// The version 2 claim: the sections later versions left as they were, and the
+			// single payee with its bank details in `payment` (see version2PayeeFields)
+			const fields = { ...this.version2PayeeFields };
+			Object.entries(this.fields).forEach(([key, field]) => {
+				if (['policy', 'insured', 'incident', 'declaration'].includes(field.path.split('.')[0])) fields[key] = field;
+			});
+			const claim = this.assign({ policy: {}, insured: {}, incident: {}, payee: {}, payment: { method: 'bank-card' }, declaration: {} }, fields, flat);
+			// Keep every attachment property (exports add `path`, old drafts base64 `data`)
+			claim.attachments = (uploadedFiles || attachments || []).map(file => ({ ...file }));
+			// Keys without a field are kept at the top level, where toForm() reports them
+			Object.keys(flat).forEach(key => {
+				if (!fields[key] && !(key in claim)) claim[key] = flat[key];
+			});
+			return { ...rest, schemaVersion: 2, claim };
+		},
+		2(data) {
+			const { payee, payment, ...sections } = data.claim || {};
+			const claim = { ...sections, payout: { split: 'percent' }, payees: [] };
+			const entered = Object.keys(payee || {}).length > 0 || Object.keys(payment || {}).some(name => name !== 'method');
+			if (entered) claim.payees.push({ ...payee, share: '100', payment: { method: 'bank-card', ...payment } });
+			return { ...data, schemaVersion: 3, claim };
+		},
+		// Expenses were not itemized before version 4
+		3(data) {
+			return { ...data, schemaVersion: 4, claim: { ...data.claim, expenses: [] } };
+		}
+	},
+
+	// Upgrade a saved draft or exported claim to the current schema version
+	migrate(data) {
+		let version = data.schemaVersion || 1;
+		if (version > this.schemaVersion) throw new Error(`Unsupported claim schema version: ${version}`);
+		while (version < this.schemaVersion) {
+			data = this.migrations[version].call(this, data);
+			version = data.schemaVersion;
+		}
+		return data;
+	}
+};
@@ -0,0 +1,372 @@
+// === Claim Form PDF ===
+// Builds the signed claim form as a PDF, without external libraries. The output
+// depends only on the arguments and the policy terms of the expense estimate (see
+// ClaimCoverage), not on the clock or a canvas, so the same claim always produces the
+// same bytes. Text uses the standard Helvetica fonts; characters outside Latin-1
+// (e.g. Chinese names) use the STSong-Light CJK font, which PDF viewers provide
+// without embedding.
+const ClaimPdf = {
+	pageWidth: 595, // A4 in points
+	pageHeight: 842,
+	margin: 50,
+	labelWidth: 170,
+
+	// Fields printed on the form, by section (formData keys, in order)
+	sections: [
+		{ title: 'pdf.section.insured', fields: ['applicantType', 'insured-name', 'id-type', 'id-number', 'insuredBirthDate', 'insuredSex', 'phone'] },
+		{ title: 'pdf.section.incident', fields: ['accident-time', 'policySource', 'policy-number', 'incident', 'common-injury-area', 'common-severity',
+			'traffic-motor', 'traffic-location', 'traffic-police-report', 'illness-hospital', 'illness-summary',
+			'serious-diagnosis', 'serious-hospital-start', 'serious-hospital-end', 'agreement'] },
+		{ title: 'pdf.section.payment', fields: ['payee-split', 'payout-total'] }
+	],
+	// Fields printed for each payee, after the payment section
+	payeeFields: ['payeeType', 'payee-name', 'company-registration', 'company-contact', 'payee-phone', 'account-relationship',
+		'payee-share', 'bank-card', 'bank-name', 'branch-name'],
+	// Catalog prefix for option labels of fields whose values are not under value.<field>.*
+	valuePrefixes: {
+		applicantType: 'applicant',
+		payeeType: 'payee'
+	},
+
+	// Helvetica advance widths (1/1000 em) for ASCII 32-126; other Latin-1 characters use 556
+	helveticaWidths: [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+		556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+		1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+		667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+		333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+		556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584],
+	// Helvetica-Bold widths for the same range
+	helveticaBoldWidths: [278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+		556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+		975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+		667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+		333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+		611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584],
+
+	isLatin(ch) {
+		return ch.charCodeAt(0) <= 0xff;
+	},
+
+	charWidth(ch, bold) {
+		const code = ch.charCodeAt(0);
+		if (code > 0xff) return 1000;
+		const table = bold ? this.helveticaBoldWidths : this.helveticaWidths;
+		return code >= 32 && code <= 126 ? table[code - 32] : 556;
+	},
+
+	textWidth(text, size, bold = false) {
+		let width = 0;
+		for (const ch of text) width += this.charWidth(ch, bold);
+		return width * size / 1000;
+	},
+
+	// Split text into lines no wider than maxWidth: Latin text breaks at spaces,
+	// CJK text between any two characters, over-long words anywhere
+	wrap(text, size, maxWidth, bold = false) {
+		const lines = [];
+		String(text).split(/\r?\n/).forEach(paragraph => {
+			let line = '';
+			const tokens = paragraph.match(/\s+|[^\s\u0100-\uffff]+|[\u0100-\uffff]/g) || [''];
+			tokens.forEach(token => {
+				if (/^\s+$/.test(token)) {
+					if (line) line += ' ';
+					return;
+				}
+				if (line && this.textWidth(line + token, size, bold) > maxWidth) {
+					lines.push(line.trimEnd());
+					line = '';
+				}
+				while (this.textWidth(token, size, bold) > maxWidth) {
+					let cut = 1;
+					while (cut < token.length && this.textWidth(token.slice(0, cut + 1), size, bold) <= maxWidth) cut++;
+					lines.push(token.slice(0, cut));
+					token = token.slice(cut);
+				}
+				line += token;
+			});
+			lines.push(line.trimEnd());
+		});
+		return lines;
+	},
+
+	// PDF literal string for Latin-1 text
+	latinString(text) {
+		return `(${text.replace(/[\\()]/g, '\\$&')})`;
+	},
+
+	// PDF hex string in UCS-2 (big-endian) for the CJK font
+	ucs2String(text) {
+		let hex = '';
+		for (const ch of text) {
+			const code = ch.charCodeAt(0);
+			hex += (code > 0xffff ? 0x3f : code).toString(16).toUpperCase().padStart(4, '0');
+		}
+		return `<${hex}>`;
+	},
+
+	// Content stream operators drawing one line at (x, y), switching fonts per script
+	textOps(text, x, y, size, bold = false) {
+		const ops = [];
+		let run = '';
+		let latin = null;
+		const flush = () => {
+			if (!run) return;
+			const font = latin ? (bold ? 'F2' : 'F1') : 'F3';
+			const str = latin ? this.latinString(run) : this.ucs2String(run);
+			ops.push(`BT /${font} ${size} Tf ${this.num(x)} ${this.num(y)} Td ${str} Tj ET`);
+			x += this.textWidth(run, size, bold);
+			run = '';
+		};
+		for (const ch of text) {
+			if (latin !== null && this.isLatin(ch) !== latin) flush();
+			latin = this.isLatin(ch);
+			run += ch;
+		}
+		flush();
+		return ops;
+	},
+
+	num(value) {
+		return Number(value.toFixed(2)).toString();
+	},
+
+	// 'YYYY-MM-DD HH:mm UTC' regardless of the viewer's locale and time zone
+	formatTimestamp(iso) {
+		const date = new Date(iso);
+		if (isNaN(date)) return String(iso);
+		return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+	},
+
+	// Label and display value of a form field in the given catalog
+	describeField(field, value, t) {
+		const label = t(`field.${field}`);
+		if (typeof value === 'boolean') return { label, value: t(value ? 'common.yes' : 'common.no') };
+		const prefix = this.valuePrefixes[field] || `value.${field}`;
+		const key = `${prefix}.${value}`;
+		const text = t(key);
+		return { label, value: text === key ? String(value) : text };
+	},
+
+	// Build the PDF. `files` are attachment metadata ({ id, name, size, category }); `signature` is
+	// { jpeg: Uint8Array, width, height } (see loadSignature) or null; `generatedAt`
+	// and `signedAt` are ISO timestamps. Returns the PDF as a Uint8Array.
+	build({ claimId, formData = {}, files = [], signature = null, signedAt = null, generatedAt, locale = 'en' }) {
+		const t = (key, params) => I18n.translate(locale, key, params);
+		const pages = [];
+		const left = this.margin;
+		const right = this.pageWidth - this.margin;
+		const valueX = left + this.labelWidth;
+		let ops = null;
+		let y = 0;
+
+		const newPage = () => {
+			ops = [];
+			pages.push(ops);
+			y = this.pageHeight - this.margin;
+		};
+		const ensureSpace = height => {
+			if (y - height < this.margin + 20) newPage();
+		};
+		const heading = text => {
+			ensureSpace(40);
+			y -= 14;
+			ops.push(...this.textOps(text, left, y, 13, true));
+			y -= 6;
+			ops.push(`0.8 G 0.5 w ${left} ${this.num(y)} m ${right} ${this.num(y)} l S 0 G`);
+			y -= 16;
+		};
+		const row = (label, value) => {
+			const labelLines = this.wrap(label, 10, this.labelWidth - 10, true);
+			const valueLines = this.wrap(value, 10, right - valueX);
+			const height = Math.max(labelLines.length, valueLines.length) * 14;
+			ensureSpace(height);
+			labelLines.forEach((line, i) => ops.push(...this.textOps(line, left, y - i * 14, 10, true)));
+			valueLines.forEach((line, i) => ops.push(...this.textOps(line, valueX, y - i * 14, 10)));
+			y -= height + 4;
+		};
+
+		newPage();
+		y -= 18;
+		ops.push(...this.textOps(t('pdf.title'), left, y, 18, true));
+		y -= 24;
+		row(t('pdf.claimId'), claimId || '-');
+		row(t('pdf.generatedAt'), this.formatTimestamp(generatedAt));
+		y -= 8;
+
+		const present = (data, fields) => fields.filter(field => data[field] !== undefined && data[field] !== null && data[field] !== '');
+		this.sections.forEach(section => {
+			const rows = present(formData, section.fields).map(field => this.describeField(field, formData[field], t));
+			if (rows.length === 0) return;
+			heading(t(section.title));
+			rows.forEach(({ label, value }) => row(label, value));
+			y -= 8;
+		});
+
+		(formData.payees || []).forEach((payee, i) => {
+			heading(t('payees.title', { number: i + 1 }));
+			present(payee, this.payeeFields).forEach(field => {
+				const { label, value } = this.describeField(field, payee[field], t);
+				row(label, value);
+			});
+			y -= 8;
+		});
+
+		heading(t('pdf.section.documents'));
+		if (files.length === 0) {
+			row('', t('pdf.noDocuments'));
+		} else {
+			files.forEach((file, i) => row(`${i + 1}.`, `${t(`document.category.${file.category || 'other'}`)}: ${file.name} (${this.formatSize(file.size)})`));
+		}
+		y -= 8;
+
+		// Expenses refer to their receipt by its number in the list above
+		const expenses = formData.expenses || [];
+		if (expenses.length > 0) {
+			const separator = t('common.listSeparator');
+			const amount = (units, currency) => `${Money.toDecimal(units, currency)} ${currency}`;
+			heading(t('pdf.section.expenses'));
+			expenses.forEach((expense, i) => {
+				const currency = expense['expense-currency'] || '';
+				const units = Money.units(expense['expense-amount'], currency);
+				const receipt = files.findIndex(file => file.id === expense['expense-receipt']);
+				row(`${i + 1}. ${expense['expense-date'] || '-'}`, [
+					expense['expense-category'] && this.describeField('expense-category', expense['expense-category'], t).value,
+					expense['expense-provider'],
+					units === null ? `${expense['expense-amount'] || '-'} ${currency}` : amount(units, currency),
+					receipt >= 0 && t('pdf.receipt', { number: receipt + 1 })
+				].filter(Boolean).join(separator));
+			});
+			const estimate = ClaimCoverage.estimate(expenses);
+			row(t('pdf.expenseTotal'), estimate.totals.map(total => amount(total.units, total.currency)).join(separator) || '-');
+			row(t('expenses.estimate.coveredTotal'), amount(estimate.covered, estimate.currency));
+			row(t('expenses.estimate.deductible'), amount(estimate.deductible, estimate.currency));
+			row(t('expenses.estimate.reimbursable'), amount(estimate.reimbursable, estimate.currency));
+			if (estimate.excluded.length > 0) {
+				const totals = estimate.excluded.map(total => amount(total.units, total.currency)).join(separator);
+				row('', t('expenses.estimate.excluded', { totals, currency: estimate.currency }));
+			}
+			y -= 8;
+		}
+
+		heading(t('pdf.section.signature'));
+		if (signature) {
+			// Fit the image in a 240 x 80 box, keeping its aspect ratio
+			const scale = Math.min(240 / signature.width, 80 / signature.height);
+			const width = signature.width * scale;
+			const height = signature.height * scale;
+			ensureSpace(height + 30);
+			y -= height;
+			ops.push(`q ${this.num(width)} 0 0 ${this.num(height)} ${left} ${this.num(y)} cm /Sig Do Q`);
+			ops.push(`0.5 w ${left} ${this.num(y - 2)} m ${this.num(left + 240)} ${this.num(y - 2)} l S`);
+			y -= 16;
+			row(t('pdf.signedAt'), signedAt ? this.formatTimestamp(signedAt) : '-');
+		} else {
+			row('', t('pdf.notSigned'));
+		}
+
+		// Footer with page numbers
+		pages.forEach((pageOps, i) => {
+			const text = t('pdf.page', { page: i + 1, pages: pages.length });
+			pageOps.push(...this.textOps(text, right - this.textWidth(text, 8), this.margin - 20, 8));
+		});
+
+		return this.assemble(pages, signature, { title: t('pdf.title'), generatedAt });
+	},
+
+	formatSize(bytes) {
+		if (!bytes) return '0 B';
+		const units = ['B', 'KB', 'MB', 'GB'];
+		const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+		return `${Number((bytes / Math.pow(1024, i)).toFixed(1))} ${units[i]}`;
+	},
+
+	// Write the PDF objects, cross-reference table and trailer
+	assemble(pages, signature, { title, generatedAt }) {
+		const objects = [];
+		const add = body => {
+			objects.push(body);
+			return objects.length;
+		};
+		const stream = (dict, data) => `<< ${dict ? `${dict} ` : ''}/Length ${data.length} >>\nstream\n${data}\nendstream`;
+
+		const catalog = add(null);
+		const pagesRef = add(null);
+		const f1 = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+		const f2 = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+		const descriptor = add('<< /Type /FontDescriptor /FontName /STSong-Light /Flags 6 /FontBBox [-25 -254 1000 880] ' +
+			'/ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 880 /StemV 93 >>');
+		const cidFont = add(`<< /Type /Font /Subtype /CIDFontType0 /BaseFont /STSong-Light ` +
+			`/CIDSystemInfo << /Registry (Adobe) /Ordering (GB1) /Supplement 2 >> /FontDescriptor ${descriptor} 0 R /DW 1000 >>`);
+		const f3 = add(`<< /Type /Font /Subtype /Type0 /BaseFont /STSong-Light /Encoding /UniGB-UCS2-H /DescendantFonts [${cidFont} 0 R] >>`);
+		let image = null;
+		if (signature) {
+			let bytes = '';
+			for (let i = 0; i < signature.jpeg.length; i++) bytes += String.fromCharCode(signature.jpeg[i]);
+			image = add(stream(`/Type /XObject /Subtype /Image /Width ${signature.width} /Height ${signature.height} ` +
+				'/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode', bytes));
+		}
+		const resources = `<< /Font << /F1 ${f1} 0 R /F2 ${f2} 0 R /F3 ${f3} 0 R >>` +
+			(image ? ` /XObject << /Sig ${image} 0 R >>` : '') + ' >>';
+		const kids = pages.map(pageOps => {
+			const content = add(stream('', pageOps.join('\n')));
+			return add(`<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${this.pageWidth} ${this.pageHeight}] ` +
+				`/Resources ${resources} /Contents ${content} 0 R >>`);
+		});
+		objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+		objects[pagesRef - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+		const created = new Date(generatedAt).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+		const info = add(`<< /Title ${this.ucs2Title(title)} /Producer (Insurance Claim System) /CreationDate (D:${created}Z) >>`);
+
+		// Binary string: every character is one byte
+		let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+		const offsets = objects.map((body, i) => {
+			const offset = pdf.length;
+			pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+			return offset;
+		});
+		const xref = pdf.length;
+		pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+		offsets.forEach(offset => { pdf += `${String(offset).padStart(10, '0')} 00000 n \n`; });
+		pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+		const bytes = new Uint8Array(pdf.length);
+		for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i) & 0xff;
+		return bytes;
+	},
+
+	// Document title as a UTF-16BE text string (with byte order mark)
+	ucs2Title(text) {
+		return `<FEFF${this.ucs2String(text).slice(1, -1)}>`;
+	},
+
+	// Signature PNG data URL -> { jpeg, width, height } on a white background (browser only)
+	async loadSignature(dataUrl) {
+		const img = new Image();
+		await new Promise((resolve, reject) => {
+			img.onload = resolve;
+			img.onerror = () => reject(new Error('Signature image could not be loaded'));
+			img.src = dataUrl;
+		});
+		const canvas = document.createElement('canvas');
+		canvas.width = img.naturalWidth;
+		canvas.height = img.naturalHeight;
+		const ctx = canvas.getContext('2d');
+		ctx.fillStyle = '#fff';
+		ctx.fillRect(0, 0, canvas.width, canvas.height);
+		ctx.drawImage(img, 0, 0);
+		const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+		return { jpeg: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height };
+	},
+
+	// IndexedDB key of the claim form stored with a submitted claim
+	fileId(claimId) {
+		return `claim-form-${claimId}`;
+	},
+
+	// Claim form for stored claim data, as a Blob (browser only)
+	async createBlob({ claimId, formData, files, generatedAt, locale }) {
+		const signature = formData.claimSignature ? await this.loadSignature(formData.claimSignature) : null;
+		const bytes = this.build({ claimId, formData, files, signature, signedAt: formData.claimSignedAt, generatedAt, locale });
+		return new Blob([bytes], { type: 'application/pdf' });
+	}
+};
@@ -0,0 +1,155 @@
+// === Claim Form Schema ===
+// Declarative description of the claim form, checked by ValidationEngine.
+// Plain JSON data: field keys are formData keys (DOM element ids or state keys). The one
+// exception is the list of expense currencies, taken from Money (js/money.js, loaded first)
+// so that the form, the claim math and the mock API know the same currencies.
+//
+// Field properties:
+//   step          form step the field is on (1-3)
+//   required      value must be present
+//   requiredWhen  condition (or list of conditions, all must hold) under which the field is required
+//   enum          allowed values
+//   const         the only allowed value (e.g. agreement must be true)
+//   pattern       regular expression the value must match
+//   maxLength     maximum string length
+//   minItems      minimum number of entries (arrays)
+//   items         for a list of entries: { fields, rules, entryMessage }, the fields and
+//                 rules every entry is checked against (conditions see the entry's own
+//                 values first). Errors are reported on `<key>-<index>`, the entry's
+//                 element ids carry the same suffix, and their message is `entryMessage`
+//                 with the entry's {number} and the field's {message}.
+//   format        named check in ValidationEngine.formats
+//   messages      per-rule message keys, overriding the generic ones
+// Fields without any of these are still listed: they are part of the claim data.
+// Conditions: { "field": "<key>", "equals": <value> } or { "field": "<key>", "in": [<values>] }
+//
+// Cross-field rules (`rules`) name a check in ValidationEngine.crossRules; the
+// error is reported on `field`.
+//
+// `documents` lists the categories an attachment can be tagged with and, per
+// incident type, the categories that need at least one file.
+//
+// Messages are I18n keys (js/locales/*.js); generic messages name the field by its
+// `field.<key>` label.
+const ClaimFormSchema = {
+	"version": 1,
+	"fields": {
+		"applicantType": { "step": 1, "enum": ["self", "spouse", "parent", "child", "pet", "other"] },
+		"insured-name": { "step": 1, "required": true, "maxLength": 50,
+			"messages": { "required": "validation.insured-name.required" } },
+		"id-type": { "step": 1, "required": true, "enum": ["national-id", "passport", "driver-license", "other"] },
+		"id-number": { "step": 1, "required": true, "format": "idNumber",
+			"messages": { "required": "validation.id-number.required" } },
+		"insuredBirthDate": { "step": 1 },
+		"insuredSex": { "step": 1, "enum": ["male", "female"] },
+		"phone": { "step": 1, "required": true, "format": "phone",
+			"messages": { "required": "validation.phone.required", "format": "validation.phone.format" } },
+		"accident-time": { "step": 1, "required": true,
+			"messages": { "required": "validation.accident-time.required" } },
+		"policySource": { "step": 1, "enum": ["recommend", "self"] },
+		"policy-number": { "step": 1, "requiredWhen": { "field": "policySource", "equals": "self" },
+			"pattern": "^[A-Za-z0-9-]{6,30}$",
+			"messages": { "required": "validation.policy-number.required", "pattern": "validation.policy-number.pattern" } },
+		"incident": { "step": 1, "required": true,
+			"enum": ["common-accident", "traffic-accident", "ordinary-illness", "serious-illness"],
+			"messages": { "required": "validation.incident.required" } },
+
+		"common-injury-area": { "step": 1, "requiredWhen": { "field": "incident", "equals": "common-accident" } },
+		"common-severity": { "step": 1, "requiredWhen": { "field": "incident", "equals": "common-accident" }, "enum": ["minor", "major"] },
+
+		"traffic-motor": { "step": 1, "requiredWhen": { "field": "incident", "equals": "traffic-accident" }, "enum": ["yes", "no"],
+			"messages": { "required": "validation.traffic-motor.required" } },
+		"traffic-location": { "step": 1, "requiredWhen": { "field": "incident", "equals": "traffic-accident" }, "maxLength": 200 },
+		"traffic-police-report": { "step": 1, "pattern": "^[A-Za-z0-9-]{4,30}$",
+			"messages": { "pattern": "validation.traffic-police-report.pattern" } },
+
+		"illness-hospital": { "step": 1, "requiredWhen": { "field": "incident", "equals": "ordinary-illness" }, "maxLength": 100 },
+		"illness-summary": { "step": 1, "maxLength": 1000 },
+
+		"serious-diagnosis": { "step": 1, "requiredWhen": { "field": "incident", "equals": "serious-illness" }, "maxLength": 1000 },
+		"serious-hospital-start": { "step": 1, "requiredWhen": { "field": "incident", "equals": "serious-illness" } },
+		"serious-hospital-end": { "step": 1 },
+
+		"agreement": { "step": 1, "required": true, "const": true,
+			"messages": { "required": "validation.agreement.required", "const": "validation.agreement.required" } },
+
+		"payee-split": { "step": 2, "required": true, "enum": ["percent", "amount"] },
+		"payout-total": { "step": 2, "requiredWhen": { "field": "payee-split", "equals": "amount" }, "format": "amount",
+			"messages": { "required": "validation.payout-total.required", "format": "validation.payout-total.format" } },
+		"payees": { "step": 2, "minItems": 1,
+			"messages": { "minItems": "validation.payees.minItems" },
+			"items": {
+				"fields": {
+					"payeeType": { "required": true, "enum": ["self", "other", "company"] },
+					"payee-name": { "required": true, "maxLength": 50,
+						"messages": { "required": "validation.payee-name.required" } },
+					"company-registration": { "requiredWhen": { "field": "payeeType", "equals": "company" },
+						"pattern": "^[A-Za-z0-9-]{6,30}$",
+						"messages": { "required": "validation.company-registration.required", "pattern": "validation.company-registration.pattern" } },
+					"company-contact": { "requiredWhen": { "field": "payeeType", "equals": "company" }, "maxLength": 50,
+						"messages": { "required": "validation.company-contact.required" } },
+					"payee-phone": { "required": true, "format": "phone",
+						"messages": { "required": "validation.payee-phone.required", "format": "validation.payee-phone.format" } },
+					"account-relationship": { "enum": ["self", "spouse", "parent", "child", "sibling", "other"] },
+					"bank-card": { "required": true, "format": "bankCard",
+						"messages": { "required": "validation.bank-card.required" } },
+					"bank-name": { "required": true,
+						"messages": { "required": "validation.bank-name.required" } },
+					"branch-name": { "maxLength": 100 },
+					"payee-share": { "required": true, "format": "share",
+						"messages": { "required": "validation.payee-share.required" } }
+				},
+				"rules": [
+					{ "check": "notEquals", "field": "account-relationship", "value": "self", "when": { "field": "payeeType", "equals": "other" },
+						"message": "validation.rule.selfAccountForOtherPayee" }
+				],
+				"entryMessage": "validation.payees.entry"
+			} },
+
+		"uploadedFiles": { "step": 3, "minItems": 1,
+			"messages": { "minItems": "validation.uploadedFiles.minItems" } },
+		"expenses": { "step": 3,
+			"items": {
+				"fields": {
+					"expense-date": { "required": true,
+						"messages": { "required": "validation.expense-date.required" } },
+					"expense-category": { "required": true, "enum": ["medical", "pharmacy", "vehicle-repair", "transport"],
+						"messages": { "required": "validation.expense-category.required" } },
+					"expense-provider": { "required": true, "maxLength": 100,
+						"messages": { "required": "validation.expense-provider.required" } },
+					"expense-amount": { "required": true, "format": "money",
+						"messages": { "required": "validation.expense-amount.required" } },
+					"expense-currency": { "required": true, "enum": Object.keys(Money.currencies) },
+					"expense-receipt": { "required": true, "format": "attachment",
+						"messages": { "required": "validation.expense-receipt.required", "format": "validation.expense-receipt.format" } }
+				},
+				"rules": [
+					{ "check": "notInFuture", "field": "expense-date", "message": "validation.rule.expenseInFuture" },
+					{ "check": "dateOrder", "field": "expense-date", "after": "accident-time", "message": "validation.rule.expenseBeforeIncident" }
+				],
+				"entryMessage": "validation.expenses.entry"
+			} }
+	},
+	"rules": [
+		{ "check": "notInFuture", "field": "accident-time", "message": "validation.rule.accidentInFuture" },
+		{ "check": "notBeforeBirthDate", "field": "accident-time", "message": "validation.rule.accidentBeforeBirth" },
+		{ "check": "notBeforeBirthDate", "field": "serious-hospital-start", "message": "validation.rule.hospitalBeforeBirth" },
+		{ "check": "dateOrder", "field": "serious-hospital-end", "after": "serious-hospital-start", "message": "validation.rule.hospitalEndBeforeStart" },
+		{ "check": "dateOrder", "field": "serious-hospital-start", "after": "accident-time", "when": { "field": "incident", "equals": "serious-illness" },
+			"message": "validation.rule.hospitalBeforeIncident" },
+		{ "check": "sharesTotal", "field": "payees", "share": "payee-share", "total": 100, "when": { "field": "payee-split", "equals": "percent" },
+			"message": "validation.rule.sharesPercent" },
+		{ "check": "sharesTotal", "field": "payees", "share": "payee-share", "totalField": "payout-total", "when": { "field": "payee-split", "equals": "amount" },
+			"message": "validation.rule.sharesAmount" },
+		{ "check": "requiredDocuments", "field": "uploadedFiles", "message": "validation.rule.missingDocuments" }
+	],
+	"documents": {
+		"categories": ["police-report", "medical-receipt", "medical-record", "diagnosis-certificate", "discharge-summary", "identity", "other"],
+		"required": {
+			"common-accident": ["medical-receipt"],
+			"traffic-accident": ["police-report", "medical-receipt"],
+			"ordinary-illness": ["medical-record", "medical-receipt"],
+			"serious-illness": ["diagnosis-certificate", "discharge-summary"]
+		}
+	}
+};
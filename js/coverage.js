@@ -0,0 +1,63 @@
+// === Coverage ===
+// Policy terms behind the reimbursement estimate shown with the expenses: a deductible per
+// claim and a coverage limit per expense category, in the policy currency. A category
+// without a limit is not capped. The defaults can be changed per page, before this
+// script runs or at any time later:
+//   window.CLAIM_COVERAGE_CONFIG = { currency: 'CNY', deductible: '300.00', limits: { transport: '500.00' } }
+// The estimate only guides the claimant; the assessment decides what is paid.
+const ClaimCoverage = {
+	defaults: {
+		currency: 'CNY',
+		deductible: '500.00',
+		limits: {
+			'medical': '50000.00',
+			'pharmacy': '5000.00',
+			'vehicle-repair': '20000.00',
+			'transport': '2000.00'
+		}
+	},
+
+	// The defaults with the page's configuration applied
+	terms() {
+		const config = self.CLAIM_COVERAGE_CONFIG || {};
+		return { ...this.defaults, ...config, limits: { ...this.defaults.limits, ...config.limits } };
+	},
+
+	// Totals of `expenses` (flat form entries) and the estimate, amounts in minor units:
+	//   { currency, totals: [{ currency, units }], categories: [{ category, claimed, limit, covered }],
+	//     covered, deductible, reimbursable, excluded: [{ currency, units }] }
+	// `totals` are per currency. Only expenses in the policy currency are estimated; the
+	// others are converted when the claim is assessed and are listed in `excluded`.
+	// Entries without a category, currency or valid amount are left out.
+	estimate(expenses = []) {
+		const terms = this.terms();
+		const totals = new Map();
+		const claimed = new Map();
+		expenses.forEach(expense => {
+			const category = expense['expense-category'];
+			const currency = expense['expense-currency'];
+			const units = Money.units(expense['expense-amount'], currency);
+			if (!category || !currency || units === null) return;
+			totals.set(currency, (totals.get(currency) || 0) + units);
+			if (currency === terms.currency) claimed.set(category, (claimed.get(category) || 0) + units);
+		});
+
+		const categories = [...new Set([...Object.keys(terms.limits), ...claimed.keys()])].map(category => {
+			const amount = claimed.get(category) || 0;
+			const limit = category in terms.limits ? Money.units(terms.limits[category], terms.currency) : null;
+			return { category, claimed: amount, limit, covered: limit === null ? amount : Math.min(amount, limit) };
+		});
+		const covered = categories.reduce((sum, row) => sum + row.covered, 0);
+		const deductible = Money.units(terms.deductible, terms.currency) || 0;
+		const byCurrency = [...totals].map(([currency, units]) => ({ currency, units }));
+		return {
+			currency: terms.currency,
+			totals: byCurrency,
+			categories,
+			covered,
+			deductible,
+			reimbursable: Math.max(0, covered - deductible),
+			excluded: byCurrency.filter(total => total.currency !== terms.currency)
+		};
+	}
+};
@@ -0,0 +1,66 @@
+// === Safe DOM ===
+// Builds elements from data without parsing HTML. Every renderer that shows file names,
+// form values or server responses goes through it: text is inserted as text nodes and
+// attributes with setAttribute, so nothing a user typed or uploaded can become markup.
+// Listeners are attached in code (or delegated from a container), never as on* attributes,
+// which also keeps the pages working under their Content-Security-Policy (see README).
+const SafeDom = {
+	// Attributes that load or navigate to a URL, and the schemes they may use. Not data:,
+	// which could carry a page (data:text/html) into a link or an <object>; previews of
+	// files use blob: URLs.
+	urlAttributes: ['href', 'src', 'data', 'action', 'formaction'],
+	urlSchemes: ['http:', 'https:', 'blob:', 'mailto:', 'tel:'],
+
+	// SafeDom.el('button', { type: 'button', class: 'btn-primary', dataset: { action: 'resume' } }, label)
+	// Attribute values are strings, true (present) or false/null/undefined (left out);
+	// `dataset` sets data-* attributes. Children are nodes, strings and numbers (inserted
+	// as text), arrays of children, or null/false (skipped).
+	el(tag, attributes = {}, ...children) {
+		const element = document.createElement(tag);
+		Object.entries(attributes || {}).forEach(([name, value]) => {
+			if (name === 'dataset') Object.assign(element.dataset, value);
+			else this.setAttribute(element, name, value);
+		});
+		return this.append(element, ...children);
+	},
+
+	setAttribute(element, name, value) {
+		if (/^on/i.test(name)) throw new TypeError(`Event handler attributes are not allowed: ${name}`);
+		// The policy allows no inline styles; use a class from css/styles.css
+		if (name.toLowerCase() === 'style') throw new TypeError('Style attributes are not allowed');
+		if (value === false || value === null || value === undefined) return;
+		const text = value === true ? '' : String(value);
+		if (this.urlAttributes.includes(name.toLowerCase()) && !this.isSafeUrl(text)) {
+			throw new TypeError(`URL not allowed in ${name}: ${text}`);
+		}
+		element.setAttribute(name, text);
+	},
+
+	// Relative URLs and the schemes in `urlSchemes`; not javascript: and the like
+	isSafeUrl(url) {
+		try {
+			return this.urlSchemes.includes(new URL(url, document.baseURI).protocol);
+		} catch (e) {
+			return false;
+		}
+	},
+
+	append(parent, ...children) {
+		children.flat(Infinity).forEach(child => {
+			if (child === null || child === undefined || child === false) return;
+			parent.append(child instanceof Node ? child : String(child));
+		});
+		return parent;
+	},
+
+	// Replace the whole content of `parent`
+	replace(parent, ...children) {
+		parent.replaceChildren();
+		return this.append(parent, ...children);
+	},
+
+	// Font Awesome icon, hidden from screen readers (`name` like 'fa-check-circle')
+	icon(name) {
+		return this.el('i', { class: `fas ${name}`, 'aria-hidden': 'true' });
+	}
+};
@@ -0,0 +1,148 @@
+// === Drafts Dashboard (drafts.html) ===
+// Lists the claim drafts on this device. Each draft card's buttons name their action in
+// data-draft-action and the draft in data-draft-id; they are handled on the list.
+
+// Offline submission states shown as a badge
+const submissionStates = ['queued', 'sending', 'failed'];
+
+function formatSavedTime(iso) {
+	if (!iso) return '-';
+	return I18n.formatDateTime(iso);
+}
+
+function statusBadge(draft) {
+	if (draft.referenceNumber) return SafeDom.el('span', { class: 'draft-badge' }, I18n.t('drafts.submitted', { reference: draft.referenceNumber }));
+	if (!submissionStates.includes(draft.submissionStatus)) return null;
+	return SafeDom.el('span', { class: `draft-badge status-${draft.submissionStatus}` }, I18n.t(`drafts.status.${draft.submissionStatus}`));
+}
+
+function incidentLabel(incident) {
+	return incident ? I18n.t(`value.incident.${incident}`) : I18n.t('drafts.incidentNotSelected');
+}
+
+// Render the drafts list
+function renderDrafts() {
+	const list = document.getElementById('drafts-list');
+	const empty = document.getElementById('drafts-empty');
+	const drafts = DraftStore.list();
+
+	empty.hidden = drafts.length > 0;
+
+	const meta = (icon, text) => SafeDom.el('span', {}, SafeDom.icon(icon), ` ${text}`);
+	const action = (draft, name, className) => SafeDom.el('button', {
+		type: 'button',
+		class: className,
+		dataset: { draftAction: name, draftId: draft.id }
+	}, I18n.t(`drafts.${name}`));
+	SafeDom.replace(list, drafts.map(draft => {
+		const badge = statusBadge(draft);
+		return SafeDom.el('div', { class: 'draft-card' },
+			SafeDom.el('div', { class: 'draft-info' },
+				SafeDom.el('div', { class: 'draft-name' }, draft.name, badge && ' ', badge),
+				SafeDom.el('div', { class: 'draft-meta' },
+					meta('fa-shoe-prints', I18n.t('drafts.step', { step: draft.currentStep, label: I18n.t(`steps.${draft.currentStep}`) })),
+					meta('fa-notes-medical', incidentLabel(draft.incident)),
+					meta('fa-paperclip', I18n.t('drafts.attachments', { count: I18n.formatNumber(draft.attachmentCount) })),
+					meta('fa-clock', I18n.t('drafts.saved', { time: formatSavedTime(draft.updatedAt) })))),
+			SafeDom.el('div', { class: 'draft-actions' },
+				action(draft, 'resume', 'btn-primary'),
+				draft.referenceNumber && action(draft, 'track', 'btn-secondary'),
+				action(draft, 'duplicate', 'btn-secondary'),
+				action(draft, 'rename', 'btn-secondary'),
+				action(draft, 'delete', 'btn-secondary')));
+	}));
+}
+
+function newDraft() {
+	const draft = DraftStore.create();
+	resumeDraft(draft.id);
+}
+
+function resumeDraft(id) {
+	window.location.href = `index.html?claim=${encodeURIComponent(id)}`;
+}
+
+function trackClaim(id) {
+	const draft = DraftStore.get(id);
+	if (!draft || !draft.referenceNumber) return;
+	window.location.href = `status.html?ref=${encodeURIComponent(draft.referenceNumber)}`;
+}
+
+async function duplicateDraft(id) {
+	try {
+		await DraftStore.duplicate(id);
+		renderDrafts();
+	} catch (error) {
+		console.error('Failed to duplicate draft:', error);
+		alert(I18n.t('drafts.duplicateFailed'));
+	}
+}
+
+function renameDraft(id) {
+	const draft = DraftStore.get(id);
+	if (!draft) return;
+	const name = prompt(I18n.t('drafts.renamePrompt'), draft.name);
+	if (name && name.trim()) {
+		DraftStore.rename(id, name.trim());
+		renderDrafts();
+	}
+}
+
+async function deleteDraft(id) {
+	const draft = DraftStore.get(id);
+	if (!draft) return;
+	if (!confirm(I18n.t('drafts.deleteConfirm', { name: draft.name }))) return;
+	await DraftStore.remove(id);
+	renderDrafts();
+}
+
+const draftActions = {
+	resume: resumeDraft,
+	track: trackClaim,
+	duplicate: duplicateDraft,
+	rename: renameDraft,
+	delete: deleteDraft
+};
+
+function renderEncryptionSettings() {
+	PinLock.renderSettings(document.getElementById('encryption-settings'), () => {
+		renderDrafts();
+		renderEncryptionSettings();
+	});
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', async function() {
+	document.getElementById('new-draft-btn').addEventListener('click', newDraft);
+	document.getElementById('drafts-list').addEventListener('click', event => {
+		const button = event.target.closest('[data-draft-action]');
+		if (button) draftActions[button.dataset.draftAction](button.dataset.draftId);
+	});
+	// Encrypted claim data is read once the PIN is entered
+	await PinLock.unlockPage();
+	// Data saved before drafts existed shows up as a draft
+	DraftStore.migrateLegacy();
+	renderDrafts();
+	renderEncryptionSettings();
+	I18n.onChange(renderDrafts);
+	I18n.onChange(renderEncryptionSettings);
+	syncSubmissionQueue();
+});
+
+// Show offline submission progress, and send claims still queued
+async function syncSubmissionQueue() {
+	const onStatus = entry => {
+		DraftStore.applySubmissionStatus(entry);
+		renderDrafts();
+	};
+	try {
+		const entries = await SubmissionQueue.list();
+		entries.forEach(entry => DraftStore.applySubmissionStatus(SubmissionQueue.summary(entry)));
+		renderDrafts();
+		SubmissionQueue.onStatus(onStatus);
+		window.addEventListener('online', () => SubmissionQueue.flush(onStatus));
+		await SubmissionQueue.flush(onStatus);
+	} catch (error) {
+		console.error('Failed to sync submission queue:', error);
+	}
+}
@@ -0,0 +1,254 @@
+// === Claim Drafts Registry ===
+// Each claim is stored under its own localStorage key; a small index keeps the
+// summary shown on the drafts dashboard. Attachments live in IndexedDB tagged
+// with the claim id (see IDBHelper). With encryption at rest on (see ClaimEncryption)
+// the claim data is stored encrypted and read from `unsealed` once the PIN is entered.
+const DraftStore = {
+	indexKey: 'insurance-claim-drafts',
+	dataKeyPrefix: 'insurance-claim-data:',
+	legacyKey: 'insurance-claim-data', // single-claim key used before drafts existed
+	unsealed: new Map(), // claim id -> JSON text of its decrypted data
+	sealing: Promise.resolve(), // saves still being encrypted, in order
+
+	generateId() {
+		return `claim-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
+	},
+
+	dataKey(id) {
+		return `${this.dataKeyPrefix}${id}`;
+	},
+
+	readIndex() {
+		try {
+			return JSON.parse(localStorage.getItem(this.indexKey)) || [];
+		} catch (e) {
+			console.error('Failed to read drafts index', e);
+			return [];
+		}
+	},
+
+	writeIndex(drafts) {
+		localStorage.setItem(this.indexKey, JSON.stringify(drafts));
+	},
+
+	// All drafts, most recently saved first
+	list() {
+		return this.readIndex().sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+	},
+
+	get(id) {
+		return this.readIndex().find(d => d.id === id) || null;
+	},
+
+	create(name, id = this.generateId()) {
+		const now = new Date().toISOString();
+		const draft = {
+			id,
+			name: name || I18n.t('drafts.defaultName', { date: I18n.formatDate(new Date()) }),
+			currentStep: 1,
+			incident: '',
+			attachmentCount: 0,
+			createdAt: now,
+			updatedAt: now
+		};
+		const drafts = this.readIndex();
+		drafts.push(draft);
+		this.writeIndex(drafts);
+		return draft;
+	},
+
+	updateMeta(id, patch) {
+		const drafts = this.readIndex();
+		const draft = drafts.find(d => d.id === id);
+		if (!draft) return null;
+		Object.assign(draft, patch);
+		this.writeIndex(drafts);
+		return draft;
+	},
+
+	rename(id, name) {
+		return this.updateMeta(id, { name });
+	},
+
+	// Ids of all claims with saved data
+	dataIds() {
+		const ids = [];
+		for (let i = 0; i < localStorage.length; i++) {
+			const key = localStorage.key(i);
+			if (key.startsWith(this.dataKeyPrefix)) ids.push(key.slice(this.dataKeyPrefix.length));
+		}
+		return ids;
+	},
+
+	// A claim's saved data as JSON text, or null. Throws while its data is encrypted and locked.
+	readText(id) {
+		if (this.unsealed.has(id)) return this.unsealed.get(id);
+		const saved = localStorage.getItem(this.dataKey(id));
+		if (ClaimEncryption.isSealed(saved)) throw new Error(`Claim data is encrypted and the PIN has not been entered: ${id}`);
+		return saved;
+	},
+
+	// Store a claim's data as JSON text; with encryption on, it is encrypted in the
+	// background and flush() waits until it is written
+	writeText(id, text) {
+		if (!ClaimEncryption.enabled()) {
+			localStorage.setItem(this.dataKey(id), text);
+			return;
+		}
+		if (ClaimEncryption.locked()) throw new Error(`Claim data is encrypted and the PIN has not been entered: ${id}`);
+		this.unsealed.set(id, text);
+		this.sealing = this.sealing
+			.then(() => ClaimEncryption.sealText(text))
+			.then(sealed => {
+				// Skip a save already replaced by a later one, or by removing the claim
+				if (this.unsealed.get(id) === text) localStorage.setItem(this.dataKey(id), sealed);
+			})
+			.catch(e => console.error('Failed to encrypt claim data', id, e));
+	},
+
+	// Resolves once every save has been written
+	flush() {
+		return this.sealing;
+	},
+
+	// Decrypt the data of every encrypted claim, after the PIN is entered
+	async unseal() {
+		this.unsealed.clear();
+		for (const id of this.dataIds()) {
+			const saved = localStorage.getItem(this.dataKey(id));
+			if (ClaimEncryption.isSealed(saved)) this.unsealed.set(id, await ClaimEncryption.openText(saved));
+		}
+	},
+
+	// A claim's saved data, upgraded to the current ClaimModel schema version
+	loadData(id) {
+		const saved = this.readText(id);
+		if (!saved) return null;
+		const data = JSON.parse(saved);
+		if (data.schemaVersion === ClaimModel.schemaVersion) return data;
+		const upgraded = ClaimModel.migrate(data);
+		this.writeText(id, JSON.stringify(upgraded));
+		return upgraded;
+	},
+
+	// Saved data of a claim with nothing filled in yet
+	emptyData() {
+		return { schemaVersion: ClaimModel.schemaVersion, claim: ClaimModel.fromForm() };
+	},
+
+	// Persist a claim's data and refresh its dashboard summary
+	saveData(id, data) {
+		this.writeText(id, JSON.stringify(data));
+		const claim = data.claim || {};
+		const patch = {
+			currentStep: data.currentStep || 1,
+			incident: (claim.incident && claim.incident.type) || '',
+			attachmentCount: (claim.attachments || []).length,
+			referenceNumber: data.submission ? data.submission.referenceNumber : null,
+			updatedAt: data.timestamp || new Date().toISOString()
+		};
+		if (!this.get(id)) {
+			// First save of a new claim, or a claim missing from the index: register it
+			this.create(undefined, id);
+		}
+		this.updateMeta(id, patch);
+	},
+
+	// Keep the server's response (reference number) with a submitted claim
+	recordSubmission(id, result) {
+		const data = this.loadData(id) || this.emptyData();
+		data.submission = {
+			referenceNumber: result.referenceNumber,
+			status: result.status || 'submitted',
+			submittedAt: result.receivedAt || new Date().toISOString()
+		};
+		this.saveData(id, data);
+		this.updateMeta(id, { submissionStatus: 'sent' });
+	},
+
+	// Reflect an offline-queue status change (see SubmissionQueue) on the draft
+	applySubmissionStatus(entry) {
+		if (!this.get(entry.claimId)) return;
+		this.updateMeta(entry.claimId, { submissionStatus: entry.status });
+		// The reference number is recorded once the claim data can be read
+		if (ClaimEncryption.locked()) return;
+		const data = this.loadData(entry.claimId);
+		if (entry.status === 'sent' && entry.result && !(data && data.submission)) {
+			this.recordSubmission(entry.claimId, entry.result);
+		}
+	},
+
+	// Copy a draft, including its attachments, under a new id
+	async duplicate(id) {
+		const source = this.get(id);
+		if (!source) throw new Error(`Draft not found: ${id}`);
+		const copy = this.create(I18n.t('drafts.copyName', { name: source.name }));
+		// The copy is a fresh, unsubmitted claim
+		const { submission, ...data } = this.loadData(id) || this.emptyData();
+		const attachments = [];
+		const newIds = new Map(); // attachment id in the draft -> id in the copy
+		for (const file of data.claim.attachments || []) {
+			const blob = file.id ? await IDBHelper.getFile(file.id) : null;
+			if (!blob) continue;
+			const newId = generateFileId();
+			await IDBHelper.putFile(newId, blob, copy.id);
+			newIds.set(file.id, newId);
+			attachments.push({ ...file, id: newId });
+		}
+		// Expenses keep their receipts in the copy
+		const expenses = (data.claim.expenses || []).map(({ receiptId, ...expense }) =>
+			(newIds.has(receiptId) ? { ...expense, receiptId: newIds.get(receiptId) } : expense));
+		this.saveData(copy.id, { ...data, claim: { ...data.claim, attachments, expenses }, timestamp: new Date().toISOString() });
+		return this.get(copy.id);
+	},
+
+	async remove(id) {
+		this.unsealed.delete(id);
+		localStorage.removeItem(this.dataKey(id));
+		this.writeIndex(this.readIndex().filter(d => d.id !== id));
+		try {
+			await IDBHelper.deleteFilesByClaim(id);
+		} catch (e) {
+			console.error('Failed to delete draft files from IndexedDB', id, e);
+		}
+	},
+
+	// Erase every claim: saved data, the drafts index, files and queued submissions
+	async removeAll() {
+		this.dataIds().forEach(id => localStorage.removeItem(this.dataKey(id)));
+		localStorage.removeItem(this.indexKey);
+		localStorage.removeItem(this.legacyKey);
+		this.unsealed.clear();
+		await IDBHelper.clearAll();
+	},
+
+	// Move data saved under the pre-drafts single key into its own draft.
+	// Returns the new draft id, or null when there was nothing to migrate.
+	migrateLegacy() {
+		const saved = localStorage.getItem(this.legacyKey);
+		// Waits until the PIN is entered, as the new draft is saved encrypted
+		if (!saved || ClaimEncryption.locked()) return null;
+		let data;
+		try {
+			data = JSON.parse(saved);
+		} catch (e) {
+			console.error('Failed to parse legacy claim data', e);
+			return null;
+		}
+		const draft = this.create();
+		data = ClaimModel.migrate(data);
+		this.saveData(draft.id, { ...data, timestamp: data.timestamp || draft.updatedAt });
+		localStorage.removeItem(this.legacyKey);
+		const ids = data.claim.attachments.map(f => f.id).filter(Boolean);
+		if (ids.length > 0) {
+			IDBHelper.assignClaim(ids, draft.id).catch(e => console.error('Failed to tag legacy files with claim id', e));
+		}
+		console.log('Migrated legacy claim data into draft', draft.id);
+		return draft.id;
+	},
+
+	// Claim id from the page URL (?claim=<id>)
+	idFromUrl() {
+		return new URLSearchParams(window.location.search).get('claim');
+	}
+};
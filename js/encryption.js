@@ -0,0 +1,285 @@
+// === Encryption at Rest ===
+// Optional encryption of the claim data kept on this device: saved drafts in localStorage
+// (see DraftStore) and files in IndexedDB (see IDBHelper), with AES-GCM and a key derived
+// from the user's PIN by PBKDF2. The key is only held in memory, from unlock() until the
+// page is closed; after `maxAttempts` wrong PINs in a row every claim on the device is
+// erased. Not encrypted: the drafts index shown on the dashboard (name, step, incident
+// type, number of attachments) and claims waiting in the offline outbox, which the
+// service worker sends without the PIN.
+//
+// Saved settings (localStorage): { salt, iterations, check, failedAttempts }, where `check`
+// is a known text encrypted with the key, to tell whether a PIN is right. While a PIN is
+// set, changed or turned off, they also hold `rekey: { to, otherPin }`: `to` is the new
+// { salt, iterations, check, otherPin } (null when turning off), and each `otherPin` is the
+// other PIN encrypted with this one's key. The record is saved before any data is rewritten
+// and removed once all of it is, so if the page is closed in between, either PIN unlocks
+// both keys and the change is finished (there are no `salt` and `check` of its own while
+// the PIN is first set up).
+const ClaimEncryption = {
+	settingsKey: 'insurance-claim-encryption',
+	// PBKDF2-SHA-256 iterations for a new PIN; the count used is saved with the salt
+	iterations: 600000,
+	maxAttempts: 5,
+	pinLength: { min: 6, max: 12 },
+	// Encrypted text is stored as aes-gcm:<iv>:<ciphertext>, both base64
+	textPrefix: 'aes-gcm:',
+	checkText: 'insurance-claim-encryption',
+	key: null, // the key the saved settings are for
+	rekeying: null, // while data is moved to a new key: { key }, a null key for no encryption
+
+	// Web Crypto is only available on HTTPS and localhost
+	supported() {
+		return typeof crypto !== 'undefined' && !!crypto.subtle;
+	},
+
+	settings() {
+		try {
+			return JSON.parse(localStorage.getItem(this.settingsKey));
+		} catch (e) {
+			console.error('Failed to read encryption settings', e);
+			return null;
+		}
+	},
+
+	saveSettings(settings) {
+		localStorage.setItem(this.settingsKey, JSON.stringify(settings));
+	},
+
+	enabled() {
+		return !!this.settings();
+	},
+
+	// Encrypted, and the PIN has not been entered on this page yet
+	locked() {
+		return this.enabled() && !this.key && !this.rekeying;
+	},
+
+	validPin(pin) {
+		const { min, max } = this.pinLength;
+		return new RegExp(`^\\d{${min},${max}}$`).test(pin);
+	},
+
+	async deriveKey(pin, salt, iterations) {
+		const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveKey']);
+		return crypto.subtle.deriveKey(
+			{ name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+			material,
+			{ name: 'AES-GCM', length: 256 },
+			false,
+			['encrypt', 'decrypt']
+		);
+	},
+
+	// The key of `pin` for a saved { salt, iterations, check }, or null for another PIN
+	async slotKey(slot, pin) {
+		const key = await this.deriveKey(pin, this.fromBase64(slot.salt), slot.iterations);
+		try {
+			await this.openText(slot.check, key);
+			return key;
+		} catch (e) {
+			return null;
+		}
+	},
+
+	// The keys `pin` opens, or null when it is not the right PIN: { key, rekey }, where
+	// `rekey` is { key } of an unfinished change (see the settings above), else null.
+	// Does not count as an attempt.
+	async keysFor(pin) {
+		const settings = this.settings();
+		if (!settings) return null;
+		const { rekey } = settings;
+		const current = settings.salt ? await this.slotKey(settings, pin) : null;
+		if (current) {
+			if (!rekey) return { key: current, rekey: null };
+			const to = rekey.to ? await this.deriveKey(await this.openText(rekey.otherPin, current), this.fromBase64(rekey.to.salt), rekey.to.iterations) : null;
+			return { key: current, rekey: { key: to } };
+		}
+		const next = rekey && rekey.to ? await this.slotKey(rekey.to, pin) : null;
+		if (!next) return null;
+		const from = settings.salt ? await this.deriveKey(await this.openText(rekey.to.otherPin, next), this.fromBase64(settings.salt), settings.iterations) : null;
+		return { key: from, rekey: { key: next } };
+	},
+
+	async encrypt(data, key) {
+		const iv = crypto.getRandomValues(new Uint8Array(12));
+		return { iv, data: await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data) };
+	},
+
+	// Rejects when the key is wrong or the data was changed
+	decrypt({ iv, data }, key) {
+		return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+	},
+
+	isSealed(text) {
+		return typeof text === 'string' && text.startsWith(this.textPrefix);
+	},
+
+	// Left as it is without a key: drafts stay unencrypted until a new PIN is committed
+	async sealText(text, key = this.key) {
+		if (!key) return text;
+		const { iv, data } = await this.encrypt(new TextEncoder().encode(text), key);
+		return `${this.textPrefix}${this.toBase64(iv)}:${this.toBase64(new Uint8Array(data))}`;
+	},
+
+	async openText(sealed, key) {
+		const [iv, data] = sealed.slice(this.textPrefix.length).split(':').map(part => this.fromBase64(part));
+		return new TextDecoder().decode(await this.decryptWithAny({ iv, data }, key ? [key] : this.readKeys()));
+	},
+
+	// A Blob as stored in IndexedDB: { iv, data, type }. New files get the new key during a
+	// change, and stay a plain Blob while encryption is being turned off.
+	async sealBlob(blob, key = this.rekeying ? this.rekeying.key : this.key) {
+		if (!key) return blob;
+		const { iv, data } = await this.encrypt(await blob.arrayBuffer(), key);
+		return { iv, data, type: blob.type };
+	},
+
+	async openBlob(sealed, key) {
+		return new Blob([await this.decryptWithAny(sealed, key ? [key] : this.readKeys())], { type: sealed.type });
+	},
+
+	// During a change, data may be sealed with either key
+	readKeys() {
+		return [this.key, this.rekeying && this.rekeying.key].filter(Boolean);
+	},
+
+	async decryptWithAny(sealed, keys) {
+		if (keys.length === 0) throw new Error('No key to decrypt with');
+		for (let i = 0; ; i++) {
+			try {
+				return await this.decrypt(sealed, keys[i]);
+			} catch (e) {
+				if (i === keys.length - 1) throw e;
+			}
+		}
+	},
+
+	// Work with `key` from now on (null: encryption off, or locked)
+	use(key) {
+		this.key = key;
+		IDBHelper.cipher = key || this.rekeying ? this : null;
+	},
+
+	// Try a PIN. Resolves with { unlocked: true }, { unlocked: false, attemptsLeft },
+	// { wiped: true } when it was the last attempt and all claim data has been erased, or
+	// { unlocked: true, turnedOff: true } when there is no PIN any more: encryption was
+	// turned off, or the data erased, in another window while the PIN was asked for.
+	async unlock(pin) {
+		const keys = await this.keysFor(pin);
+		const settings = this.settings();
+		if (!settings) {
+			this.use(null);
+			await DraftStore.unseal();
+			return { unlocked: true, turnedOff: true };
+		}
+		if (!keys) {
+			const failedAttempts = (settings.failedAttempts || 0) + 1;
+			if (failedAttempts >= this.maxAttempts) {
+				await this.wipe();
+				return { wiped: true };
+			}
+			this.saveSettings({ ...settings, failedAttempts });
+			return { unlocked: false, attemptsLeft: this.maxAttempts - failedAttempts };
+		}
+		if (settings.failedAttempts) this.saveSettings({ ...settings, failedAttempts: 0 });
+		this.use(keys.key);
+		if (keys.rekey) await this.finishRekey(keys.rekey.key);
+		else await DraftStore.unseal();
+		return { unlocked: true };
+	},
+
+	// Turn encryption on, or change the PIN while unlocked: everything is encrypted again
+	// with a key from the new PIN and a new salt. Changing it takes the current PIN too.
+	async setPin(pin, currentPin = null) {
+		if (this.enabled() && !currentPin) throw new Error('The current PIN is needed to change it');
+		const salt = crypto.getRandomValues(new Uint8Array(16));
+		const key = await this.deriveKey(pin, salt, this.iterations);
+		const to = {
+			salt: this.toBase64(salt),
+			iterations: this.iterations,
+			check: await this.sealText(this.checkText, key),
+			otherPin: currentPin && await this.sealText(currentPin, key)
+		};
+		await this.rekey(key, to, pin);
+	},
+
+	// Turn encryption off (while unlocked): everything is stored unencrypted again
+	async disable() {
+		await this.rekey(null, null, null);
+	},
+
+	// Record the move to `key` (null: unencrypted) with its saved settings `to`, then move
+	async rekey(key, to, pin) {
+		if (this.locked()) throw new Error('Claim data is encrypted and the PIN has not been entered');
+		await DraftStore.flush();
+		const settings = this.settings() || { failedAttempts: 0 };
+		const otherPin = settings.salt && pin ? await this.sealText(pin, this.key) : null;
+		this.saveSettings({ ...settings, rekey: { to, otherPin } });
+		await this.finishRekey(key);
+	},
+
+	// Store all claim data with `key` (null: unencrypted), reading it with the current key
+	// until every file has moved, then save the settings of the new key. Also finishes a
+	// change the page was closed during; files moved before then are left as they are.
+	async finishRekey(key) {
+		this.rekeying = { key };
+		IDBHelper.cipher = this;
+		await DraftStore.unseal();
+		// Files one at a time, as they can be large
+		for (const id of await IDBHelper.fileIds()) {
+			await IDBHelper.rewriteFile(id, async stored => {
+				if (key ? !(stored instanceof Blob) && await this.opens(stored, key) : stored instanceof Blob) return stored;
+				const blob = stored instanceof Blob ? stored : await this.openBlob(stored, this.key);
+				return key ? this.sealBlob(blob, key) : blob;
+			});
+		}
+		// Drafts are small: all of them are encrypted first, then written together with
+		// the settings, so the saved drafts and the saved key never disagree
+		await DraftStore.flush();
+		const drafts = await Promise.all(DraftStore.dataIds().map(async id => {
+			const text = DraftStore.readText(id);
+			return { id, text: key ? await this.sealText(text, key) : text };
+		}));
+		const { rekey, failedAttempts } = this.settings();
+		drafts.forEach(({ id, text }) => localStorage.setItem(DraftStore.dataKey(id), text));
+		if (rekey.to) {
+			const { otherPin, ...settings } = rekey.to;
+			this.saveSettings({ ...settings, failedAttempts });
+		} else {
+			localStorage.removeItem(this.settingsKey);
+		}
+		this.rekeying = null;
+		this.use(key);
+		await DraftStore.unseal();
+	},
+
+	// Whether `key` decrypts a sealed file
+	async opens(sealed, key) {
+		try {
+			await this.decrypt(sealed, key);
+			return true;
+		} catch (e) {
+			return false;
+		}
+	},
+
+	// Erase every claim on this device and turn encryption off
+	async wipe() {
+		this.rekeying = null;
+		this.use(null);
+		localStorage.removeItem(this.settingsKey);
+		await DraftStore.removeAll();
+	},
+
+	toBase64(bytes) {
+		let binary = '';
+		for (let i = 0; i < bytes.length; i += 0x8000) {
+			binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+		}
+		return btoa(binary);
+	},
+
+	fromBase64(text) {
+		return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+	}
+};
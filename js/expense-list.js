@@ -0,0 +1,119 @@
+// === Expense List ===
+// Step 3 itemizes the expenses claimed, one card per expense in #expense-list, each linked
+// to the uploaded file of its receipt by the attachment's id. As on the payee cards, each
+// input's id is its form key with the entry's index (`expense-amount-0`), and buttons name
+// their action in data-expense-action; they are handled on the list (see app.js). Below the
+// list, #expense-estimate shows the totals and what the policy would reimburse (see
+// ClaimCoverage).
+const ExpenseList = {
+	// The entries of the cards in `list`, as flat form data (empty fields left out)
+	read(list) {
+		return Array.from(list.querySelectorAll('.expense-card'), card => {
+			const entry = {};
+			card.querySelectorAll('[data-expense-field]').forEach(element => {
+				if (element.value) entry[element.dataset.expenseField] = element.value;
+			});
+			return entry;
+		});
+	},
+
+	// One card per entry; `files` are the uploaded files a receipt can be picked from
+	render(list, entries, files) {
+		if (entries.length === 0) {
+			SafeDom.replace(list, SafeDom.el('p', { class: 'expense-empty' }, I18n.t('expenses.empty')));
+			return;
+		}
+		SafeDom.replace(list, entries.map((entry, index) => this.card(entry, index, files)));
+	},
+
+	card(entry, index, files) {
+		const number = index + 1;
+		const field = key => this.field(key, entry[key], index, files);
+		return SafeDom.el('div', { class: 'expense-card', dataset: { index } },
+			SafeDom.el('div', { class: 'expense-card-header' },
+				SafeDom.el('h4', { class: 'expense-card-title' }, I18n.t('expenses.item', { number })),
+				SafeDom.el('button', {
+					type: 'button',
+					class: 'btn-secondary expense-remove',
+					'aria-label': I18n.t('expenses.removeLabel', { number }),
+					dataset: { expenseAction: 'remove' }
+				}, SafeDom.icon('fa-trash-alt'), ' ', I18n.t('expenses.remove'))),
+			SafeDom.el('div', { class: 'expense-row' }, field('expense-date'), field('expense-category')),
+			field('expense-provider'),
+			SafeDom.el('div', { class: 'expense-row' }, field('expense-amount'), field('expense-currency')),
+			field('expense-receipt'));
+	},
+
+	field(key, value, index, files) {
+		const id = `${key}-${index}`;
+		const attributes = { id, dataset: { expenseField: key } };
+		const options = ClaimFormSchema.fields.expenses.items.fields[key].enum;
+		let control;
+		if (key === 'expense-category') {
+			control = SafeDom.el('select', { ...attributes, class: 'form-select' },
+				SafeDom.el('option', { value: '' }, I18n.t('common.pleaseSelect')),
+				options.map(option => SafeDom.el('option', { value: option, selected: option === value }, I18n.t(`value.${key}.${option}`))));
+		} else if (key === 'expense-currency') {
+			control = SafeDom.el('select', { ...attributes, class: 'form-select' },
+				options.map(option => SafeDom.el('option', { value: option, selected: option === value }, option)));
+		} else if (key === 'expense-receipt') {
+			// Numbered as in the file list and on the claim form
+			control = SafeDom.el('select', { ...attributes, class: 'form-select' },
+				SafeDom.el('option', { value: '' }, I18n.t(files.length > 0 ? 'expenses.chooseReceipt' : 'expenses.noReceipts')),
+				files.map((file, position) => SafeDom.el('option', { value: file.id, selected: file.id === value },
+					I18n.t('expenses.receiptOption', {
+						number: position + 1,
+						name: file.name,
+						category: I18n.t(`document.category.${file.category || 'other'}`)
+					}))));
+		} else {
+			control = SafeDom.el('input', {
+				...attributes,
+				type: key === 'expense-date' ? 'date' : 'text',
+				class: 'form-input',
+				value: value || '',
+				placeholder: key === 'expense-amount' ? '0.00' : key === 'expense-provider' ? I18n.t('placeholder.expense-provider') : null,
+				inputmode: key === 'expense-amount' ? 'decimal' : null
+			});
+		}
+		return SafeDom.el('div', { class: 'form-group' },
+			SafeDom.el('label', { class: 'form-label', for: id }, I18n.t(`field.${key}`)),
+			control);
+	},
+
+	// Totals per currency, then per category what was claimed, the limit and what is covered,
+	// less the deductible. Hidden while there are no expenses with an amount.
+	renderEstimate(element, estimate) {
+		element.hidden = estimate.totals.length === 0;
+		if (element.hidden) {
+			SafeDom.replace(element);
+			return;
+		}
+		const separator = I18n.t('common.listSeparator');
+		const amounts = totals => totals.map(({ currency, units }) => Money.format(units, currency)).join(separator);
+		const money = units => Money.format(units, estimate.currency);
+		const cell = (text, className) => SafeDom.el('td', { class: className }, text);
+		const summaryRow = (key, units, className) => SafeDom.el('tr', { class: className },
+			SafeDom.el('th', { scope: 'row', colspan: '3' }, I18n.t(`expenses.estimate.${key}`)),
+			cell(money(units), 'amount'));
+		SafeDom.replace(element,
+			SafeDom.el('p', { class: 'expense-total' }, I18n.t('expenses.totalClaimed', { totals: amounts(estimate.totals) })),
+			SafeDom.el('table', { class: 'claim-table expense-estimate-table' },
+				SafeDom.el('caption', {}, I18n.t('expenses.estimate.title')),
+				SafeDom.el('thead', {},
+					SafeDom.el('tr', {}, ['category', 'claimed', 'limit', 'covered'].map(column =>
+						SafeDom.el('th', { scope: 'col' }, I18n.t(`expenses.estimate.${column}`))))),
+				SafeDom.el('tbody', {}, estimate.categories.map(row => SafeDom.el('tr', {},
+					SafeDom.el('th', { scope: 'row' }, I18n.t(`value.expense-category.${row.category}`)),
+					cell(money(row.claimed), 'amount'),
+					cell(row.limit === null ? I18n.t('expenses.estimate.noLimit') : money(row.limit), 'amount'),
+					cell(money(row.covered), 'amount')))),
+				SafeDom.el('tfoot', {},
+					summaryRow('coveredTotal', estimate.covered),
+					summaryRow('deductible', estimate.deductible),
+					summaryRow('reimbursable', estimate.reimbursable, 'expense-reimbursable'))),
+			estimate.excluded.length > 0 && SafeDom.el('p', { class: 'expense-estimate-note' },
+				I18n.t('expenses.estimate.excluded', { totals: amounts(estimate.excluded), currency: estimate.currency })),
+			SafeDom.el('p', { class: 'helper-text' }, I18n.t('expenses.estimate.note')));
+	}
+};
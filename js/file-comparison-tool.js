@@ -0,0 +1,195 @@
+// === File Comparison Tool (file-comparison-tool.html) ===
+// Compares a claim export with a ground truth file, field by field and attachment by
+// attachment. Values and file names come from the files being compared and are shown
+// as text only.
+
+// File info display
+document.getElementById('groundTruthFile').addEventListener('change', function(e) {
+	displayFileInfo('groundTruthInfo', e.target.files[0]);
+});
+
+document.getElementById('testFile').addEventListener('change', function(e) {
+	displayFileInfo('testFileInfo', e.target.files[0]);
+});
+
+document.getElementById('compare-btn').addEventListener('click', compareFiles);
+
+function displayFileInfo(elementId, file) {
+	const element = document.getElementById(elementId);
+	if (file) {
+		const size = (file.size / 1024).toFixed(2);
+		SafeDom.replace(element, SafeDom.el('small', {}, `📄 ${file.name} (${size} KB)`));
+	} else {
+		SafeDom.replace(element);
+	}
+}
+
+async function compareFiles() {
+	const groundTruthFile = document.getElementById('groundTruthFile').files[0];
+	const testFile = document.getElementById('testFile').files[0];
+	const resultsDiv = document.getElementById('results');
+
+	if (!groundTruthFile || !testFile) {
+		SafeDom.replace(resultsDiv, SafeDom.el('p', { class: 'mismatch' }, '⚠️ Please select both files to compare.'));
+		return;
+	}
+
+	try {
+		const [truthText, testText] = await Promise.all([
+			groundTruthFile.text(),
+			testFile.text()
+		]);
+
+		const truthData = JSON.parse(truthText);
+		const testData = JSON.parse(testText);
+
+		// Files saved by older versions are upgraded to the current claim layout
+		compareClaimData(ClaimModel.migrate(truthData), ClaimModel.migrate(testData));
+
+	} catch (error) {
+		SafeDom.replace(resultsDiv, SafeDom.el('p', { class: 'mismatch' }, `❌ Error reading files: ${error.message}`));
+	}
+}
+
+// Claim values by dotted path ("insured.name", "payees.0.name"), attachments excluded
+function claimFields(data) {
+	const fields = {};
+	const walk = (node, prefix) => Object.entries(node).forEach(([name, value]) => {
+		const path = prefix ? `${prefix}.${name}` : name;
+		if (value && typeof value === 'object') walk(value, path);
+		else fields[path] = value;
+	});
+	const { attachments, ...sections } = data.claim || {};
+	walk(sections, '');
+	return fields;
+}
+
+const match = text => SafeDom.el('span', { class: 'match' }, text);
+const mismatch = text => SafeDom.el('span', { class: 'mismatch' }, text);
+const label = text => SafeDom.el('strong', {}, text);
+const br = () => SafeDom.el('br');
+const indent = '\u00a0\u00a0'; // &nbsp;&nbsp;
+
+// One line comparing a file property: ✅/❌, the tested value and, when different, the expected one
+function propertyLine(name, truthValue, testValue, unit = '') {
+	const same = truthValue === testValue;
+	return {
+		same,
+		line: SafeDom.el('p', {},
+			label(`${name}:`), ' ', same ? match('✅') : mismatch('❌'), ` ${testValue}${unit}`,
+			!same && ` (Expected: ${truthValue}${unit})`)
+	};
+}
+
+function compareClaimData(truth, test) {
+	const resultsDiv = document.getElementById('results');
+	const results = [SafeDom.el('h2', {}, '📊 Comparison Results')];
+
+	let overallMatch = true;
+
+	// Compare form data
+	const formSection = SafeDom.el('div', { class: 'summary' }, SafeDom.el('h3', {}, '📋 Form Data Comparison'));
+	const truthFields = claimFields(truth);
+	const testFields = claimFields(test);
+	const formFields = new Set([...Object.keys(truthFields), ...Object.keys(testFields)]);
+	let formMatches = 0;
+	let totalFields = formFields.size;
+
+	for (const field of formFields) {
+		const truthValue = truthFields[field];
+		const testValue = testFields[field];
+		const matches = truthValue === testValue;
+
+		if (matches) formMatches++;
+		else overallMatch = false;
+
+		formSection.appendChild(SafeDom.el('p', {},
+			label(`${field}:`), ' ',
+			matches
+				? [match('✅ Match'), ` (${testValue})`]
+				: [mismatch('❌ Mismatch'), br(), `${indent}Expected: "${truthValue}"`, br(), `${indent}Got: "${testValue}"`]));
+	}
+
+	formSection.appendChild(SafeDom.el('p', {}, label('Form Data Summary:'), ` ${formMatches}/${totalFields} fields match`));
+	results.push(formSection);
+
+	// Compare uploaded files
+	const filesSection = SafeDom.el('div', { class: 'summary' }, SafeDom.el('h3', {}, '📁 Uploaded Files Comparison'));
+
+	const truthFiles = (truth.claim && truth.claim.attachments) || [];
+	const testFiles = (test.claim && test.claim.attachments) || [];
+
+	if (truthFiles.length !== testFiles.length) overallMatch = false;
+	filesSection.appendChild(SafeDom.el('p', {},
+		label('File Count:'), ' ',
+		truthFiles.length === testFiles.length
+			? match(`✅ Match (${testFiles.length} files)`)
+			: [mismatch('❌ Mismatch'), br(), `${indent}Expected: ${truthFiles.length} files`, br(), `${indent}Got: ${testFiles.length} files`]));
+
+	// Compare individual files
+	const maxFiles = Math.max(truthFiles.length, testFiles.length);
+	let fileMatches = 0;
+
+	for (let i = 0; i < maxFiles; i++) {
+		const truthFile = truthFiles[i];
+		const testFile = testFiles[i];
+
+		const comparison = SafeDom.el('div', { class: 'file-comparison' }, SafeDom.el('h4', {}, `📄 File ${i + 1}`));
+
+		if (!truthFile) {
+			comparison.appendChild(SafeDom.el('p', { class: 'mismatch' }, '❌ Extra file in test data'));
+			overallMatch = false;
+		} else if (!testFile) {
+			comparison.appendChild(SafeDom.el('p', { class: 'mismatch' }, '❌ Missing file in test data'));
+			overallMatch = false;
+		} else {
+			// Compare name, size and type
+			const properties = [
+				propertyLine('Name', truthFile.name, testFile.name),
+				propertyLine('Size', truthFile.size, testFile.size, ' bytes'),
+				propertyLine('Type', truthFile.type, testFile.type)
+			];
+			let fileMatch = properties.every(property => property.same);
+			properties.forEach(property => comparison.appendChild(property.line));
+
+			// Compare content by SHA-256 hash; files saved by older versions carry Base64 data instead
+			const contentKey = truthFile.sha256 && testFile.sha256 ? 'sha256' : truthFile.data && testFile.data ? 'data' : null;
+			if (contentKey) {
+				const dataMatch = truthFile[contentKey] === testFile[contentKey];
+				if (!dataMatch) fileMatch = false;
+				comparison.appendChild(SafeDom.el('p', {},
+					label('Content:'), ' ',
+					dataMatch ? match('✅ IDENTICAL') : mismatch('❌ DIFFERENT'),
+					contentKey === 'sha256' && [' ', SafeDom.el('small', {}, `(SHA-256 ${testFile.sha256.slice(0, 12)}…)`)],
+					!dataMatch && [br(), indent, SafeDom.el('small', {}, 'File contents do not match - different file or corrupted data')]));
+			} else {
+				comparison.appendChild(SafeDom.el('p', {},
+					label('Content:'), ' ⚠️ Not compared', br(), indent,
+					SafeDom.el('small', {}, 'A content hash is missing in one of the files')));
+			}
+
+			if (fileMatch) {
+				fileMatches++;
+				comparison.appendChild(SafeDom.el('p', { class: 'match' }, '🎉 ', label('File completely matches!')));
+			} else {
+				overallMatch = false;
+			}
+		}
+
+		filesSection.appendChild(comparison);
+	}
+
+	filesSection.appendChild(SafeDom.el('p', {}, label('Files Summary:'), ` ${fileMatches}/${truthFiles.length} files match completely`));
+	results.push(filesSection);
+
+	// Overall summary
+	results.push(overallMatch
+		? SafeDom.el('div', { class: 'summary' },
+			SafeDom.el('h2', {}, '🎉 ', match('PERFECT MATCH!')),
+			SafeDom.el('p', {}, 'All form data and uploaded files match the ground truth perfectly. Your submission is accurate!'))
+		: SafeDom.el('div', { class: 'summary' },
+			SafeDom.el('h2', {}, '⚠️ ', mismatch('DIFFERENCES FOUND')),
+			SafeDom.el('p', {}, 'Some differences were found between your submission and the ground truth. Please review the details above.')));
+
+	SafeDom.replace(resultsDiv, results);
+}
@@ -0,0 +1,69 @@
+// === File Inspection ===
+// Checks what an upload really contains instead of trusting the type the browser
+// reports (which is only guessed from the file name): the format from the file's first
+// bytes, PDFs that are password-protected or damaged, and the SHA-256 hash kept in the
+// attachment metadata to spot the same document uploaded twice.
+
+// Error raised for a file whose content is not accepted; the message is translated
+class FileInspectionError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'FileInspectionError';
+	}
+}
+
+const FileInspector = {
+	// Brands of the ISO media 'ftyp' box used by HEIC/HEIF photos
+	heifBrands: ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'],
+
+	// Format detected from the first bytes, or null when it is none of the accepted ones
+	sniffType(bytes) {
+		const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+		if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+		if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+		if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+		if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+		if (ascii(4, 8) === 'ftyp' && this.heifBrands.includes(ascii(8, 12))) return 'image/heic';
+		return null;
+	},
+
+	// The upload as a File of its real type. Rejects content of any other format.
+	async withDetectedType(file) {
+		const type = this.sniffType(new Uint8Array(await file.slice(0, 16).arrayBuffer()));
+		if (!type) throw new FileInspectionError(I18n.t('message.unrecognizedFile', { name: file.name }));
+		return type === file.type ? file : new File([file], file.name, { type, lastModified: file.lastModified });
+	},
+
+	// 'encrypted' or 'corrupt' for a PDF that cannot be used, otherwise null. The
+	// cross-reference section that `startxref` points to, with its trailer, names the
+	// encryption dictionary of an encrypted file.
+	pdfProblem(bytes) {
+		const text = new TextDecoder('latin1').decode(bytes.subarray(Math.max(0, bytes.length - 1024)));
+		// A file cut off during download or copying lacks its final startxref ... %%EOF
+		const [last] = Array.from(text.matchAll(/startxref\s+(\d+)\s+%%EOF/g)).slice(-1);
+		if (!last) return 'corrupt';
+		const offset = Number(last[1]);
+		if (offset <= 0 || offset >= bytes.length) return 'corrupt';
+		const xref = new TextDecoder('latin1').decode(bytes.subarray(offset, offset + 32));
+		// A cross-reference table, or an object holding a cross-reference stream
+		if (!/^\s*(xref|\d+\s+\d+\s+obj)\b/.test(xref)) return 'corrupt';
+		const trailer = new TextDecoder('latin1').decode(bytes.subarray(offset));
+		return /\/Encrypt\b/.test(trailer) ? 'encrypted' : null;
+	},
+
+	// Reject a PDF that is password-protected or damaged
+	async checkPdf(file) {
+		const problem = this.pdfProblem(new Uint8Array(await file.arrayBuffer()));
+		if (problem === 'encrypted') throw new FileInspectionError(I18n.t('message.pdfEncrypted', { name: file.name }));
+		if (problem === 'corrupt') throw new FileInspectionError(I18n.t('message.pdfCorrupt', { name: file.name }));
+	},
+
+	async sha256(blob) {
+		return ClaimExport.sha256(new Uint8Array(await blob.arrayBuffer()));
+	},
+
+	// The first of `files` (attachment metadata) with the same content hash, or null
+	findDuplicate(files, sha256) {
+		return (sha256 && files.find(file => file.sha256 === sha256)) || null;
+	}
+};
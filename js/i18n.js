@@ -0,0 +1,116 @@
+// === Internationalization ===
+// Message catalogs (js/locales/*.js register themselves here), the current locale,
+// and locale-aware formatting. Static page text is marked up with data attributes:
+//   data-i18n="key"              element text
+//   data-i18n-placeholder="key"  placeholder attribute
+//   data-i18n-aria-label="key"   aria-label attribute
+//   data-i18n-title="key"        title attribute
+// Messages may contain {name} placeholders filled from the params object.
+const I18n = {
+	storageKey: 'insurance-claim-locale',
+	fallbackLocale: 'en',
+	// Locale -> name shown in the language switcher (in its own language)
+	localeNames: {
+		'en': 'English',
+		'zh-CN': '简体中文'
+	},
+	catalogs: {},
+	locale: 'en',
+	listeners: [],
+
+	register(locale, messages) {
+		this.catalogs[locale] = Object.assign(this.catalogs[locale] || {}, messages);
+	},
+
+	// Saved choice, else the first supported browser language, else English
+	detect() {
+		const saved = localStorage.getItem(this.storageKey);
+		if (saved && this.localeNames[saved]) return saved;
+		const preferred = navigator.languages || [navigator.language || ''];
+		for (const lang of preferred) {
+			if (/^zh\b/i.test(lang)) return 'zh-CN';
+			if (/^en\b/i.test(lang)) return 'en';
+		}
+		return this.fallbackLocale;
+	},
+
+	has(key) {
+		return key in (this.catalogs[this.locale] || {}) || key in (this.catalogs[this.fallbackLocale] || {});
+	},
+
+	// Translate a key; falls back to English, then to the key itself
+	t(key, params = {}) {
+		return this.translate(this.locale, key, params);
+	},
+
+	// Translate into a given locale, independent of the page language
+	translate(locale, key, params = {}) {
+		const catalog = this.catalogs[locale] || {};
+		const fallback = this.catalogs[this.fallbackLocale] || {};
+		const message = key in catalog ? catalog[key] : key in fallback ? fallback[key] : key;
+		return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+	},
+
+	setLocale(locale) {
+		if (!this.localeNames[locale]) locale = this.fallbackLocale;
+		this.locale = locale;
+		localStorage.setItem(this.storageKey, locale);
+		document.documentElement.lang = locale;
+		this.apply();
+		this.listeners.forEach(callback => callback(locale));
+	},
+
+	// Call `callback(locale)` after the language is switched, to re-render dynamic content
+	onChange(callback) {
+		this.listeners.push(callback);
+	},
+
+	// Translate the marked-up static text under `root`
+	apply(root = document) {
+		root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = this.t(el.dataset.i18n); });
+		root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = this.t(el.dataset.i18nPlaceholder); });
+		root.querySelectorAll('[data-i18n-aria-label]').forEach(el => el.setAttribute('aria-label', this.t(el.dataset.i18nAriaLabel)));
+		root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = this.t(el.dataset.i18nTitle); });
+		root.querySelectorAll('select[data-language-switcher]').forEach(select => { select.value = this.locale; });
+	},
+
+	// Fill every language switcher on the page and switch the locale on change
+	mountSwitchers() {
+		document.querySelectorAll('select[data-language-switcher]').forEach(select => {
+			SafeDom.replace(select, Object.entries(this.localeNames).map(([locale, name]) => SafeDom.el('option', { value: locale }, name)));
+			select.value = this.locale;
+			select.addEventListener('change', () => this.setLocale(select.value));
+		});
+	},
+
+	formatDate(value, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
+		return new Intl.DateTimeFormat(this.locale, options).format(new Date(value));
+	},
+
+	formatDateTime(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+		return new Intl.DateTimeFormat(this.locale, options).format(new Date(value));
+	},
+
+	formatNumber(value, options = {}) {
+		return new Intl.NumberFormat(this.locale, options).format(value);
+	},
+
+	formatFileSize(bytes) {
+		const units = ['B', 'KB', 'MB', 'GB'];
+		const i = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1) : 0;
+		return `${this.formatNumber(bytes / Math.pow(1024, i), { maximumFractionDigits: 2 })} ${units[i]}`;
+	},
+
+	init() {
+		this.locale = this.detect();
+		document.documentElement.lang = this.locale;
+		const start = () => {
+			this.mountSwitchers();
+			this.apply();
+		};
+		if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+		else start();
+	}
+};
+
+I18n.init();
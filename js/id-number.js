@@ -0,0 +1,79 @@
+// === ID Number Validation ===
+// Format rules per ID type (the id-type select values). The PRC resident ID
+// encodes the holder's birth date and sex, which are returned so they can be
+// cross-checked against the claim.
+const IdNumberValidator = {
+	// ISO 7064 MOD 11-2 weights and check characters for the 18-digit resident ID
+	residentIdWeights: [7, 9, 10, 5, 8, 4, 2, 1, 6, 3, 7, 9, 10, 5, 8, 4, 2],
+	residentIdCheckChars: '10X98765432',
+	// First two digits: province-level region code
+	residentIdRegions: ['11', '12', '13', '14', '15', '21', '22', '23', '31', '32', '33', '34', '35', '36', '37',
+		'41', '42', '43', '44', '45', '46', '50', '51', '52', '53', '54', '61', '62', '63', '64', '65', '71', '81', '82', '91'],
+
+	normalize(value) {
+		return String(value || '').replace(/\s+/g, '').toUpperCase();
+	},
+
+	// Returns { valid, error, birthDate, sex }; birthDate is 'YYYY-MM-DD', sex 'male' | 'female',
+	// error a translated message
+	validate(idType, value) {
+		const id = this.normalize(value);
+		if (!id) return { valid: false, error: I18n.t('idNumber.required'), birthDate: null, sex: null };
+		switch (idType) {
+			case 'national-id':
+				return this.validateResidentId(id, 'idNumber.document.resident');
+			case 'driver-license':
+				// Driving licence numbers in the PRC are the holder's resident ID number
+				return this.validateResidentId(id, 'idNumber.document.driverLicense');
+			case 'passport':
+				return this.validatePassport(id);
+			default:
+				return /^[A-Z0-9-]{4,30}$/.test(id)
+					? { valid: true, error: null, birthDate: null, sex: null }
+					: { valid: false, error: I18n.t('idNumber.other'), birthDate: null, sex: null };
+		}
+	},
+
+	// `documentKey` names the document in error messages
+	validateResidentId(id, documentKey) {
+		const fail = key => ({ valid: false, error: I18n.t(key, { document: I18n.t(documentKey) }), birthDate: null, sex: null });
+		if (!/^\d{17}[\dX]$/.test(id)) {
+			return fail('idNumber.format');
+		}
+		if (!this.residentIdRegions.includes(id.slice(0, 2))) {
+			return fail('idNumber.region');
+		}
+		const birthDate = this.parseBirthDate(id.slice(6, 14));
+		if (!birthDate) {
+			return fail('idNumber.birthDate');
+		}
+		if (this.checkChar(id) !== id[17]) {
+			return fail('idNumber.checksum');
+		}
+		return { valid: true, error: null, birthDate, sex: Number(id[16]) % 2 === 1 ? 'male' : 'female' };
+	},
+
+	checkChar(id) {
+		const sum = this.residentIdWeights.reduce((acc, weight, i) => acc + weight * Number(id[i]), 0);
+		return this.residentIdCheckChars[sum % 11];
+	},
+
+	// 'YYYYMMDD' -> 'YYYY-MM-DD' when it is a real date between 1900 and today
+	parseBirthDate(yyyymmdd) {
+		const year = Number(yyyymmdd.slice(0, 4));
+		const month = Number(yyyymmdd.slice(4, 6));
+		const day = Number(yyyymmdd.slice(6, 8));
+		const date = new Date(year, month - 1, day);
+		if (year < 1900 || date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+		if (date > new Date()) return null;
+		return `${yyyymmdd.slice(0, 4)}-${yyyymmdd.slice(4, 6)}-${yyyymmdd.slice(6, 8)}`;
+	},
+
+	validatePassport(id) {
+		// PRC passports: E/G/D/S/P + 7-8 digits (e.g. E12345678, EA1234567); others: 6-9 letters/digits
+		const valid = /^[EGDSP][A-Z]?\d{7,8}$/.test(id) || (/^[A-Z0-9]{6,9}$/.test(id) && /\d/.test(id));
+		return valid
+			? { valid: true, error: null, birthDate: null, sex: null }
+			: { valid: false, error: I18n.t('idNumber.passport'), birthDate: null, sex: null };
+	}
+};
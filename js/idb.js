@@ -0,0 +1,163 @@
+// === IndexedDB Helper for File Storage ===
+// Also loaded by the service worker (importScripts), so it must not touch the DOM.
+const IDBHelper = {
+	db: null,
+	dbName: 'osworld_claims_db',
+	storeName: 'files',
+	outboxStoreName: 'outbox', // offline submission queue (see SubmissionQueue)
+	// Set by ClaimEncryption while encryption at rest is on and unlocked, or the PIN is being
+	// changed: files are stored as its sealBlob() result and read back through openBlob()
+	cipher: null,
+	async open() {
+		if (this.db) return this.db;
+		return new Promise((resolve, reject) => {
+			const req = indexedDB.open(this.dbName, 3);
+			req.onupgradeneeded = event => {
+				// v1: files store; v2: files are tagged with the claim (draft) they belong to
+				const store = event.oldVersion < 1
+					? req.result.createObjectStore(this.storeName, { keyPath: 'id' })
+					: req.transaction.objectStore(this.storeName);
+				if (!store.indexNames.contains('claimId')) {
+					store.createIndex('claimId', 'claimId', { unique: false });
+				}
+				// v3: outbox of claims waiting to be submitted, one entry per claim
+				if (!req.result.objectStoreNames.contains(this.outboxStoreName)) {
+					req.result.createObjectStore(this.outboxStoreName, { keyPath: 'claimId' });
+				}
+			};
+			req.onsuccess = () => {
+				this.db = req.result;
+				// Let a newer page or service worker upgrade the database
+				this.db.onversionchange = () => {
+					this.db.close();
+					this.db = null;
+				};
+				resolve(this.db);
+			};
+			req.onerror = () => reject(req.error);
+		});
+	},
+	async putFile(id, file, claimId = null) {
+		// Encrypted before the transaction starts: it would not wait for the encryption
+		const stored = this.cipher ? await this.cipher.sealBlob(file) : file;
+		const db = await this.open();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(this.storeName, 'readwrite');
+			tx.objectStore(this.storeName).put({ id, file: stored, claimId });
+			tx.oncomplete = resolve;
+			tx.onerror = reject;
+		});
+	},
+	// The stored form of a file: a Blob, or the sealed object of an encrypted one
+	async getStoredFile(id) {
+		const db = await this.open();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(this.storeName, 'readonly');
+			const req = tx.objectStore(this.storeName).get(id);
+			req.onsuccess = () => resolve(req.result ? req.result.file : null);
+			req.onerror = reject;
+		});
+	},
+	async getFile(id) {
+		const stored = await this.getStoredFile(id);
+		if (!stored || stored instanceof Blob) return stored;
+		if (!this.cipher) throw new Error(`File is encrypted and the PIN has not been entered: ${id}`);
+		return this.cipher.openBlob(stored);
+	},
+	// Ids of every stored file
+	async fileIds() {
+		const db = await this.open();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(this.storeName, 'readonly');
+			const req = tx.objectStore(this.storeName).getAllKeys();
+			req.onsuccess = () => resolve(req.result);
+			req.onerror = reject;
+		});
+	},
+	// Replace the stored form of a file with `await transform(stored)`, keeping its claim id
+	// (used to encrypt or decrypt files already stored)
+	async rewriteFile(id, transform) {
+		const stored = await this.getStoredFile(id);
+		if (!stored) return;
+		const file = await transform(stored);
+		const db = await this.open();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(this.storeName, 'readwrite');
+			const store = tx.objectStore(this.storeName);
+			const req = store.get(id);
+			req.onsuccess = () => {
+				if (req.result) store.put({ ...req.result, file });
+			};
+			tx.oncomplete = resolve;
+			tx.onerror = reject;
+		});
+	},
+	async deleteFile(id) {
+		const db = await this.open();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(this.storeName, 'readwrite');
+			tx.objectStore(this.storeName).delete(id);
+			tx.oncomplete = resolve;
+			tx.onerror = reject;
+		});
+	},
+	// Tag existing files with a claim id (used when migrating untagged files)
+	async assignClaim(ids, claimId) {
+		const db = await this.open();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(this.storeName, 'readwrite');
+			const store = tx.objectStore(this.storeName);
+			ids.forEach(id => {
+				const req = store.get(id);
+				req.onsuccess = () => {
+					if (req.result) store.put({ ...req.result, claimId });
+				};
+			});
+			tx.oncomplete = resolve;
+			tx.onerror = reject;
+		});
+	},
+	// Delete every file that belongs to a claim
+	async deleteFilesByClaim(claimId) {
+		const db = await this.open();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(this.storeName, 'readwrite');
+			const req = tx.objectStore(this.storeName).index('claimId').openKeyCursor(IDBKeyRange.only(claimId));
+			req.onsuccess = () => {
+				const cursor = req.result;
+				if (cursor) {
+					tx.objectStore(this.storeName).delete(cursor.primaryKey);
+					cursor.continue();
+				}
+			};
+			tx.oncomplete = resolve;
+			tx.onerror = reject;
+		});
+	},
+	// Delete every file and every queued submission
+	async clearAll() {
+		const db = await this.open();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction([this.storeName, this.outboxStoreName], 'readwrite');
+			tx.objectStore(this.storeName).clear();
+			tx.objectStore(this.outboxStoreName).clear();
+			tx.oncomplete = resolve;
+			tx.onerror = reject;
+		});
+	}
+};
+
+// Stable id for a file stored in IndexedDB
+function generateFileId() {
+	return `file-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
+}
+
+// Convert a base64 data URL (legacy upload format) into a Blob
+function dataUrlToBlob(dataUrl, type) {
+	const parts = dataUrl.split(',');
+	const base64 = parts[1] || '';
+	const byteCharacters = atob(base64);
+	const byteArray = new Uint8Array(byteCharacters.length);
+	for (let i = 0; i < byteCharacters.length; i++) byteArray[i] = byteCharacters.charCodeAt(i);
+	return new Blob([byteArray], { type: type || 'application/octet-stream' });
+}
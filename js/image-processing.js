@@ -0,0 +1,225 @@
+// === Image Processing ===
+// Prepares photos before they are stored with the claim: turns them upright from their
+// EXIF orientation, scales and re-encodes them as JPEG until they fit the target size,
+// converts HEIC/HEIF photos where the browser can decode them, and removes EXIF and XMP
+// metadata (camera details and location). PDFs and GIFs are stored as they are.
+
+// Error raised for a photo that cannot be processed; the message is translated
+class ImageProcessingError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'ImageProcessingError';
+	}
+}
+
+const ImageProcessor = {
+	// Default options; FileHandler passes its own `imageOptions`
+	defaults: {
+		maxDimension: 2560, // longest side, in pixels
+		targetSize: 2 * 1024 * 1024, // photos larger than this are re-encoded
+		quality: 0.85, // JPEG quality of the first attempt
+		minQuality: 0.5, // below this, the photo is scaled down instead
+		minDimension: 800 // the longest side is never scaled below this to reach the target size
+	},
+	heicTypes: ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'],
+
+	// Browsers often leave the type of HEIC files empty, so the extension counts too
+	isHeic(file) {
+		return this.heicTypes.includes(file.type) || /\.hei[cf]$/i.test(file.name);
+	},
+
+	// Whether process() changes the file (the others are stored unchanged)
+	canProcess(file) {
+		return file.type === 'image/jpeg' || file.type === 'image/png' || this.isHeic(file);
+	},
+
+	// Process one file. Resolves with { blob, name, type, originalSize }; rejects with
+	// ImageProcessingError when a photo cannot be decoded.
+	async process(file, options = {}) {
+		const opts = { ...this.defaults, ...options };
+		const result = { blob: file, name: file.name, type: file.type, originalSize: file.size };
+		if (!this.canProcess(file)) return result;
+
+		const heic = this.isHeic(file);
+		const bytes = new Uint8Array(await file.arrayBuffer());
+		const jpeg = !heic && file.type === 'image/jpeg';
+		const orientation = jpeg ? this.jpegOrientation(bytes) : 1;
+		const size = heic ? null : jpeg ? this.jpegSize(bytes) : this.pngSize(bytes);
+		const oversized = !size || Math.max(size.width, size.height) > opts.maxDimension;
+
+		// Upright photos that are small enough only lose their metadata, without re-encoding
+		if (!heic && orientation === 1 && !oversized && file.size <= opts.targetSize) {
+			const stripped = jpeg ? this.stripJpegMetadata(bytes) : this.stripPngMetadata(bytes);
+			return { ...result, blob: new Blob([stripped], { type: file.type }) };
+		}
+
+		let image;
+		try {
+			image = await this.decode(file);
+		} catch (e) {
+			throw new ImageProcessingError(I18n.t(heic ? 'message.heicNotSupported' : 'message.imageNotReadable', { name: file.name }));
+		}
+		const rotation = orientation !== 1 && !this.orientationApplied(orientation, image, size) ? orientation : 1;
+		const longest = Math.max(image.width, image.height);
+		let scale = Math.min(1, opts.maxDimension / longest);
+		let quality = opts.quality;
+		let blob = await this.encode(image, rotation, scale, quality);
+		// Lower the quality first, then the resolution, until the photo fits the target size
+		while (blob.size > opts.targetSize) {
+			if (quality > opts.minQuality) {
+				quality = Math.max(opts.minQuality, quality - 0.1);
+			} else if (longest * scale * 0.75 >= opts.minDimension) {
+				scale *= 0.75;
+			} else {
+				break;
+			}
+			blob = await this.encode(image, rotation, scale, quality);
+		}
+		if (image.close) image.close();
+		return { ...result, blob, name: file.name.replace(/\.[^.]*$/, '') + '.jpg', type: 'image/jpeg' };
+	},
+
+	async decode(blob) {
+		if (typeof createImageBitmap === 'function') return createImageBitmap(blob);
+		const url = URL.createObjectURL(blob);
+		try {
+			const image = new Image();
+			image.src = url;
+			await image.decode();
+			return image;
+		} finally {
+			URL.revokeObjectURL(url);
+		}
+	},
+
+	// Whether the browser already turned the photo upright while decoding it. Current
+	// browsers do; when the orientation swaps the sides of a non-square photo, the
+	// decoded size tells for certain.
+	orientationApplied(orientation, image, size) {
+		if (orientation >= 5 && size && size.width !== size.height) return image.width === size.height;
+		return typeof CSS !== 'undefined' && CSS.supports('image-orientation', 'from-image');
+	},
+
+	// Draw the image scaled and turned upright, and encode it as JPEG
+	encode(image, orientation, scale, quality) {
+		const width = Math.max(1, Math.round(image.width * scale));
+		const height = Math.max(1, Math.round(image.height * scale));
+		const canvas = document.createElement('canvas');
+		canvas.width = orientation >= 5 ? height : width;
+		canvas.height = orientation >= 5 ? width : height;
+		const context = canvas.getContext('2d');
+		// Transparent parts of PNGs become white rather than black
+		context.fillStyle = '#fff';
+		context.fillRect(0, 0, canvas.width, canvas.height);
+		const transforms = {
+			2: [-1, 0, 0, 1, width, 0],
+			3: [-1, 0, 0, -1, width, height],
+			4: [1, 0, 0, -1, 0, height],
+			5: [0, 1, 1, 0, 0, 0],
+			6: [0, 1, -1, 0, height, 0],
+			7: [0, -1, -1, 0, height, width],
+			8: [0, -1, 1, 0, 0, width]
+		};
+		if (transforms[orientation]) context.setTransform(...transforms[orientation]);
+		context.drawImage(image, 0, 0, width, height);
+		return new Promise((resolve, reject) => {
+			canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('JPEG encoding failed'))), 'image/jpeg', quality);
+		});
+	},
+
+	// JPEG marker segments before the image data, as [{ marker, start, end }]
+	jpegSegments(bytes) {
+		const segments = [];
+		if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return segments;
+		const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		let pos = 2;
+		while (pos + 4 <= bytes.length && bytes[pos] === 0xff) {
+			const marker = bytes[pos + 1];
+			if (marker === 0xff) {
+				pos++; // fill byte
+				continue;
+			}
+			if (marker === 0xda || marker === 0xd9) break; // start of scan / end of image
+			const end = pos + 2 + view.getUint16(pos + 2);
+			segments.push({ marker, start: pos, end });
+			pos = end;
+		}
+		return segments;
+	},
+
+	// EXIF orientation (1-8) of a JPEG; 1 when there is none
+	jpegOrientation(bytes) {
+		const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		const exif = this.jpegSegments(bytes).find(({ marker, start, end }) =>
+			marker === 0xe1 && end - start > 18 && String.fromCharCode(...bytes.subarray(start + 4, start + 8)) === 'Exif');
+		if (!exif) return 1;
+		const tiff = exif.start + 10;
+		const little = view.getUint16(tiff) === 0x4949; // 'II'
+		const ifd = tiff + view.getUint32(tiff + 4, little);
+		if (ifd + 2 > exif.end) return 1;
+		const count = view.getUint16(ifd, little);
+		for (let i = 0; i < count; i++) {
+			const entry = ifd + 2 + i * 12;
+			if (entry + 12 > exif.end) break;
+			if (view.getUint16(entry, little) === 0x0112) {
+				const value = view.getUint16(entry + 8, little);
+				return value >= 1 && value <= 8 ? value : 1;
+			}
+		}
+		return 1;
+	},
+
+	// Pixel size stored in the JPEG frame header (before orientation), or null
+	jpegSize(bytes) {
+		const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		// SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+		const frame = this.jpegSegments(bytes).find(({ marker }) =>
+			marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc);
+		return frame ? { width: view.getUint16(frame.start + 7), height: view.getUint16(frame.start + 5) } : null;
+	},
+
+	// Pixel size from the PNG header, or null
+	pngSize(bytes) {
+		if (bytes.length < 24 || String.fromCharCode(...bytes.subarray(12, 16)) !== 'IHDR') return null;
+		const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		return { width: view.getUint32(16), height: view.getUint32(20) };
+	},
+
+	// JPEG without its APP1 segments (EXIF and XMP); the image data is kept as it is
+	stripJpegMetadata(bytes) {
+		const segments = this.jpegSegments(bytes);
+		if (segments.length === 0) return bytes;
+		const parts = [bytes.subarray(0, 2)];
+		segments.forEach(({ marker, start, end }) => {
+			if (marker !== 0xe1) parts.push(bytes.subarray(start, end));
+		});
+		parts.push(bytes.subarray(segments[segments.length - 1].end));
+		return this.concat(parts);
+	},
+
+	// PNG without its eXIf and XMP chunks
+	stripPngMetadata(bytes) {
+		if (!this.pngSize(bytes)) return bytes;
+		const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		const parts = [bytes.subarray(0, 8)];
+		let pos = 8;
+		while (pos + 12 <= bytes.length) {
+			const end = pos + 12 + view.getUint32(pos);
+			const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+			const xmp = type === 'iTXt' && String.fromCharCode(...bytes.subarray(pos + 8, pos + 26)) === 'XML:com.adobe.xmp\0';
+			if (type !== 'eXIf' && !xmp) parts.push(bytes.subarray(pos, end));
+			pos = end;
+		}
+		return this.concat(parts);
+	},
+
+	concat(parts) {
+		const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+		let pos = 0;
+		parts.forEach(part => {
+			result.set(part, pos);
+			pos += part.length;
+		});
+		return result;
+	}
+};
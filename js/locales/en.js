@@ -0,0 +1,488 @@
+// English messages (also the fallback for keys missing from other catalogs)
+I18n.register('en', {
+	'app.title': 'Insurance Claim System',
+	'common.language': 'Language',
+	'common.yes': 'Yes',
+	'common.no': 'No',
+	'common.pleaseSelect': 'Please select',
+	'common.notAvailable': 'Not available',
+	'common.dismiss': 'Dismiss',
+	'common.listSeparator': ', ',
+	'common.back': 'Back',
+	'common.home': 'Home',
+	'common.help': 'Help',
+
+	// Claim form (index.html)
+	'form.header': 'File Claim',
+	'steps.1': 'Report',
+	'steps.2': 'Payment Info',
+	'steps.3': 'Upload Documents',
+	'step1.title': 'Who is filing the claim?',
+	'step1.subtitle': 'Who got injured? Please select who is filing the claim~',
+	'applicant.self': 'Self',
+	'applicant.spouse': 'Spouse',
+	'applicant.parent': 'Parent',
+	'applicant.child': 'Child',
+	'applicant.pet': 'Pet',
+	'applicant.other': 'Other',
+	'step1.voiceInput': 'Voice Input',
+	'step1.claimInfo': 'Claim Information',
+	'step1.selectPolicy': 'Select Policy',
+	'policy.recommend': 'Company Recommended',
+	'policy.self': 'Self Select',
+	'step1.agreement': 'I have read and agree to the "User Terms and Authorization Agreement" and "Claims Service Personal Information Processing Authorization"',
+	'step2.title': 'Payment Information',
+	'step2.payeeInfo': 'Payee Information',
+	'step2.payeeType': 'Payee Type',
+	'payee.self': 'Self',
+	'payee.other': 'Other Person',
+	'payee.company': 'Company',
+	'payees.title': 'Payee {number}',
+	'payees.add': 'Add Payee',
+	'payees.remove': 'Remove',
+	'payees.removeLabel': 'Remove payee {number}',
+	'payees.clearPhone': 'Clear phone number',
+	'payees.share.percent': 'Share (%)',
+	'payees.share.amount': 'Amount',
+	'payees.allocated.percent': 'Allocated {allocated}% of {total}%',
+	'payees.allocated.amount': 'Allocated {allocated} of {total}',
+	'payees.fieldLabel': 'Payee {number}: {label}',
+	'expenses.title': 'Expenses',
+	'expenses.intro': 'List each expense you are claiming and link it to its receipt in the files above.',
+	'expenses.empty': 'No expenses added yet.',
+	'expenses.add': 'Add Expense',
+	'expenses.item': 'Expense {number}',
+	'expenses.remove': 'Remove',
+	'expenses.removeLabel': 'Remove expense {number}',
+	'expenses.fieldLabel': 'Expense {number}: {label}',
+	'expenses.chooseReceipt': 'Choose the receipt',
+	'expenses.noReceipts': 'Upload the receipt above first',
+	'expenses.receiptOption': '{number}. {name} ({category})',
+	'expenses.totalClaimed': 'Total claimed: {totals}',
+	'expenses.estimate.title': 'Estimated reimbursement',
+	'expenses.estimate.category': 'Category',
+	'expenses.estimate.claimed': 'Claimed',
+	'expenses.estimate.limit': 'Coverage limit',
+	'expenses.estimate.covered': 'Covered',
+	'expenses.estimate.noLimit': 'No limit',
+	'expenses.estimate.coveredTotal': 'Covered total',
+	'expenses.estimate.deductible': 'Deductible',
+	'expenses.estimate.reimbursable': 'Estimated reimbursement',
+	'expenses.estimate.excluded': 'Not included: {totals}. Expenses in other currencies are converted to {currency} when the claim is assessed.',
+	'expenses.estimate.note': 'Estimated from the policy deductible and coverage limits. The amount paid is decided when the claim is assessed.',
+	'step2.paymentMethod': 'Payment Method',
+	'step2.bankCardMethod': 'Bank Card',
+	'step2.verificationNote': 'Please ensure all payment information is accurate. The claim amount will be transferred to the specified bank account after verification.',
+	'step3.title': 'Upload Claim Documents',
+	'step3.requiredDocuments': 'Required Documents:',
+	'step3.checklistHint': 'Choose the incident type in step 2 to see which documents are required.',
+	'step3.checklist.done': 'Uploaded',
+	'step3.checklist.missing': 'Missing',
+	'step3.documentCategory': 'Document type',
+	'document.category.police-report': 'Police report',
+	'document.category.medical-receipt': 'Medical receipt',
+	'document.category.medical-record': 'Medical record',
+	'document.category.diagnosis-certificate': 'Diagnosis certificate',
+	'document.category.discharge-summary': 'Discharge summary',
+	'document.category.identity': 'Identity document',
+	'document.category.other': 'Other supporting document',
+	'upload.prompt': 'Click to upload or drag files here',
+	'upload.hint': 'Supports images (JPG, PNG, GIF, HEIC) and PDF files. Photos are resized automatically; other files max 10MB each',
+	'upload.fileCategory': 'Document type of {name}',
+	'upload.originalSize': 'original {size}',
+	'upload.duplicateOf': 'Same as {name}',
+	'upload.moveFile': 'Move {name} (drag, or use the arrow keys)',
+	'upload.removeFile': 'Remove {name}',
+	'viewer.previous': 'Previous file',
+	'viewer.next': 'Next file',
+	'viewer.zoomIn': 'Zoom in',
+	'viewer.zoomOut': 'Zoom out',
+	'viewer.rotate': 'Rotate',
+	'viewer.reset': 'Fit to screen',
+	'viewer.close': 'Close',
+	'viewer.counter': '{current} of {total}',
+	'viewer.openPdf': 'This browser cannot show the PDF here. Open it in a new tab',
+	'ocr.enable': 'Read hospital names, report numbers, dates and receipt totals from my photos (on this device)',
+	'ocr.reading': 'Reading text in {name}…',
+	'ocr.found': '{count} suggestion(s) found in {name}. Check each one before accepting it.',
+	'ocr.noneFound': 'No values found in {name}.',
+	'ocr.unavailable': 'Text recognition could not be started in this browser.',
+	'ocr.failed': 'Could not read the text in {name}.',
+	'ocr.receiptTotal': 'Receipt total',
+	'ocr.receiptTotalValue': 'Total {amount}',
+	'ocr.source': 'From {name}, {confidence}% confidence',
+	'ocr.accept': 'Accept',
+	'ocr.reject': 'Reject',
+	'action.saveDraft': 'Save Draft',
+	'action.next': 'Next Step',
+	'action.previous': 'Previous Step',
+	'action.submit': 'Submit Claim',
+
+	// Field labels (form, validation messages and the claim application table)
+	'field.applicantType': 'Filed For',
+	'field.insured-name': 'Insured Person Name',
+	'field.id-type': 'ID Type',
+	'field.id-number': 'ID Number',
+	'field.insuredBirthDate': 'Date of Birth',
+	'field.insuredSex': 'Sex',
+	'field.phone': 'Phone Number',
+	'field.accident-time': 'Incident Time',
+	'field.policySource': 'Policy Source',
+	'field.policy-number': 'Policy Number',
+	'field.incident': 'Incident Situation',
+	'field.common-injury-area': 'Injury Area',
+	'field.common-severity': 'Severity',
+	'field.traffic-motor': 'Is Motor Vehicle Involved?',
+	'field.traffic-location': 'Accident Location',
+	'field.traffic-police-report': 'Police Report Number (if any)',
+	'field.illness-hospital': 'Diagnosis Hospital',
+	'field.illness-summary': 'Diagnosis Summary',
+	'field.serious-diagnosis': 'Diagnosis Details',
+	'field.serious-hospital-start': 'Hospitalization Start Date',
+	'field.serious-hospital-end': 'Hospitalization End Date',
+	'field.agreement': 'Agreed',
+	'field.payeeType': 'Payee Type',
+	'field.payee-name': 'Payee Name',
+	'field.payee-phone': 'Payee Phone Number',
+	'field.bank-card': 'Bank Card Number',
+	'field.bank-name': 'Bank Name',
+	'field.branch-name': 'Branch Name (Optional)',
+	'field.account-relationship': 'Account Holder Relationship',
+	'field.company-name': 'Company Name',
+	'field.company-registration': 'Business Registration Number',
+	'field.company-contact': 'Contact Person',
+	'field.payee-share': 'Share',
+	'field.payee-split': 'Split Between Payees',
+	'field.payout-total': 'Total Amount to Split',
+	'field.expense-date': 'Expense Date',
+	'field.expense-category': 'Category',
+	'field.expense-provider': 'Provider',
+	'field.expense-amount': 'Amount',
+	'field.expense-currency': 'Currency',
+	'field.expense-receipt': 'Receipt',
+	'field.uploadedFiles': 'Claim Documents',
+
+	'placeholder.insured-name': 'Enter insured person\'s name',
+	'placeholder.id-number': 'Enter ID number',
+	'placeholder.phone': 'Enter phone number (international format supported)',
+	'placeholder.policy-number': 'Please enter policy number',
+	'placeholder.common-injury-area': 'Describe injured area',
+	'placeholder.traffic-location': 'Enter location',
+	'placeholder.traffic-police-report': 'Enter police report number',
+	'placeholder.illness-hospital': 'Hospital name',
+	'placeholder.illness-summary': 'Brief diagnosis summary',
+	'placeholder.serious-diagnosis': 'Describe diagnosis and dates',
+	'placeholder.payee-name': 'Enter payee name',
+	'placeholder.payee-phone': 'Enter payee phone number',
+	'placeholder.bank-card': 'Enter bank card number',
+	'placeholder.branch-name': 'Enter branch name (optional)',
+	'placeholder.company-registration': 'Enter business registration number',
+	'placeholder.company-contact': 'Enter contact person name',
+	'placeholder.expense-provider': 'Hospital, pharmacy, garage or transport company',
+	'helper.phone': 'Supports international phone number formats (e.g., +1234567890)',
+	'helper.accident-time': 'Time of accident or first medical consultation for illness',
+	'helper.policy-number': 'Enter your policy number (required if Self Select)',
+	'helper.bank-card': '13-19 digits; the bank is selected automatically when recognized',
+
+	// Select option values
+	'value.id-type.national-id': 'National ID',
+	'value.id-type.passport': 'Passport',
+	'value.id-type.driver-license': 'Driver\'s License',
+	'value.id-type.other': 'Other',
+	'value.incident.common-accident': 'Common Accident',
+	'value.incident.traffic-accident': 'Traffic Accident',
+	'value.incident.ordinary-illness': 'Ordinary Illness',
+	'value.incident.serious-illness': 'Serious Illness',
+	'value.common-severity.minor': 'Minor',
+	'value.common-severity.major': 'Major',
+	'value.traffic-motor.yes': 'Yes',
+	'value.traffic-motor.no': 'No',
+	'value.insuredSex.male': 'Male',
+	'value.insuredSex.female': 'Female',
+	'value.policySource.recommend': 'Company Recommended',
+	'value.policySource.self': 'Self Select',
+	'value.bank-name.placeholder': 'Select your bank',
+	'value.bank-name.agricultural-bank': 'Agricultural Bank of China',
+	'value.bank-name.industrial-bank': 'Industrial and Commercial Bank of China',
+	'value.bank-name.construction-bank': 'China Construction Bank',
+	'value.bank-name.bank-of-china': 'Bank of China',
+	'value.bank-name.postal-bank': 'Postal Savings Bank of China',
+	'value.bank-name.communications-bank': 'Bank of Communications',
+	'value.bank-name.merchants-bank': 'China Merchants Bank',
+	'value.bank-name.minsheng-bank': 'China Minsheng Bank',
+	'value.bank-name.citic-bank': 'China CITIC Bank',
+	'value.bank-name.other': 'Other Bank',
+	'value.account-relationship.self': 'Self',
+	'value.account-relationship.spouse': 'Spouse',
+	'value.account-relationship.parent': 'Parent',
+	'value.account-relationship.child': 'Child',
+	'value.account-relationship.sibling': 'Sibling',
+	'value.account-relationship.other': 'Other',
+	'value.payee-split.percent': 'By percentage',
+	'value.payee-split.amount': 'By amount',
+	'value.expense-category.medical': 'Medical',
+	'value.expense-category.pharmacy': 'Pharmacy',
+	'value.expense-category.vehicle-repair': 'Vehicle repair',
+	'value.expense-category.transport': 'Transport',
+
+	// Modals
+	'modal.claimApplication': 'Claim Application',
+	'modal.clearSignature': 'Clear',
+	'modal.confirmSignature': 'Confirm & Continue',
+	'modal.confirmPayee': 'Confirm Payee Information',
+	'modal.editPayee': 'Return to Edit',
+	'modal.confirm': 'Confirm',
+
+	// Notifications
+	'message.saveFailed': 'Failed to save metadata, please check storage space',
+	'message.exportSucceeded': 'Data and files exported successfully',
+	'message.exportFailed': 'Data export failed',
+	'message.fileDeleted': 'File deleted',
+	'message.fileNotAvailable': 'File content not available: {name}',
+	'message.fileUploaded': 'File {name} uploaded successfully',
+	'message.fileProcessingFailed': 'File {name} processing failed',
+	'message.fileProcessing': 'Processing {name}…',
+	'message.heicNotSupported': 'HEIC photo {name} cannot be converted in this browser. Please upload it as JPEG.',
+	'message.imageNotReadable': 'Image {name} could not be read',
+	'message.unrecognizedFile': '{name} is not a JPG, PNG, GIF, HEIC or PDF file',
+	'message.pdfEncrypted': '{name} is password-protected. Please upload the PDF without a password',
+	'message.pdfCorrupt': '{name} is damaged or incomplete and cannot be used',
+	'message.duplicateFile': '{name} is identical to {duplicate}, which is already attached',
+	'message.unsupportedFileType': 'Unsupported file type: {name}',
+	'message.fileTooLarge': 'File too large: {name} (max {max})',
+	'message.nextStep': 'Proceeding to next step',
+	'message.draftSaved': 'Form saved as draft',
+	'message.submitting': 'Submitting insurance claim...',
+	'message.leaveConfirm': 'Are you sure you want to leave? Unsaved data will be lost.',
+	'message.payeeConfirmed': 'Payee confirmed',
+	'message.voiceInput': 'Voice input feature is under development...',
+	'message.bankMismatch': 'This card appears to be issued by {issuer}, not {selected}. Please check the bank.',
+
+	// Submission
+	'submission.queued': 'Queued — you are offline. Your claim will be sent automatically when the connection is back.',
+	'submission.sending': 'Sending your claim...',
+	'submission.sent': 'Sent — reference number {reference}',
+	'submission.failed': 'Failed — {reason}. Please review and submit again.',
+	'submission.notAccepted': 'the claim was not accepted',
+	'submission.error': 'Submission failed: {message}',
+	'submission.unreachable': 'Could not reach the claims service. Please check your connection and try again.',
+	'submission.unavailable': 'The claims service is temporarily unavailable. Please try again later.',
+	'submission.rejected': 'Claim rejected: {reasons}',
+
+	// Validation
+	'validation.summaryTitle': 'Please correct the following:',
+	'validation.required': '{label} is required',
+	'validation.enum': 'Please select a valid {label}',
+	'validation.maxLength': '{label} must be at most {max} characters',
+	'validation.invalid': '{label} is not valid',
+	'validation.insured-name.required': 'Please enter insured person name',
+	'validation.id-number.required': 'Please enter ID number',
+	'validation.phone.required': 'Please enter phone number',
+	'validation.phone.format': 'Please enter a valid international phone number (e.g., +1234567890)',
+	'validation.accident-time.required': 'Please select incident time',
+	'validation.policy-number.required': 'Please enter policy number (required for Self Select)',
+	'validation.policy-number.pattern': 'Policy number must be 6-30 letters, digits or hyphens',
+	'validation.incident.required': 'Please select incident situation',
+	'validation.traffic-motor.required': 'Please select whether a motor vehicle was involved',
+	'validation.traffic-police-report.pattern': 'Police report number must be 4-30 letters, digits or hyphens',
+	'validation.agreement.required': 'Please read and agree to the terms and conditions',
+	'validation.payee-name.required': 'Please enter payee name',
+	'validation.payee-phone.required': 'Please enter payee phone number',
+	'validation.payee-phone.format': 'Please enter a valid payee phone number',
+	'validation.bank-card.required': 'Please enter bank card number',
+	'validation.bank-name.required': 'Please select bank name',
+	'validation.company-registration.required': 'Please enter the business registration number',
+	'validation.company-registration.pattern': 'Business registration number must be 6-30 letters, digits or hyphens',
+	'validation.company-contact.required': 'Please enter the company contact person',
+	'validation.payee-share.required': 'Please enter this payee\'s share',
+	'validation.payee-share.percent': 'Share must be a percentage above 0 and up to 100, with at most 2 decimals',
+	'validation.payee-share.amount': 'Share must be an amount above 0 with at most 2 decimals',
+	'validation.payout-total.required': 'Please enter the total amount to split',
+	'validation.payout-total.format': 'Total amount must be above 0 with at most 2 decimals',
+	'validation.payees.minItems': 'Please add at least one payee',
+	'validation.payees.entry': 'Payee {number}: {message}',
+	'validation.expense-date.required': 'Please enter the date of the expense',
+	'validation.expense-category.required': 'Please select the expense category',
+	'validation.expense-provider.required': 'Please enter who was paid',
+	'validation.expense-amount.required': 'Please enter the amount',
+	'validation.expense-amount.format': 'Amount must be above 0 with at most 2 decimals',
+	'validation.expense-amount.whole': 'Amounts in {currency} have no decimals; enter a whole number above 0',
+	'validation.expense-receipt.required': 'Please choose the receipt for this expense',
+	'validation.expense-receipt.format': 'The receipt for this expense is no longer uploaded',
+	'validation.expenses.entry': 'Expense {number}: {message}',
+	'validation.uploadedFiles.minItems': 'Please upload at least one document',
+	'validation.rule.accidentInFuture': 'Incident time cannot be in the future',
+	'validation.rule.accidentBeforeBirth': 'Incident time is before the insured person\'s date of birth (from ID number)',
+	'validation.rule.hospitalBeforeBirth': 'Hospitalization start date is before the insured person\'s date of birth (from ID number)',
+	'validation.rule.hospitalEndBeforeStart': 'Hospitalization end date cannot be before the start date',
+	'validation.rule.hospitalBeforeIncident': 'Hospitalization cannot start before the incident time',
+	'validation.rule.selfAccountForOtherPayee': 'Account holder relationship cannot be Self when the payee is another person',
+	'validation.rule.sharesPercent': 'Payee shares add up to {allocated}%; they must add up to {total}%',
+	'validation.rule.sharesAmount': 'Payee amounts add up to {allocated}; they must add up to the total of {total}',
+	'validation.rule.expenseInFuture': 'Expense date cannot be in the future',
+	'validation.rule.expenseBeforeIncident': 'Expense date cannot be before the incident',
+	'validation.rule.missingDocuments': 'Please upload: {categories}',
+
+	'bankCard.required': 'Please enter bank card number',
+	'bankCard.digitsOnly': 'Bank card number may only contain digits',
+	'bankCard.schemeLength': '{scheme} card numbers have {lengths} digits (entered {count})',
+	'bankCard.length': 'Bank card numbers have {lengths} digits (entered {count})',
+	'bankCard.lengthRange': '{min}-{max}',
+	'bankCard.lengthList': '{list} or {last}',
+	'bankCard.checksum': 'Bank card number is not valid, please check for typos',
+	'bankCard.scheme.American Express': 'American Express',
+	'bankCard.scheme.JCB': 'JCB',
+	'bankCard.scheme.UnionPay': 'UnionPay',
+	'bankCard.scheme.Visa': 'Visa',
+	'bankCard.scheme.Mastercard': 'Mastercard',
+
+	'idNumber.required': 'Please enter ID number',
+	'idNumber.document.resident': 'Resident ID',
+	'idNumber.document.driverLicense': 'Driver\'s license',
+	'idNumber.format': '{document} number must be 17 digits followed by a digit or X',
+	'idNumber.region': '{document} number has an unknown region code',
+	'idNumber.birthDate': '{document} number contains an invalid birth date',
+	'idNumber.checksum': '{document} number check digit does not match, please check for typos',
+	'idNumber.passport': 'Passport number must be 6-9 letters and digits',
+	'idNumber.other': 'ID number may contain 4-30 letters, digits or hyphens',
+	'idNumber.placeholder.national-id': '18-character resident ID number',
+	'idNumber.placeholder.passport': 'Passport number, e.g. E12345678',
+	'idNumber.placeholder.driver-license': '18-character licence number (same as resident ID)',
+	'idNumber.placeholder.other': 'Document number',
+
+	// Drafts dashboard (drafts.html)
+	'drafts.pageTitle': 'My Claim Drafts - Insurance Claim System',
+	'drafts.header': 'My Claims',
+	'drafts.title': 'Claim Drafts',
+	'drafts.new': 'New Claim',
+	'drafts.empty': 'No claim drafts yet. Start a new claim to begin.',
+	'drafts.defaultName': 'Claim {date}',
+	'drafts.copyName': '{name} (copy)',
+	'drafts.step': 'Step {step}: {label}',
+	'drafts.incidentNotSelected': 'Incident not selected',
+	'drafts.attachments': '{count} attachment(s)',
+	'drafts.saved': 'Saved {time}',
+	'drafts.submitted': 'Submitted · {reference}',
+	'drafts.status.queued': 'Queued',
+	'drafts.status.sending': 'Sending',
+	'drafts.status.failed': 'Submission failed',
+	'drafts.resume': 'Resume',
+	'drafts.track': 'Track Status',
+	'drafts.duplicate': 'Duplicate',
+	'drafts.rename': 'Rename',
+	'drafts.delete': 'Delete',
+	'drafts.duplicateFailed': 'Failed to duplicate draft. Please try again.',
+	'drafts.renamePrompt': 'Rename claim draft',
+	'drafts.deleteConfirm': 'Delete "{name}"? Its uploaded documents will also be removed.',
+	'lock.unlockTitle': 'Enter your PIN',
+	'lock.unlockText': 'Claim data on this device is encrypted. Enter your PIN to continue.',
+	'lock.unlock': 'Unlock',
+	'lock.wrongPin': 'Wrong PIN. {count} attempt(s) left before all claim data on this device is erased.',
+	'lock.wiped': 'Too many wrong PINs: all claim data on this device has been erased.',
+	'lock.turnedOff': 'This device no longer uses a PIN: encryption was turned off, or the claim data erased, in another window.',
+	'lock.forgot': 'Forgot your PIN? Erase all claim data on this device',
+	'lock.eraseConfirm': 'Erase all claims, drafts and documents on this device? This cannot be undone.',
+	'lock.field.pin': 'PIN',
+	'lock.field.currentPin': 'Current PIN',
+	'lock.field.newPin': 'New PIN',
+	'lock.field.confirmPin': 'Repeat the new PIN',
+	'lock.pinFormat': 'The PIN must be {min} to {max} digits.',
+	'lock.pinMismatch': 'The two PINs do not match.',
+	'lock.wrongCurrentPin': 'The current PIN is wrong.',
+	'lock.working': 'Please wait…',
+	'lock.failed': 'Something went wrong. Please try again.',
+	'lock.cancel': 'Cancel',
+	'lock.setUpTitle': 'Protect claims with a PIN',
+	'lock.setUpText': 'Claims, drafts and documents on this device will be encrypted and can only be opened with the PIN. A forgotten PIN cannot be recovered, and too many wrong PINs erase the data.',
+	'lock.setUp': 'Set up PIN',
+	'lock.changeTitle': 'Change PIN',
+	'lock.changeText': 'All claim data on this device will be encrypted again with the new PIN.',
+	'lock.change': 'Change PIN',
+	'lock.turnOffTitle': 'Turn off PIN protection',
+	'lock.turnOffText': 'Claim data on this device will be stored without encryption again.',
+	'lock.turnOff': 'Turn off PIN',
+	'lock.settings.on': 'Claims on this device are protected with a PIN',
+	'lock.settings.onHint': 'The PIN is asked for before claims are opened. After {attempts} wrong PINs in a row, all claim data on this device is erased.',
+	'lock.settings.off': 'Claims on this device are not encrypted',
+	'lock.settings.offHint': 'On a shared device, set up a PIN so that ID numbers, bank details, signatures and documents are stored encrypted.',
+
+	// Success page (success.html)
+	'success.pageTitle': 'Claim Submitted Successfully - Insurance Claim System',
+	'success.title': 'Claim Submitted Successfully!',
+	'success.subtitle': 'Your insurance claim has been received and is being processed.',
+	'success.submissionDate': 'Submission Date',
+	'success.processingTime': 'Processing Time',
+	'success.processingTimeValue': '3-5 business days',
+	'success.dataExport': 'Data Export',
+	'success.dataExportValue': 'Downloaded automatically',
+	'success.nextSteps': 'What happens next?',
+	'success.nextStep.review': 'We will review your claim and supporting documents',
+	'success.nextStep.contact': 'You may be contacted for additional information',
+	'success.nextStep.updates': 'Updates will be sent to your registered email',
+	'success.nextStep.payment': 'Payment will be processed upon approval',
+	'success.backHome': 'Back to Home',
+	'success.downloadAll': 'Download Claim (ZIP)',
+	'success.downloadClaimForm': 'Download Claim Form (PDF)',
+	'success.downloading': 'Downloading...',
+	'success.viewStatus': 'View Claim Status',
+	'success.noData': 'No data found to export.',
+	'success.downloadFailed': 'Error downloading files. Please try again.',
+
+	// Status page (status.html)
+	'status.pageTitle': 'Track Claim Status - Insurance Claim System',
+	'status.header': 'Claim Status',
+	'status.title': 'Track Your Claim',
+	'status.referenceNumber': 'Reference Number',
+	'status.referencePlaceholder': 'e.g. CLM20240101ABC123',
+	'status.idNumber': 'ID Number',
+	'status.idNumberPlaceholder': 'ID number of the insured person',
+	'status.idNumberHelper': 'Used to verify that you may view this claim',
+	'status.check': 'Check Status',
+	'status.claim': 'Claim',
+	'status.missingInput': 'Please enter both the reference number and the ID number.',
+	'status.notFound': 'No claim found for this reference number and ID number.',
+	'status.lookupFailed': 'Status lookup failed: {message}',
+	'status.stage.submitted': 'Submitted',
+	'status.stage.under-review': 'Under Review',
+	'status.stage.more-info-requested': 'More Information Requested',
+	'status.stage.decision': 'Approved / Rejected',
+	'status.stage.paid': 'Paid',
+	'status.decision.approved': 'Approved',
+	'status.decision.rejected': 'Rejected',
+
+	// Update prompt (js/pwa.js)
+	'pwa.updateAvailable': 'A new version is available.',
+	'pwa.reload': 'Reload',
+
+	// Claim form PDF (js/claim-pdf.js)
+	'pdf.title': 'Insurance Claim Form',
+	'pdf.claimId': 'Claim ID',
+	'pdf.generatedAt': 'Generated',
+	'pdf.section.insured': 'Insured Person',
+	'pdf.section.incident': 'Incident',
+	'pdf.section.payment': 'Payment',
+	'pdf.section.documents': 'Attached Documents',
+	'pdf.section.expenses': 'Expenses',
+	'pdf.expenseTotal': 'Total claimed',
+	'pdf.receipt': 'receipt: document {number}',
+	'pdf.section.signature': 'Signature',
+	'pdf.noDocuments': 'No documents attached',
+	'pdf.notSigned': 'Not signed',
+	'pdf.signedAt': 'Signed',
+	'pdf.page': 'Page {page} of {pages}',
+
+	// Claim import (js/claim-import.js)
+	'import.action': 'Import claim from file',
+	'import.confirmReplace': 'Importing replaces everything in this draft, including its attachments. Continue?',
+	'import.succeeded': 'Claim imported',
+	'import.reportTitle': 'Claim imported. Please check the following:',
+	'import.missingFields': 'Missing fields: {items}',
+	'import.unknownFields': 'Unknown fields, not imported: {items}',
+	'import.missingAttachments': 'Attachments not included, please upload them again: {items}',
+	'import.error.unreadable': 'The file could not be read. Choose a claim exported as .json or .zip.',
+	'import.error.noClaimData': 'The file does not contain claim data.',
+	'import.error.integrity': '{name} in the archive does not match its checksum. The file may be damaged.',
+	'import.error.redacted': 'This file is a redacted copy of a claim: card and ID numbers are masked and the signature is removed, so it cannot be imported. Use the ZIP export or a full JSON export instead.',
+	'import.error.version': 'This file was made by a newer version of the app (data version {version}) and cannot be imported.',
+	'import.error.submitted': 'This claim has already been submitted and cannot be replaced.'
+});
@@ -0,0 +1,488 @@
+// Simplified Chinese messages
+I18n.register('zh-CN', {
+	'app.title': '保险理赔系统',
+	'common.language': '语言',
+	'common.yes': '是',
+	'common.no': '否',
+	'common.pleaseSelect': '请选择',
+	'common.notAvailable': '暂无',
+	'common.dismiss': '关闭',
+	'common.listSeparator': '、',
+	'common.back': '返回',
+	'common.home': '首页',
+	'common.help': '帮助',
+
+	// Claim form (index.html)
+	'form.header': '申请理赔',
+	'steps.1': '报案',
+	'steps.2': '收款信息',
+	'steps.3': '上传材料',
+	'step1.title': '谁在申请理赔？',
+	'step1.subtitle': '谁受伤了？请选择理赔申请人~',
+	'applicant.self': '本人',
+	'applicant.spouse': '配偶',
+	'applicant.parent': '父母',
+	'applicant.child': '子女',
+	'applicant.pet': '宠物',
+	'applicant.other': '其他',
+	'step1.voiceInput': '语音输入',
+	'step1.claimInfo': '理赔信息',
+	'step1.selectPolicy': '选择保单',
+	'policy.recommend': '系统推荐',
+	'policy.self': '自选保单',
+	'step1.agreement': '我已阅读并同意《用户条款及授权协议》和《理赔服务个人信息处理授权书》',
+	'step2.title': '收款信息',
+	'step2.payeeInfo': '收款人信息',
+	'step2.payeeType': '收款人类型',
+	'payee.self': '本人',
+	'payee.other': '他人',
+	'payee.company': '公司',
+	'payees.title': '收款人 {number}',
+	'payees.add': '添加收款人',
+	'payees.remove': '删除',
+	'payees.removeLabel': '删除收款人 {number}',
+	'payees.clearPhone': '清除手机号',
+	'payees.share.percent': '分配比例（%）',
+	'payees.share.amount': '分配金额',
+	'payees.allocated.percent': '已分配 {allocated}%，共 {total}%',
+	'payees.allocated.amount': '已分配 {allocated}，共 {total}',
+	'payees.fieldLabel': '收款人 {number}：{label}',
+	'expenses.title': '费用明细',
+	'expenses.intro': '请逐项填写申请理赔的费用，并关联上方已上传的对应票据。',
+	'expenses.empty': '尚未添加费用。',
+	'expenses.add': '添加费用',
+	'expenses.item': '费用 {number}',
+	'expenses.remove': '删除',
+	'expenses.removeLabel': '删除费用 {number}',
+	'expenses.fieldLabel': '费用 {number}：{label}',
+	'expenses.chooseReceipt': '请选择票据',
+	'expenses.noReceipts': '请先在上方上传票据',
+	'expenses.receiptOption': '{number}. {name}（{category}）',
+	'expenses.totalClaimed': '申请金额合计：{totals}',
+	'expenses.estimate.title': '预估理赔金额',
+	'expenses.estimate.category': '类别',
+	'expenses.estimate.claimed': '申请金额',
+	'expenses.estimate.limit': '保障限额',
+	'expenses.estimate.covered': '可赔付',
+	'expenses.estimate.noLimit': '不限',
+	'expenses.estimate.coveredTotal': '可赔付合计',
+	'expenses.estimate.deductible': '免赔额',
+	'expenses.estimate.reimbursable': '预估理赔金额',
+	'expenses.estimate.excluded': '未计入：{totals}。其他币种的费用将在审核时折算为 {currency}。',
+	'expenses.estimate.note': '按保单免赔额和保障限额估算，实际赔付金额以审核结果为准。',
+	'step2.paymentMethod': '收款方式',
+	'step2.bankCardMethod': '银行卡',
+	'step2.verificationNote': '请确保收款信息准确无误。理赔款将在审核通过后转入指定的银行账户。',
+	'step3.title': '上传理赔材料',
+	'step3.requiredDocuments': '所需材料：',
+	'step3.checklistHint': '请先在第 2 步选择出险类型，以查看所需材料。',
+	'step3.checklist.done': '已上传',
+	'step3.checklist.missing': '未上传',
+	'step3.documentCategory': '材料类型',
+	'document.category.police-report': '事故认定书或报警回执',
+	'document.category.medical-receipt': '医疗费用票据',
+	'document.category.medical-record': '病历',
+	'document.category.diagnosis-certificate': '诊断证明书',
+	'document.category.discharge-summary': '出院小结',
+	'document.category.identity': '身份证明',
+	'document.category.other': '其他证明材料',
+	'upload.prompt': '点击上传或将文件拖到此处',
+	'upload.hint': '支持图片（JPG、PNG、GIF、HEIC）和 PDF 文件。照片会自动压缩，其他文件每个不超过 10MB',
+	'upload.fileCategory': '{name} 的材料类型',
+	'upload.originalSize': '原始大小 {size}',
+	'upload.duplicateOf': '与 {name} 相同',
+	'upload.moveFile': '移动 {name}（拖动或使用方向键）',
+	'upload.removeFile': '删除 {name}',
+	'viewer.previous': '上一个文件',
+	'viewer.next': '下一个文件',
+	'viewer.zoomIn': '放大',
+	'viewer.zoomOut': '缩小',
+	'viewer.rotate': '旋转',
+	'viewer.reset': '适应屏幕',
+	'viewer.close': '关闭',
+	'viewer.counter': '第 {current} 个，共 {total} 个',
+	'viewer.openPdf': '当前浏览器无法在此显示 PDF，请在新标签页中打开',
+	'ocr.enable': '从我的照片中识别医院名称、报告编号、日期和票据合计金额（在本设备上进行）',
+	'ocr.reading': '正在识别 {name} 中的文字…',
+	'ocr.found': '在 {name} 中找到 {count} 条建议，请逐条核对后再采用。',
+	'ocr.noneFound': '未在 {name} 中找到可用信息。',
+	'ocr.unavailable': '无法在此浏览器中启动文字识别。',
+	'ocr.failed': '无法识别 {name} 中的文字。',
+	'ocr.receiptTotal': '票据合计金额',
+	'ocr.receiptTotalValue': '合计 {amount}',
+	'ocr.source': '来自 {name}，置信度 {confidence}%',
+	'ocr.accept': '采用',
+	'ocr.reject': '忽略',
+	'action.saveDraft': '保存草稿',
+	'action.next': '下一步',
+	'action.previous': '上一步',
+	'action.submit': '提交理赔',
+
+	// Field labels (form, validation messages and the claim application table)
+	'field.applicantType': '出险人',
+	'field.insured-name': '被保险人姓名',
+	'field.id-type': '证件类型',
+	'field.id-number': '证件号码',
+	'field.insuredBirthDate': '出生日期',
+	'field.insuredSex': '性别',
+	'field.phone': '手机号码',
+	'field.accident-time': '出险时间',
+	'field.policySource': '保单来源',
+	'field.policy-number': '保单号',
+	'field.incident': '出险情况',
+	'field.common-injury-area': '受伤部位',
+	'field.common-severity': '严重程度',
+	'field.traffic-motor': '是否涉及机动车？',
+	'field.traffic-location': '事故地点',
+	'field.traffic-police-report': '报警回执编号（如有）',
+	'field.illness-hospital': '确诊医院',
+	'field.illness-summary': '诊断摘要',
+	'field.serious-diagnosis': '诊断详情',
+	'field.serious-hospital-start': '住院开始日期',
+	'field.serious-hospital-end': '住院结束日期',
+	'field.agreement': '已同意条款',
+	'field.payeeType': '收款人类型',
+	'field.payee-name': '收款人姓名',
+	'field.payee-phone': '收款人手机号码',
+	'field.bank-card': '银行卡号',
+	'field.bank-name': '开户银行',
+	'field.branch-name': '开户支行（选填）',
+	'field.account-relationship': '账户持有人关系',
+	'field.company-name': '公司名称',
+	'field.company-registration': '工商注册号',
+	'field.company-contact': '联系人',
+	'field.payee-share': '分配份额',
+	'field.payee-split': '收款分配方式',
+	'field.payout-total': '待分配总金额',
+	'field.expense-date': '费用日期',
+	'field.expense-category': '费用类别',
+	'field.expense-provider': '收款机构',
+	'field.expense-amount': '金额',
+	'field.expense-currency': '币种',
+	'field.expense-receipt': '票据',
+	'field.uploadedFiles': '理赔材料',
+
+	'placeholder.insured-name': '请输入被保险人姓名',
+	'placeholder.id-number': '请输入证件号码',
+	'placeholder.phone': '请输入手机号码（支持国际格式）',
+	'placeholder.policy-number': '请输入保单号',
+	'placeholder.common-injury-area': '请描述受伤部位',
+	'placeholder.traffic-location': '请输入事故地点',
+	'placeholder.traffic-police-report': '请输入报警回执编号',
+	'placeholder.illness-hospital': '医院名称',
+	'placeholder.illness-summary': '简要诊断摘要',
+	'placeholder.serious-diagnosis': '请描述诊断情况及日期',
+	'placeholder.payee-name': '请输入收款人姓名',
+	'placeholder.payee-phone': '请输入收款人手机号码',
+	'placeholder.bank-card': '请输入银行卡号',
+	'placeholder.branch-name': '请输入开户支行（选填）',
+	'placeholder.company-registration': '请输入工商注册号',
+	'placeholder.company-contact': '请输入联系人姓名',
+	'placeholder.expense-provider': '医院、药店、修理厂或交通运输公司',
+	'helper.phone': '支持国际手机号码格式（例如 +8613812345678）',
+	'helper.accident-time': '事故发生时间，或疾病首次就诊时间',
+	'helper.policy-number': '请输入保单号（自选保单时必填）',
+	'helper.bank-card': '13-19 位数字；识别出发卡行后会自动选择银行',
+
+	// Select option values
+	'value.id-type.national-id': '居民身份证',
+	'value.id-type.passport': '护照',
+	'value.id-type.driver-license': '驾驶证',
+	'value.id-type.other': '其他',
+	'value.incident.common-accident': '普通意外',
+	'value.incident.traffic-accident': '交通事故',
+	'value.incident.ordinary-illness': '普通疾病',
+	'value.incident.serious-illness': '重大疾病',
+	'value.common-severity.minor': '轻微',
+	'value.common-severity.major': '严重',
+	'value.traffic-motor.yes': '是',
+	'value.traffic-motor.no': '否',
+	'value.insuredSex.male': '男',
+	'value.insuredSex.female': '女',
+	'value.policySource.recommend': '系统推荐',
+	'value.policySource.self': '自选保单',
+	'value.bank-name.placeholder': '请选择开户银行',
+	'value.bank-name.agricultural-bank': '中国农业银行',
+	'value.bank-name.industrial-bank': '中国工商银行',
+	'value.bank-name.construction-bank': '中国建设银行',
+	'value.bank-name.bank-of-china': '中国银行',
+	'value.bank-name.postal-bank': '中国邮政储蓄银行',
+	'value.bank-name.communications-bank': '交通银行',
+	'value.bank-name.merchants-bank': '招商银行',
+	'value.bank-name.minsheng-bank': '中国民生银行',
+	'value.bank-name.citic-bank': '中信银行',
+	'value.bank-name.other': '其他银行',
+	'value.account-relationship.self': '本人',
+	'value.account-relationship.spouse': '配偶',
+	'value.account-relationship.parent': '父母',
+	'value.account-relationship.child': '子女',
+	'value.account-relationship.sibling': '兄弟姐妹',
+	'value.account-relationship.other': '其他',
+	'value.payee-split.percent': '按比例',
+	'value.payee-split.amount': '按金额',
+	'value.expense-category.medical': '医疗费',
+	'value.expense-category.pharmacy': '药品费',
+	'value.expense-category.vehicle-repair': '车辆维修费',
+	'value.expense-category.transport': '交通费',
+
+	// Modals
+	'modal.claimApplication': '理赔申请书',
+	'modal.clearSignature': '清除',
+	'modal.confirmSignature': '确认并继续',
+	'modal.confirmPayee': '确认收款人信息',
+	'modal.editPayee': '返回修改',
+	'modal.confirm': '确认',
+
+	// Notifications
+	'message.saveFailed': '保存失败，请检查存储空间',
+	'message.exportSucceeded': '数据和文件已导出',
+	'message.exportFailed': '数据导出失败',
+	'message.fileDeleted': '文件已删除',
+	'message.fileNotAvailable': '文件内容不可用：{name}',
+	'message.fileUploaded': '文件 {name} 上传成功',
+	'message.fileProcessingFailed': '文件 {name} 处理失败',
+	'message.fileProcessing': '正在处理 {name}…',
+	'message.heicNotSupported': '当前浏览器无法转换 HEIC 照片 {name}，请以 JPEG 格式上传。',
+	'message.imageNotReadable': '无法读取图片 {name}',
+	'message.unrecognizedFile': '{name} 不是 JPG、PNG、GIF、HEIC 或 PDF 文件',
+	'message.pdfEncrypted': '{name} 设有密码保护，请上传未加密的 PDF',
+	'message.pdfCorrupt': '{name} 已损坏或不完整，无法使用',
+	'message.duplicateFile': '{name} 与已上传的 {duplicate} 内容相同',
+	'message.unsupportedFileType': '不支持的文件类型：{name}',
+	'message.fileTooLarge': '文件过大：{name}（最大 {max}）',
+	'message.nextStep': '进入下一步',
+	'message.draftSaved': '已保存为草稿',
+	'message.submitting': '正在提交理赔申请...',
+	'message.leaveConfirm': '确定要离开吗？未保存的数据将会丢失。',
+	'message.payeeConfirmed': '收款人信息已确认',
+	'message.voiceInput': '语音输入功能开发中...',
+	'message.bankMismatch': '该卡似乎由{issuer}发行，而不是{selected}，请核对开户银行。',
+
+	// Submission
+	'submission.queued': '已排队 — 当前处于离线状态，网络恢复后将自动提交。',
+	'submission.sending': '正在提交...',
+	'submission.sent': '已提交 — 案件编号 {reference}',
+	'submission.failed': '提交失败 — {reason}。请检查后重新提交。',
+	'submission.notAccepted': '理赔申请未被受理',
+	'submission.error': '提交失败：{message}',
+	'submission.unreachable': '无法连接理赔服务，请检查网络后重试。',
+	'submission.unavailable': '理赔服务暂时不可用，请稍后重试。',
+	'submission.rejected': '理赔申请被拒绝：{reasons}',
+
+	// Validation
+	'validation.summaryTitle': '请更正以下问题：',
+	'validation.required': '{label}为必填项',
+	'validation.enum': '请选择有效的{label}',
+	'validation.maxLength': '{label}不能超过 {max} 个字符',
+	'validation.invalid': '{label}无效',
+	'validation.insured-name.required': '请输入被保险人姓名',
+	'validation.id-number.required': '请输入证件号码',
+	'validation.phone.required': '请输入手机号码',
+	'validation.phone.format': '请输入有效的手机号码（例如 +8613812345678）',
+	'validation.accident-time.required': '请选择出险时间',
+	'validation.policy-number.required': '请输入保单号（自选保单时必填）',
+	'validation.policy-number.pattern': '保单号须为 6-30 位字母、数字或连字符',
+	'validation.incident.required': '请选择出险情况',
+	'validation.traffic-motor.required': '请选择是否涉及机动车',
+	'validation.traffic-police-report.pattern': '报警回执编号须为 4-30 位字母、数字或连字符',
+	'validation.agreement.required': '请阅读并同意相关条款',
+	'validation.payee-name.required': '请输入收款人姓名',
+	'validation.payee-phone.required': '请输入收款人手机号码',
+	'validation.payee-phone.format': '请输入有效的收款人手机号码',
+	'validation.bank-card.required': '请输入银行卡号',
+	'validation.bank-name.required': '请选择开户银行',
+	'validation.company-registration.required': '请输入工商注册号',
+	'validation.company-registration.pattern': '工商注册号应为 6-30 位字母、数字或连字符',
+	'validation.company-contact.required': '请输入公司联系人',
+	'validation.payee-share.required': '请输入该收款人的分配份额',
+	'validation.payee-share.percent': '分配比例应大于 0 且不超过 100，最多两位小数',
+	'validation.payee-share.amount': '分配金额应大于 0，最多两位小数',
+	'validation.payout-total.required': '请输入待分配总金额',
+	'validation.payout-total.format': '总金额应大于 0，最多两位小数',
+	'validation.payees.minItems': '请至少添加一位收款人',
+	'validation.payees.entry': '收款人 {number}：{message}',
+	'validation.expense-date.required': '请输入费用日期',
+	'validation.expense-category.required': '请选择费用类别',
+	'validation.expense-provider.required': '请输入收款机构',
+	'validation.expense-amount.required': '请输入金额',
+	'validation.expense-amount.format': '金额须大于 0，最多 2 位小数',
+	'validation.expense-amount.whole': '{currency} 金额没有小数，请输入大于 0 的整数',
+	'validation.expense-receipt.required': '请选择该费用对应的票据',
+	'validation.expense-receipt.format': '该费用关联的票据已被删除',
+	'validation.expenses.entry': '费用 {number}：{message}',
+	'validation.uploadedFiles.minItems': '请至少上传一份材料',
+	'validation.rule.accidentInFuture': '出险时间不能晚于当前时间',
+	'validation.rule.accidentBeforeBirth': '出险时间早于被保险人的出生日期（根据证件号码）',
+	'validation.rule.hospitalBeforeBirth': '住院开始日期早于被保险人的出生日期（根据证件号码）',
+	'validation.rule.hospitalEndBeforeStart': '住院结束日期不能早于开始日期',
+	'validation.rule.hospitalBeforeIncident': '住院开始日期不能早于出险时间',
+	'validation.rule.selfAccountForOtherPayee': '收款人为他人时，账户持有人关系不能为本人',
+	'validation.rule.sharesPercent': '收款人分配比例合计 {allocated}%，应为 {total}%',
+	'validation.rule.sharesAmount': '收款人分配金额合计 {allocated}，应等于总金额 {total}',
+	'validation.rule.expenseInFuture': '费用日期不能晚于今天',
+	'validation.rule.expenseBeforeIncident': '费用日期不能早于出险时间',
+	'validation.rule.missingDocuments': '请上传：{categories}',
+
+	'bankCard.required': '请输入银行卡号',
+	'bankCard.digitsOnly': '银行卡号只能包含数字',
+	'bankCard.schemeLength': '{scheme}卡号应为 {lengths} 位（当前 {count} 位）',
+	'bankCard.length': '银行卡号应为 {lengths} 位（当前 {count} 位）',
+	'bankCard.lengthRange': '{min}-{max}',
+	'bankCard.lengthList': '{list}或{last}',
+	'bankCard.checksum': '银行卡号无效，请检查是否输入有误',
+	'bankCard.scheme.American Express': '美国运通',
+	'bankCard.scheme.JCB': 'JCB',
+	'bankCard.scheme.UnionPay': '银联',
+	'bankCard.scheme.Visa': 'Visa',
+	'bankCard.scheme.Mastercard': '万事达',
+
+	'idNumber.required': '请输入证件号码',
+	'idNumber.document.resident': '居民身份证',
+	'idNumber.document.driverLicense': '驾驶证',
+	'idNumber.format': '{document}号码须为 17 位数字加 1 位数字或 X',
+	'idNumber.region': '{document}号码的地区代码无效',
+	'idNumber.birthDate': '{document}号码中的出生日期无效',
+	'idNumber.checksum': '{document}号码校验位不正确，请检查是否输入有误',
+	'idNumber.passport': '护照号码须为 6-9 位字母和数字',
+	'idNumber.other': '证件号码可包含 4-30 位字母、数字或连字符',
+	'idNumber.placeholder.national-id': '18 位居民身份证号码',
+	'idNumber.placeholder.passport': '护照号码，例如 E12345678',
+	'idNumber.placeholder.driver-license': '18 位驾驶证号码（与身份证号码相同）',
+	'idNumber.placeholder.other': '证件号码',
+
+	// Drafts dashboard (drafts.html)
+	'drafts.pageTitle': '我的理赔草稿 - 保险理赔系统',
+	'drafts.header': '我的理赔',
+	'drafts.title': '理赔草稿',
+	'drafts.new': '新建理赔',
+	'drafts.empty': '暂无理赔草稿，新建一个理赔开始吧。',
+	'drafts.defaultName': '理赔 {date}',
+	'drafts.copyName': '{name}（副本）',
+	'drafts.step': '第 {step} 步：{label}',
+	'drafts.incidentNotSelected': '未选择出险情况',
+	'drafts.attachments': '{count} 个附件',
+	'drafts.saved': '保存于 {time}',
+	'drafts.submitted': '已提交 · {reference}',
+	'drafts.status.queued': '排队中',
+	'drafts.status.sending': '提交中',
+	'drafts.status.failed': '提交失败',
+	'drafts.resume': '继续填写',
+	'drafts.track': '查看进度',
+	'drafts.duplicate': '复制',
+	'drafts.rename': '重命名',
+	'drafts.delete': '删除',
+	'drafts.duplicateFailed': '复制草稿失败，请重试。',
+	'drafts.renamePrompt': '重命名理赔草稿',
+	'drafts.deleteConfirm': '删除“{name}”？其上传的材料也将被删除。',
+	'lock.unlockTitle': '请输入 PIN 码',
+	'lock.unlockText': '本设备上的理赔数据已加密，请输入 PIN 码继续。',
+	'lock.unlock': '解锁',
+	'lock.wrongPin': 'PIN 码错误。再输错 {count} 次，本设备上的全部理赔数据将被清除。',
+	'lock.wiped': 'PIN 码错误次数过多，本设备上的全部理赔数据已被清除。',
+	'lock.turnedOff': '本设备已不再使用 PIN 码：加密已在其他窗口中关闭，或理赔数据已被清除。',
+	'lock.forgot': '忘记 PIN 码？清除本设备上的全部理赔数据',
+	'lock.eraseConfirm': '确定清除本设备上的全部理赔申请、草稿和资料吗？此操作无法撤销。',
+	'lock.field.pin': 'PIN 码',
+	'lock.field.currentPin': '当前 PIN 码',
+	'lock.field.newPin': '新 PIN 码',
+	'lock.field.confirmPin': '再次输入新 PIN 码',
+	'lock.pinFormat': 'PIN 码须为 {min} 至 {max} 位数字。',
+	'lock.pinMismatch': '两次输入的 PIN 码不一致。',
+	'lock.wrongCurrentPin': '当前 PIN 码错误。',
+	'lock.working': '请稍候…',
+	'lock.failed': '操作失败，请重试。',
+	'lock.cancel': '取消',
+	'lock.setUpTitle': '使用 PIN 码保护理赔数据',
+	'lock.setUpText': '本设备上的理赔申请、草稿和资料将被加密，只能凭 PIN 码打开。忘记 PIN 码将无法找回，多次输错会清除数据。',
+	'lock.setUp': '设置 PIN 码',
+	'lock.changeTitle': '修改 PIN 码',
+	'lock.changeText': '本设备上的全部理赔数据将使用新 PIN 码重新加密。',
+	'lock.change': '修改 PIN 码',
+	'lock.turnOffTitle': '关闭 PIN 码保护',
+	'lock.turnOffText': '本设备上的理赔数据将恢复为不加密存储。',
+	'lock.turnOff': '关闭 PIN 码',
+	'lock.settings.on': '本设备上的理赔数据已使用 PIN 码保护',
+	'lock.settings.onHint': '打开理赔申请前需输入 PIN 码。连续输错 {attempts} 次，本设备上的全部理赔数据将被清除。',
+	'lock.settings.off': '本设备上的理赔数据未加密',
+	'lock.settings.offHint': '在共用设备上，请设置 PIN 码，以加密保存身份证号、银行卡信息、签名和资料。',
+
+	// Success page (success.html)
+	'success.pageTitle': '理赔提交成功 - 保险理赔系统',
+	'success.title': '理赔提交成功！',
+	'success.subtitle': '您的理赔申请已受理，正在处理中。',
+	'success.submissionDate': '提交时间',
+	'success.processingTime': '处理时长',
+	'success.processingTimeValue': '3-5 个工作日',
+	'success.dataExport': '数据导出',
+	'success.dataExportValue': '已自动下载',
+	'success.nextSteps': '接下来会怎样？',
+	'success.nextStep.review': '我们将审核您的理赔申请及证明材料',
+	'success.nextStep.contact': '如需补充材料，我们可能会联系您',
+	'success.nextStep.updates': '进度更新将发送到您登记的邮箱',
+	'success.nextStep.payment': '审核通过后将安排赔付',
+	'success.backHome': '返回首页',
+	'success.downloadAll': '下载理赔资料（ZIP）',
+	'success.downloadClaimForm': '下载理赔申请书（PDF）',
+	'success.downloading': '正在下载...',
+	'success.viewStatus': '查看理赔进度',
+	'success.noData': '没有可导出的数据。',
+	'success.downloadFailed': '下载文件出错，请重试。',
+
+	// Status page (status.html)
+	'status.pageTitle': '查询理赔进度 - 保险理赔系统',
+	'status.header': '理赔进度',
+	'status.title': '查询理赔进度',
+	'status.referenceNumber': '案件编号',
+	'status.referencePlaceholder': '例如 CLM20240101ABC123',
+	'status.idNumber': '证件号码',
+	'status.idNumberPlaceholder': '被保险人的证件号码',
+	'status.idNumberHelper': '用于验证您是否有权查看该理赔',
+	'status.check': '查询',
+	'status.claim': '案件',
+	'status.missingInput': '请输入案件编号和证件号码。',
+	'status.notFound': '未找到与该案件编号和证件号码匹配的理赔。',
+	'status.lookupFailed': '查询失败：{message}',
+	'status.stage.submitted': '已提交',
+	'status.stage.under-review': '审核中',
+	'status.stage.more-info-requested': '需补充材料',
+	'status.stage.decision': '审核通过 / 拒赔',
+	'status.stage.paid': '已赔付',
+	'status.decision.approved': '审核通过',
+	'status.decision.rejected': '拒赔',
+
+	// Update prompt (js/pwa.js)
+	'pwa.updateAvailable': '有新版本可用。',
+	'pwa.reload': '重新加载',
+
+	// Claim form PDF (js/claim-pdf.js)
+	'pdf.title': '保险理赔申请书',
+	'pdf.claimId': '理赔编号',
+	'pdf.generatedAt': '生成时间',
+	'pdf.section.insured': '被保险人',
+	'pdf.section.incident': '出险信息',
+	'pdf.section.payment': '收款信息',
+	'pdf.section.documents': '附件材料',
+	'pdf.section.expenses': '费用明细',
+	'pdf.expenseTotal': '申请金额合计',
+	'pdf.receipt': '票据：第 {number} 份材料',
+	'pdf.section.signature': '签名',
+	'pdf.noDocuments': '未上传材料',
+	'pdf.notSigned': '未签名',
+	'pdf.signedAt': '签名时间',
+	'pdf.page': '第 {page} 页，共 {pages} 页',
+
+	// Claim import (js/claim-import.js)
+	'import.action': '从文件导入理赔',
+	'import.confirmReplace': '导入将替换此草稿的全部内容（包括附件），是否继续？',
+	'import.succeeded': '理赔已导入',
+	'import.reportTitle': '理赔已导入，请检查以下内容：',
+	'import.missingFields': '缺少字段：{items}',
+	'import.unknownFields': '未识别的字段（未导入）：{items}',
+	'import.missingAttachments': '以下附件未包含在文件中，请重新上传：{items}',
+	'import.error.unreadable': '无法读取该文件，请选择导出的 .json 或 .zip 理赔文件。',
+	'import.error.noClaimData': '该文件不包含理赔数据。',
+	'import.error.integrity': '压缩包中的 {name} 与校验值不符，文件可能已损坏。',
+	'import.error.redacted': '该文件是理赔的脱敏副本：银行卡号和证件号码已遮盖，签名已移除，因此无法导入。请改用 ZIP 导出文件或完整的 JSON 导出文件。',
+	'import.error.version': '该文件由更新版本的应用生成（数据版本 {version}），无法导入。',
+	'import.error.submitted': '此理赔已提交，无法替换。'
+});
@@ -0,0 +1,37 @@
+// === Money ===
+// Amounts are kept as the decimal strings the user typed and computed on as whole numbers
+// of the currency's minor unit (fen, cents; yen have none), so adding up receipts never
+// goes through binary floating point. An amount has at most 12 integer digits, which
+// keeps any realistic sum of them within the integers a Number holds exactly.
+const Money = {
+	// Currencies an expense can be in, with their number of decimals
+	currencies: { CNY: 2, USD: 2, EUR: 2, GBP: 2, HKD: 2, JPY: 0 },
+
+	// Decimals of `currency`; 2 for plain numbers (no currency) and unknown currencies
+	decimals(currency) {
+		return currency in this.currencies ? this.currencies[currency] : 2;
+	},
+
+	// Whole minor units of a decimal with at most the currency's decimals, or null:
+	// units('12.5', 'CNY') is 1250, units('12.5', 'JPY') is null
+	units(value, currency) {
+		const decimals = this.decimals(currency);
+		const match = /^(\d{1,12})(?:\.(\d+))?$/.exec(String(value == null ? '' : value).trim());
+		if (!match || (match[2] || '').length > decimals) return null;
+		return Number(match[1]) * 10 ** decimals + Number((match[2] || '').padEnd(decimals, '0'));
+	},
+
+	// Plain decimal of whole minor units, the same in every language: '1234.50'
+	toDecimal(units, currency) {
+		const decimals = this.decimals(currency);
+		if (decimals === 0) return String(units);
+		const digits = String(units).padStart(decimals + 1, '0');
+		return `${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`;
+	},
+
+	// Amount with its currency in the current language ('CN¥1,234.50'). Formatted from
+	// the decimal string, which browsers that support it format without rounding.
+	format(units, currency) {
+		return I18n.formatNumber(this.toDecimal(units, currency), { style: 'currency', currency });
+	}
+};
@@ -0,0 +1,159 @@
+// === OCR Suggestions ===
+// Optional text recognition on uploaded photos, run in the browser by the bundled
+// Tesseract.js engine (vendor/tesseract/, see README); nothing leaves the device. The
+// recognized lines are searched for values the claim asks for, which are offered to
+// the user as suggestions:
+//   { id, field, value, confidence, attachmentId, attachmentName }
+// `field` is a form key, or 'receiptTotal' for the total of a receipt (kept on the
+// attachment). `confidence` is the engine's confidence in the line, 0-100.
+const ClaimOcr = {
+	enginePath: 'vendor/tesseract/',
+	languages: ['eng', 'chi_sim'],
+	storageKey: 'insurance-claim-ocr',
+	// Lines recognized with less confidence are not used
+	minConfidence: 50,
+	engine: null, // Promise: whether the engine script loaded
+	worker: null, // Promise of the Tesseract worker
+
+	enabled() {
+		return localStorage.getItem(this.storageKey) === 'on';
+	},
+
+	setEnabled(on) {
+		localStorage.setItem(this.storageKey, on ? 'on' : 'off');
+	},
+
+	// Load the engine script on first use; resolves false when it cannot be loaded
+	available() {
+		if (!this.engine) {
+			this.engine = new Promise(resolve => {
+				if (typeof Tesseract !== 'undefined') return resolve(true);
+				const script = document.createElement('script');
+				script.src = `${this.enginePath}tesseract.min.js`;
+				script.onload = () => resolve(typeof Tesseract !== 'undefined');
+				script.onerror = () => resolve(false);
+				document.head.appendChild(script);
+			});
+		}
+		return this.engine;
+	},
+
+	getWorker() {
+		if (!this.worker) {
+			const base = new URL(this.enginePath, document.baseURI).href;
+			this.worker = Tesseract.createWorker(this.languages, 1, {
+				workerPath: `${base}worker.min.js`,
+				corePath: `${base}core/`,
+				langPath: `${base}lang/`,
+				workerBlobURL: false,
+				// Files come from this site (and the service worker cache), not from a CDN
+				cacheMethod: 'none'
+			});
+			// Let a later call try again after a failed start
+			this.worker.catch(() => { this.worker = null; });
+		}
+		return this.worker;
+	},
+
+	// Text lines of an image, as [{ text, confidence }]
+	async recognize(blob) {
+		const worker = await this.getWorker();
+		const { data } = await worker.recognize(blob);
+		return (data.lines || [])
+			.map(line => ({ text: this.normalize(line.text), confidence: Math.round(line.confidence) }))
+			.filter(line => line.text && line.confidence >= this.minConfidence);
+	},
+
+	// The engine separates Chinese characters with spaces; full-width digits and colons
+	// are read as ASCII
+	normalize(text) {
+		return String(text)
+			.replace(/[０-９：]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xfee0))
+			.replace(/([\u4e00-\u9fff])\s+(?=[\u4e00-\u9fff])/g, '$1')
+			.replace(/\s+/g, ' ')
+			.trim();
+	},
+
+	// Each extractor returns the best { value, confidence } among the lines, or null
+	extractors: {
+		'illness-hospital'(lines) {
+			return ClaimOcr.best(lines, text => {
+				const match = /([\u4e00-\u9fffA-Za-z0-9（）()]{2,40}?(?:医院|卫生院|诊所|医疗中心|保健院))/.exec(text)
+					|| /\b([A-Z][A-Za-z'&.-]*(?: [A-Za-z'&.-]+){0,8} (?:Hospital|Medical Cent(?:er|re)|Clinic|Health Cent(?:er|re)))\b/.exec(text);
+				return match && match[1].slice(0, 100);
+			});
+		},
+
+		'traffic-police-report'(lines) {
+			return ClaimOcr.best(lines, text => {
+				const match = /(?:report|case|incident|accident)\s*(?:no\.?|number|#)\s*[:#]?\s*([A-Za-z0-9-]{4,30})\b/i.exec(text)
+					|| /(?:认定书编号|文书编号|回执编号|案件编号|编号|文书号)\s*[:]?\s*([A-Za-z0-9-]{4,30})/.exec(text);
+				return match && match[1];
+			});
+		},
+
+		// A date on a line that names the incident or the visit, else the first date
+		'accident-time'(lines) {
+			const keyword = /(incident|accident|occurr|admission|visit|事故|发生|出险|就诊|入院)/i;
+			const dated = lines.filter(line => ClaimOcr.parseDateTime(line.text));
+			const line = dated.find(candidate => keyword.test(candidate.text)) || dated[0];
+			return line ? { value: ClaimOcr.parseDateTime(line.text), confidence: line.confidence } : null;
+		},
+
+		// The amount on the last line labelled as a total (totals are printed last)
+		receiptTotal(lines) {
+			const label = /(grand total|total amount|amount due|total|合计|总计|总金额|实收|应收)/i;
+			const totals = lines.filter(line => label.test(line.text) && !/sub\s*-?\s*total|小计/i.test(line.text));
+			for (let i = totals.length - 1; i >= 0; i--) {
+				const amounts = totals[i].text.slice(totals[i].text.search(label)).match(/\d{1,3}(?:,\d{3})+(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?/g);
+				if (amounts) {
+					const amount = Number(amounts[amounts.length - 1].replace(/,/g, ''));
+					if (amount > 0) return { value: amount.toFixed(2), confidence: totals[i].confidence };
+				}
+			}
+			return null;
+		}
+	},
+
+	// Value found by `find(text)` on the line with the highest confidence
+	best(lines, find) {
+		let result = null;
+		lines.forEach(line => {
+			const value = find(line.text);
+			if (value && (!result || line.confidence > result.confidence)) result = { value, confidence: line.confidence };
+		});
+		return result;
+	},
+
+	// 'YYYY-MM-DDTHH:mm' from a date (and time) on a line, or null; dates in the future
+	// cannot be the incident
+	parseDateTime(text) {
+		const date = /(\d{4})\s*[-/.年]\s*(\d{1,2})\s*[-/.月]\s*(\d{1,2})/.exec(text);
+		if (!date) return null;
+		const [year, month, day] = date.slice(1).map(Number);
+		const valid = new Date(Date.UTC(year, month - 1, day));
+		if (valid.getUTCMonth() !== month - 1 || valid.getUTCDate() !== day || valid > new Date()) return null;
+		const time = /(\d{1,2})\s*[:时]\s*(\d{2})/.exec(text.slice(date.index + date[0].length));
+		const hours = time && Number(time[1]) < 24 && Number(time[2]) < 60 ? time : null;
+		const pad = n => String(n).padStart(2, '0');
+		return `${year}-${pad(month)}-${pad(day)}T${hours ? `${pad(hours[1])}:${hours[2]}` : '00:00'}`;
+	},
+
+	// Suggestions found in the lines of one document
+	extract(lines) {
+		return Object.entries(this.extractors)
+			.map(([field, extract]) => ({ field, ...extract(lines) }))
+			.filter(suggestion => suggestion.value);
+	},
+
+	// Recognize an uploaded image (attachment metadata and content) and return its suggestions
+	async suggest(file, blob) {
+		const lines = await this.recognize(blob);
+		return this.extract(lines).map(suggestion => ({
+			...suggestion,
+			id: `${file.id}:${suggestion.field}`,
+			attachmentId: file.id,
+			attachmentName: file.name
+		}));
+	}
+};
@@ -0,0 +1,116 @@
+// === Payee List ===
+// Step 2 lists everyone the claim is paid to, one card per payee in #payee-list. The
+// fields on a card depend on the payee type: a company gives its registration number
+// and a contact person instead of the account holder's relationship. Each input's id is
+// its form key with the entry's index (`payee-name-0`), which is where ClaimFormSchema
+// reports errors in that entry. Buttons name their action in data-payee-action; they
+// are handled on the list (see app.js).
+const PayeeList = {
+	types: ['self', 'other', 'company'],
+	banks: ['agricultural-bank', 'industrial-bank', 'construction-bank', 'bank-of-china', 'postal-bank',
+		'communications-bank', 'merchants-bank', 'minsheng-bank', 'citic-bank', 'other'],
+
+	// Form keys shown for a payee type, in the order they appear on the card
+	fieldsFor(type) {
+		const holder = type === 'company'
+			? ['company-registration', 'company-contact']
+			: ['account-relationship'];
+		return ['payee-name', ...holder, 'payee-phone', 'bank-card', 'bank-name', 'branch-name', 'payee-share'];
+	},
+
+	// The entries of the cards in `list`, as flat form data (empty fields left out)
+	read(list) {
+		return Array.from(list.querySelectorAll('.payee-card'), card => {
+			const entry = { payeeType: card.dataset.type };
+			card.querySelectorAll('[data-payee-field]').forEach(element => {
+				if (element.value) entry[element.dataset.payeeField] = element.value;
+			});
+			return entry;
+		});
+	},
+
+	// One card per entry; a claim always has at least one payee, the insured person by default
+	render(list, entries, split) {
+		const shown = entries.length > 0 ? entries : [{ payeeType: 'self', 'payee-share': '100' }];
+		SafeDom.replace(list, shown.map((entry, index) => this.card(entry, index, shown.length, split)));
+	},
+
+	card(entry, index, count, split) {
+		const type = this.types.includes(entry.payeeType) ? entry.payeeType : 'self';
+		const number = index + 1;
+		return SafeDom.el('div', { class: 'payee-card', dataset: { index, type } },
+			SafeDom.el('div', { class: 'payee-card-header' },
+				SafeDom.el('h4', { class: 'payee-card-title' }, I18n.t('payees.title', { number })),
+				count > 1 && SafeDom.el('button', {
+					type: 'button',
+					class: 'btn-secondary payee-remove',
+					'aria-label': I18n.t('payees.removeLabel', { number }),
+					dataset: { payeeAction: 'remove' }
+				}, SafeDom.icon('fa-trash-alt'), ' ', I18n.t('payees.remove'))),
+			SafeDom.el('div', { class: 'form-group' },
+				SafeDom.el('label', { class: 'form-label', id: `payeeType-${index}-label` }, I18n.t('step2.payeeType')),
+				SafeDom.el('div', { class: 'payee-type', id: `payeeType-${index}`, role: 'group', 'aria-labelledby': `payeeType-${index}-label` },
+					this.types.map(option => SafeDom.el('button', {
+						type: 'button',
+						class: option === type ? 'type-btn active' : 'type-btn',
+						'aria-pressed': String(option === type),
+						dataset: { payeeAction: 'type', value: option }
+					}, I18n.t(`payee.${option}`))))),
+			this.fieldsFor(type).map(key => this.field(key, entry[key], index, type, split)));
+	},
+
+	field(key, value, index, type, split) {
+		const id = `${key}-${index}`;
+		const labelKey = key === 'payee-name' && type === 'company' ? 'field.company-name'
+			: key === 'payee-share' ? `payees.share.${split === 'amount' ? 'amount' : 'percent'}`
+			: `field.${key}`;
+		const attributes = { id, dataset: { payeeField: key } };
+		let control;
+		if (key === 'bank-name') {
+			control = SafeDom.el('select', { ...attributes, class: 'form-select' },
+				SafeDom.el('option', { value: '' }, I18n.t('value.bank-name.placeholder')),
+				this.banks.map(bank => SafeDom.el('option', { value: bank, selected: bank === value }, I18n.t(`value.bank-name.${bank}`))));
+		} else if (key === 'account-relationship') {
+			const options = ClaimFormSchema.fields.payees.items.fields[key].enum;
+			control = SafeDom.el('select', { ...attributes, class: 'form-select' },
+				options.map(option => SafeDom.el('option', { value: option, selected: option === value }, I18n.t(`value.${key}.${option}`))));
+		} else {
+			control = SafeDom.el('input', {
+				...attributes,
+				type: key === 'payee-phone' ? 'tel' : 'text',
+				class: key === 'bank-card' ? 'form-input bank-card-input' : 'form-input',
+				value: value || '',
+				placeholder: I18n.has(`placeholder.${key}`) ? I18n.t(`placeholder.${key}`) : null,
+				maxlength: key === 'bank-card' ? '23' : null,
+				inputmode: key === 'bank-card' ? 'numeric' : key === 'payee-share' ? 'decimal' : null,
+				autocomplete: key === 'bank-card' ? 'cc-number' : null
+			});
+		}
+		return SafeDom.el('div', { class: 'form-group' },
+			SafeDom.el('label', { class: 'form-label', for: id }, I18n.t(labelKey)),
+			control,
+			key === 'payee-phone' && SafeDom.el('button', {
+				type: 'button',
+				class: 'clear-btn',
+				'aria-label': I18n.t('payees.clearPhone'),
+				dataset: { action: 'clearField', field: id }
+			}, SafeDom.icon('fa-times-circle')),
+			key === 'bank-card' && SafeDom.el('div', { class: 'helper-text' }, I18n.t('helper.bank-card')));
+	},
+
+	// "Allocated 60 of 100 %": the shares entered so far against what they must add up to.
+	// Null while a share or the total is not a valid number.
+	allocation(entries, split, total) {
+		const shares = entries.map(entry => ValidationEngine.decimalUnits(entry['payee-share']));
+		const target = split === 'amount' ? ValidationEngine.decimalUnits(total) : 10000;
+		if (target === null || shares.some(share => share === null)) return null;
+		const allocated = shares.reduce((sum, share) => sum + share, 0);
+		return {
+			complete: allocated === target,
+			text: I18n.t(`payees.allocated.${split === 'amount' ? 'amount' : 'percent'}`, {
+				allocated: ValidationEngine.formatUnits(allocated),
+				total: ValidationEngine.formatUnits(target)
+			})
+		};
+	}
+};
@@ -0,0 +1,190 @@
+// === PIN Lock ===
+// Dialogs for encryption at rest (see ClaimEncryption): the unlock prompt every page shows
+// before it reads claim data, and setting up, changing or turning off the PIN from the
+// drafts dashboard. The dialog is built here so each page only needs this script.
+const PinLock = {
+	// Ask for the PIN while the claim data on this device is encrypted and locked.
+	// Resolves once it can be read, or once it has been erased.
+	async unlockPage() {
+		if (!ClaimEncryption.locked()) return;
+		await this.ask({
+			title: 'lock.unlockTitle',
+			text: 'lock.unlockText',
+			fields: ['pin'],
+			submit: 'lock.unlock',
+			erasable: true,
+			onSubmit: async ({ pin }) => {
+				const result = await ClaimEncryption.unlock(pin);
+				if (result.wiped) alert(I18n.t('lock.wiped'));
+				else if (result.turnedOff) alert(I18n.t('lock.turnedOff'));
+				else if (!result.unlocked) return I18n.t('lock.wrongPin', { count: result.attemptsLeft });
+				return null;
+			}
+		});
+	},
+
+	// Message for a new PIN that cannot be used, or null
+	newPinProblem({ newPin, confirmPin }) {
+		if (!ClaimEncryption.validPin(newPin)) return I18n.t('lock.pinFormat', ClaimEncryption.pinLength);
+		if (newPin !== confirmPin) return I18n.t('lock.pinMismatch');
+		return null;
+	},
+
+	async currentPinProblem(currentPin) {
+		return (await ClaimEncryption.keysFor(currentPin)) ? null : I18n.t('lock.wrongCurrentPin');
+	},
+
+	setUp() {
+		return this.ask({
+			title: 'lock.setUpTitle',
+			text: 'lock.setUpText',
+			fields: ['newPin', 'confirmPin'],
+			submit: 'lock.setUp',
+			cancellable: true,
+			onSubmit: async values => {
+				const problem = this.newPinProblem(values);
+				if (problem) return problem;
+				await ClaimEncryption.setPin(values.newPin);
+				return null;
+			}
+		});
+	},
+
+	changePin() {
+		return this.ask({
+			title: 'lock.changeTitle',
+			text: 'lock.changeText',
+			fields: ['currentPin', 'newPin', 'confirmPin'],
+			submit: 'lock.change',
+			cancellable: true,
+			onSubmit: async values => {
+				const problem = this.newPinProblem(values) || await this.currentPinProblem(values.currentPin);
+				if (problem) return problem;
+				await ClaimEncryption.setPin(values.newPin, values.currentPin);
+				return null;
+			}
+		});
+	},
+
+	turnOff() {
+		return this.ask({
+			title: 'lock.turnOffTitle',
+			text: 'lock.turnOffText',
+			fields: ['currentPin'],
+			submit: 'lock.turnOff',
+			cancellable: true,
+			onSubmit: async ({ currentPin }) => {
+				const problem = await this.currentPinProblem(currentPin);
+				if (problem) return problem;
+				await ClaimEncryption.disable();
+				return null;
+			}
+		});
+	},
+
+	// Modal dialog with a PIN input per name in `fields`. `onSubmit(values)` resolves with
+	// an error message to show, or null to close the dialog. Resolves true once submitted,
+	// false when cancelled.
+	ask({ title, text, fields, submit, cancellable = false, erasable = false, onSubmit }) {
+		return new Promise(resolve => {
+			const backdrop = SafeDom.el('div', { class: 'pin-backdrop' });
+			const form = SafeDom.el('form', {
+				class: 'pin-dialog',
+				novalidate: true,
+				role: 'dialog',
+				'aria-modal': 'true',
+				'aria-labelledby': 'pin-dialog-title'
+			},
+				SafeDom.el('h2', { id: 'pin-dialog-title', class: 'pin-dialog-title' },
+					SafeDom.icon('fa-lock'), ' ', SafeDom.el('span', { dataset: { i18n: title } })),
+				SafeDom.el('p', { class: 'pin-dialog-text', dataset: { i18n: text } }),
+				fields.map(name => SafeDom.el('label', { class: 'pin-field' },
+					SafeDom.el('span', { dataset: { i18n: `lock.field.${name}` } }),
+					SafeDom.el('input', { type: 'password', name, class: 'form-input', inputmode: 'numeric', autocomplete: 'off', maxlength: ClaimEncryption.pinLength.max }))),
+				SafeDom.el('p', { class: 'pin-dialog-error', role: 'alert' }),
+				SafeDom.el('div', { class: 'pin-dialog-actions' },
+					cancellable && SafeDom.el('button', { type: 'button', class: 'btn-secondary', dataset: { pinAction: 'cancel', i18n: 'lock.cancel' } }),
+					SafeDom.el('button', { type: 'submit', class: 'btn-primary', dataset: { i18n: submit } })),
+				erasable && SafeDom.el('button', { type: 'button', class: 'pin-erase', dataset: { pinAction: 'erase', i18n: 'lock.forgot' } }));
+			I18n.apply(form);
+			backdrop.appendChild(form);
+
+			const error = form.querySelector('.pin-dialog-error');
+			const submitButton = form.querySelector('button[type="submit"]');
+			const inputs = fields.map(name => form.elements[name]);
+			const close = result => {
+				backdrop.remove();
+				document.body.classList.remove('pin-open');
+				resolve(result);
+			};
+
+			form.addEventListener('submit', async event => {
+				event.preventDefault();
+				const values = Object.fromEntries(inputs.map(input => [input.name, input.value.trim()]));
+				submitButton.disabled = true;
+				// Deriving the key takes a moment, re-encrypting files longer
+				submitButton.textContent = I18n.t('lock.working');
+				let message;
+				try {
+					message = await onSubmit(values);
+				} catch (e) {
+					console.error('PIN action failed', e);
+					message = I18n.t('lock.failed');
+				}
+				if (!message) {
+					close(true);
+					return;
+				}
+				submitButton.disabled = false;
+				submitButton.textContent = I18n.t(submit);
+				error.textContent = message;
+				inputs.forEach(input => { input.value = ''; });
+				inputs[0].focus();
+			});
+			form.addEventListener('click', async event => {
+				const button = event.target.closest('[data-pin-action]');
+				if (!button) return;
+				if (button.dataset.pinAction === 'cancel') {
+					close(false);
+				} else if (confirm(I18n.t('lock.eraseConfirm'))) {
+					await ClaimEncryption.wipe();
+					close(true);
+				}
+			});
+			form.addEventListener('keydown', event => {
+				if (event.key === 'Escape' && cancellable) close(false);
+			});
+
+			document.body.appendChild(backdrop);
+			document.body.classList.add('pin-open');
+			inputs[0].focus();
+		});
+	},
+
+	// Encryption status and actions on the drafts dashboard; `onChange` runs after the
+	// setting changed
+	renderSettings(container, onChange) {
+		if (!ClaimEncryption.supported()) {
+			container.hidden = true;
+			return;
+		}
+		const enabled = ClaimEncryption.enabled();
+		const action = (name, label, className) =>
+			SafeDom.el('button', { type: 'button', class: className, dataset: { lockAction: name } }, I18n.t(label));
+		SafeDom.replace(container,
+			SafeDom.el('div', { class: 'encryption-status' },
+				SafeDom.icon(enabled ? 'fa-lock' : 'fa-lock-open'),
+				SafeDom.el('div', {},
+					SafeDom.el('div', { class: 'encryption-title' }, I18n.t(enabled ? 'lock.settings.on' : 'lock.settings.off')),
+					SafeDom.el('div', { class: 'encryption-hint' }, I18n.t(enabled ? 'lock.settings.onHint' : 'lock.settings.offHint', { attempts: ClaimEncryption.maxAttempts })))),
+			SafeDom.el('div', { class: 'encryption-actions' },
+				enabled
+					? [action('changePin', 'lock.change', 'btn-secondary'), action('turnOff', 'lock.turnOff', 'btn-secondary')]
+					: action('setUp', 'lock.setUp', 'btn-primary')));
+		container.querySelectorAll('[data-lock-action]').forEach(button => {
+			button.addEventListener('click', async () => {
+				if (await this[button.dataset.lockAction]()) onChange();
+			});
+		});
+	}
+};
@@ -0,0 +1,55 @@
+// === Service Worker Registration & Update Prompt ===
+const PwaManager = {
+	registration: null,
+	reloading: false,
+
+	register() {
+		if (!('serviceWorker' in navigator)) return;
+		// Use relative path so the service worker can be found when the site
+		// is served from a subdirectory like /Insurance-Claim-System/
+		navigator.serviceWorker.register('sw.js').then(reg => {
+			console.log('Service Worker registered:', reg.scope);
+			this.registration = reg;
+			this.watchForUpdates(reg);
+		}).catch(err => console.warn('Service worker registration failed:', err));
+
+		// The new worker took over after the user accepted the update: load the new version
+		navigator.serviceWorker.addEventListener('controllerchange', () => {
+			if (this.reloading) return;
+			this.reloading = true;
+			window.location.reload();
+		});
+	},
+
+	// Offer a reload when a new version has been installed and is waiting.
+	// The first install (no controller yet) needs no prompt.
+	watchForUpdates(reg) {
+		if (reg.waiting && navigator.serviceWorker.controller) {
+			this.showUpdatePrompt(reg.waiting);
+		}
+		reg.addEventListener('updatefound', () => {
+			const worker = reg.installing;
+			if (!worker) return;
+			worker.addEventListener('statechange', () => {
+				if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+					this.showUpdatePrompt(worker);
+				}
+			});
+		});
+	},
+
+	showUpdatePrompt(worker) {
+		if (document.getElementById('update-prompt')) return;
+		const prompt = SafeDom.el('div', { id: 'update-prompt', class: 'update-prompt', role: 'alert' },
+			SafeDom.el('span', {}, I18n.t('pwa.updateAvailable')),
+			SafeDom.el('button', { type: 'button', class: 'update-reload' }, I18n.t('pwa.reload')),
+			SafeDom.el('button', { type: 'button', class: 'update-dismiss', 'aria-label': I18n.t('common.dismiss') }, '\u00d7'));
+		prompt.querySelector('.update-reload').addEventListener('click', () => {
+			worker.postMessage({ type: 'SKIP_WAITING' });
+		});
+		prompt.querySelector('.update-dismiss').addEventListener('click', () => prompt.remove());
+		document.body.appendChild(prompt);
+	}
+};
+
+PwaManager.register();
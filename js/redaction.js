@@ -0,0 +1,91 @@
+// === Redaction ===
+// Masks personal data by the sensitivity tag of each ClaimModel field. The UI masks card
+// and ID numbers wherever it previews claim data. The page APIs (getClaimData,
+// getWebsiteResult, fetchClaimData and /claim-data, downloadJSON) return a redacted claim
+// unless the caller asks for mode 'full', which the page must also allow with
+//   <meta name="claim-data-access" content="full">
+
+// Error raised for a full-data request the page does not allow (for developers, not translated)
+class ClaimDataAccessError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'ClaimDataAccessError';
+	}
+}
+
+const ClaimRedaction = {
+	placeholder: '[REDACTED]',
+	modes: ['redacted', 'full'],
+	// Sensitivity tag -> redacted form of a value
+	rules: {
+		financial: value => ClaimRedaction.maskCardNumber(value),
+		identifier: value => ClaimRedaction.maskTail(value),
+		contact: value => ClaimRedaction.maskTail(value),
+		name: value => ClaimRedaction.maskName(value),
+		personal: () => ClaimRedaction.placeholder,
+		health: () => ClaimRedaction.placeholder,
+		signature: () => ClaimRedaction.placeholder
+	},
+	// Tags masked in the UI too; the others are the user's own data, shown in full
+	maskedInUi: ['financial', 'identifier'],
+
+	// Read once: a script running later cannot turn full access on
+	fullAccess: (() => {
+		const meta = document.querySelector('meta[name="claim-data-access"]');
+		return !!meta && meta.content === 'full';
+	})(),
+
+	// `**** **** **** 1234`, whatever the length of the number
+	maskCardNumber(value) {
+		const digits = String(value).replace(/\s/g, '');
+		return `**** **** **** ${digits.slice(-4)}`;
+	},
+
+	// Every character but the last `keep` replaced with *
+	maskTail(value, keep = 4) {
+		const text = String(value).replace(/\s/g, '');
+		const shown = Math.min(keep, Math.floor(text.length / 2));
+		return '*'.repeat(text.length - shown) + text.slice(text.length - shown);
+	},
+
+	maskName(value) {
+		const chars = Array.from(String(value).trim());
+		return chars.length === 0 ? '' : chars[0] + '*'.repeat(chars.length - 1);
+	},
+
+	// Form value as previewed in the UI: card and ID numbers masked
+	maskForDisplay(key, value) {
+		const field = ClaimModel.fields[key] || ClaimModel.payeeFields[key];
+		if (!field || !this.maskedInUi.includes(field.sensitivity) || value === '' || value == null) return value;
+		return this.rules[field.sensitivity](value);
+	},
+
+	// Copy of a structured claim with every tagged value redacted, in each payee too
+	redactClaim(claim) {
+		const redacted = JSON.parse(JSON.stringify(claim));
+		this.redactFields(redacted, ClaimModel.fields);
+		(redacted.payees || []).forEach(payee => this.redactFields(payee, ClaimModel.payeeFields));
+		return redacted;
+	},
+
+	redactFields(node, fields) {
+		Object.values(fields).forEach(({ path, sensitivity }) => {
+			if (!sensitivity) return;
+			const value = ClaimModel.getPath(node, path);
+			if (value === undefined || value === null || value === '') return;
+			ClaimModel.setPath(node, path, this.rules[sensitivity](value));
+		});
+	},
+
+	// Claim data ({ claim, ... }) as returned to an API caller in `mode`. Throws
+	// ClaimDataAccessError for a full-data request the page does not allow.
+	forAccess(data, mode = 'redacted') {
+		if (!this.modes.includes(mode)) throw new ClaimDataAccessError(`Unknown claim data mode: ${mode}`);
+		if (mode === 'redacted') return { ...data, redacted: true, claim: this.redactClaim(data.claim) };
+		if (!this.fullAccess) {
+			throw new ClaimDataAccessError('Full claim data is not enabled on this page (<meta name="claim-data-access" content="full">)');
+		}
+		console.warn('Full claim data, including personal data, was read through the page API');
+		return { ...data, redacted: false };
+	}
+};
@@ -0,0 +1,105 @@
+// === Claim Status (status.html) ===
+// Looks up a submitted claim by reference number and ID number and shows its progress.
+
+// Stages shown on the timeline; 'approved' and 'rejected' share the decision stage
+const stages = ['submitted', 'under-review', 'more-info-requested', 'decision', 'paid'];
+const decisions = ['approved', 'rejected'];
+
+// Last result shown, re-rendered when the language changes
+let lastResult = null;
+
+function stageOf(status) {
+	return decisions.includes(status) ? 'decision' : status;
+}
+
+function formatTime(iso) {
+	return I18n.formatDateTime(iso);
+}
+
+async function lookupStatus(event) {
+	event.preventDefault();
+	const referenceNumber = document.getElementById('reference-input').value.trim();
+	const idNumber = document.getElementById('id-number-input').value.trim();
+	const errorDiv = document.getElementById('status-error');
+	const lookupBtn = document.getElementById('lookup-btn');
+
+	errorDiv.hidden = true;
+	if (!referenceNumber || !idNumber) {
+		showError(I18n.t('status.missingInput'));
+		return;
+	}
+
+	lookupBtn.disabled = true;
+	try {
+		const result = await ClaimBackend.get().getClaimStatus(referenceNumber, idNumber);
+		renderTimeline(result);
+	} catch (error) {
+		console.error('Status lookup failed:', error);
+		document.getElementById('status-result').hidden = true;
+		if (error.status === 404) {
+			showError(I18n.t('status.notFound'));
+		} else if (error.status === 0) {
+			showError(I18n.t('submission.unreachable'));
+		} else {
+			showError(I18n.t('status.lookupFailed', { message: error.message }));
+		}
+	} finally {
+		lookupBtn.disabled = false;
+	}
+}
+
+function showError(message) {
+	const errorDiv = document.getElementById('status-error');
+	errorDiv.textContent = message;
+	errorDiv.hidden = false;
+}
+
+// Render the status timeline: reached stages with their time and note, the rest pending
+function renderTimeline(result) {
+	lastResult = result;
+	const timeline = document.getElementById('status-timeline');
+	const reached = {};
+	result.history.forEach(entry => { reached[stageOf(entry.status)] = entry; });
+	const current = stageOf(result.status);
+	const rejected = result.status === 'rejected';
+
+	SafeDom.replace(timeline);
+	stages.forEach(stage => {
+		const entry = reached[stage];
+		let state = entry ? 'done' : 'pending';
+		if (stage === current) state = rejected ? 'rejected' : 'current';
+		if (rejected && stage === 'paid') state = 'skipped';
+		const item = SafeDom.el('li', { class: `timeline-item timeline-${state}` });
+
+		const label = stage === 'decision' && entry ? I18n.t(`status.decision.${entry.status}`) : I18n.t(`status.stage.${stage}`);
+		// The note comes from the claims service: inserted as text
+		SafeDom.append(item,
+			SafeDom.el('div', { class: 'timeline-marker' }),
+			SafeDom.el('div', { class: 'timeline-body' },
+				SafeDom.el('div', { class: 'timeline-label' }, label),
+				entry && SafeDom.el('div', { class: 'timeline-time' }, formatTime(entry.at)),
+				entry && entry.note && SafeDom.el('div', { class: 'timeline-note' }, entry.note)));
+		timeline.appendChild(item);
+	});
+
+	document.getElementById('status-reference').textContent = result.referenceNumber;
+	document.getElementById('status-result').hidden = false;
+}
+
+function goHome() {
+	window.location.href = 'drafts.html';
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+	document.getElementById('home-btn').addEventListener('click', goHome);
+	document.getElementById('status-form').addEventListener('submit', lookupStatus);
+	// Pre-fill the reference number when coming from the success page (?ref=...)
+	const ref = new URLSearchParams(window.location.search).get('ref');
+	if (ref) {
+		document.getElementById('reference-input').value = ref;
+		document.getElementById('id-number-input').focus();
+	}
+	I18n.onChange(() => {
+		if (lastResult) renderTimeline(lastResult);
+	});
+});
@@ -0,0 +1,147 @@
+// === Offline Submission Queue ===
+// Claims submitted while offline wait in the IndexedDB outbox until the service
+// worker sends them (Background Sync), or until the next page load where Background
+// Sync is unavailable. Loaded by both the page and the service worker.
+//
+// Entry status: queued -> sending -> sent | failed. An entry is only moved to
+// 'sending' inside a single IDB transaction, so two senders (page and worker) never
+// pick up the same claim; the claim id is also sent as the Idempotency-Key so the
+// server ignores a repeat of a request whose response was lost.
+const SubmissionQueue = {
+	syncTag: 'claim-submission',
+	staleSendingMs: 2 * 60 * 1000, // a 'sending' entry older than this was interrupted
+
+	async transaction(mode, fn) {
+		const db = await IDBHelper.open();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(IDBHelper.outboxStoreName, mode);
+			let result;
+			fn(tx.objectStore(IDBHelper.outboxStoreName), value => { result = value; });
+			tx.oncomplete = () => resolve(result);
+			tx.onerror = () => reject(tx.error);
+		});
+	},
+
+	// Add a claim to the queue. `parts` come from buildClaimParts().
+	async enqueue(claimId, parts, baseUrl) {
+		const now = new Date().toISOString();
+		const entry = { claimId, baseUrl, ...parts, status: 'queued', attempts: 0, lastError: null, result: null, createdAt: now, updatedAt: now };
+		await this.transaction('readwrite', store => store.put(entry));
+		return entry;
+	},
+
+	async get(claimId) {
+		return this.transaction('readonly', (store, done) => {
+			const req = store.get(claimId);
+			req.onsuccess = () => done(req.result || null);
+		});
+	},
+
+	async list() {
+		return this.transaction('readonly', (store, done) => {
+			const req = store.getAll();
+			req.onsuccess = () => done(req.result);
+		});
+	},
+
+	async update(claimId, patch) {
+		return this.transaction('readwrite', (store, done) => {
+			const req = store.get(claimId);
+			req.onsuccess = () => {
+				if (!req.result) return;
+				const entry = { ...req.result, ...patch, updatedAt: new Date().toISOString() };
+				store.put(entry);
+				done(entry);
+			};
+		});
+	},
+
+	async remove(claimId) {
+		return this.transaction('readwrite', store => store.delete(claimId));
+	},
+
+	// Status fields of an entry, without the payload (safe to post between contexts)
+	summary(entry) {
+		const { claimId, status, attempts, lastError, result, updatedAt } = entry;
+		return { claimId, status, attempts, lastError, result, updatedAt };
+	},
+
+	// Atomically move an entry to 'sending'. Resolves with the entry, or null when
+	// it is not waiting to be sent (already sent, failed, or being sent elsewhere).
+	async take(claimId) {
+		return this.transaction('readwrite', (store, done) => {
+			const req = store.get(claimId);
+			req.onsuccess = () => {
+				const entry = req.result;
+				if (!entry) return done(null);
+				const stale = entry.status === 'sending' && Date.now() - Date.parse(entry.updatedAt) > this.staleSendingMs;
+				if (entry.status !== 'queued' && !stale) return done(null);
+				const taken = { ...entry, status: 'sending', attempts: entry.attempts + 1, updatedAt: new Date().toISOString() };
+				store.put(taken);
+				done(taken);
+			};
+		});
+	},
+
+	// Send every waiting entry. `onStatus(summary)` is called on each status change.
+	// Resolves with the number of entries still queued (to be retried later).
+	async process(onStatus = () => {}) {
+		const entries = await this.list();
+		let pending = 0;
+		for (const { claimId } of entries) {
+			const entry = await this.take(claimId);
+			if (!entry) continue;
+			onStatus(this.summary(entry));
+			try {
+				const backend = new HttpClaimBackend({ baseUrl: entry.baseUrl });
+				const result = await backend.submitClaim(claimPartsToFormData(entry), { idempotencyKey: claimId });
+				// Drop the payload once delivered; the entry stays as a record that the claim was sent
+				const sent = await this.update(claimId, { status: 'sent', result, lastError: null, claim: null, attachments: [], signature: null, claimForm: null });
+				onStatus(this.summary(sent));
+			} catch (error) {
+				const retryable = !(error instanceof ClaimApiError) || error.retryable;
+				if (retryable) pending++;
+				const updated = await this.update(claimId, {
+					status: retryable ? 'queued' : 'failed',
+					lastError: { message: error.message, status: error.status || 0, details: error.details || [] }
+				});
+				onStatus(this.summary(updated));
+			}
+		}
+		return pending;
+	},
+
+	// Page side: ask the service worker to send the queue, or send it from the page
+	// when no worker controls it.
+	async flush(onStatus) {
+		const controller = self.navigator && navigator.serviceWorker && navigator.serviceWorker.controller;
+		if (controller) {
+			controller.postMessage({ type: 'FLUSH_SUBMISSION_QUEUE' });
+			return;
+		}
+		await this.process(onStatus);
+	},
+
+	// Page side: register a Background Sync so the worker sends the queue once the
+	// device is back online. Resolves false when Background Sync is unavailable.
+	async requestSync() {
+		if (!('serviceWorker' in navigator)) return false;
+		try {
+			const reg = await navigator.serviceWorker.ready;
+			if (!reg.sync) return false;
+			await reg.sync.register(this.syncTag);
+			return true;
+		} catch (e) {
+			console.warn('Background Sync registration failed:', e);
+			return false;
+		}
+	},
+
+	// Page side: listen for status changes reported by the service worker
+	onStatus(callback) {
+		if (!('serviceWorker' in navigator)) return;
+		navigator.serviceWorker.addEventListener('message', event => {
+			if (event.data && event.data.type === 'SUBMISSION_STATUS') callback(event.data.entry);
+		});
+	}
+};
@@ -0,0 +1,125 @@
+// === Submission Confirmation (success.html) ===
+// Shows the reference number of the submitted claim and offers its downloads. Buttons name
+// their action in data-action.
+
+// Claim this page reports on (?claim=<id>)
+const claimId = DraftStore.idFromUrl();
+
+// Initialize success page
+function initSuccessPage() {
+	// Set submission date (when the claims service accepted the claim)
+	const submission = getSubmission();
+	const dateOptions = {
+		year: 'numeric',
+		month: 'long',
+		day: 'numeric',
+		hour: '2-digit',
+		minute: '2-digit'
+	};
+	const submittedAt = submission && submission.submittedAt ? submission.submittedAt : new Date();
+	document.getElementById('submission-date').textContent = I18n.formatDate(submittedAt, dateOptions);
+
+	// Set reference number issued by the claims service
+	document.getElementById('reference-number').textContent = submission ? submission.referenceNumber : I18n.t('common.notAvailable');
+	document.getElementById('view-status-btn').disabled = !submission;
+}
+
+// Submission record (reference number) kept with the claim
+function getSubmission() {
+	const data = claimId ? DraftStore.loadData(claimId) : null;
+	return data ? data.submission : null;
+}
+
+// Navigation functions. The submitted claim stays on the drafts dashboard, marked with its
+// reference number and a track action (see DraftStore.recordSubmission).
+function goHome() {
+	window.location.href = 'drafts.html';
+}
+
+function viewClaim() {
+	const submission = getSubmission();
+	if (!submission) return;
+	window.location.href = `status.html?ref=${encodeURIComponent(submission.referenceNumber)}`;
+}
+
+// Download the whole claim as one ZIP (data, signature, claim form, attachments)
+async function downloadAllFiles() {
+	const data = claimId ? DraftStore.loadData(claimId) : null;
+	if (!data) {
+		alert(I18n.t('success.noData'));
+		return;
+	}
+
+	const downloadBtn = document.getElementById('download-all-btn');
+	const originalContent = Array.from(downloadBtn.childNodes);
+	SafeDom.replace(downloadBtn, SafeDom.icon('fa-spinner fa-spin'), ` ${I18n.t('success.downloading')}`);
+	downloadBtn.disabled = true;
+	try {
+		const files = [];
+		for (const meta of data.claim.attachments) {
+			const blob = await IDBHelper.getFile(meta.id);
+			if (!blob) throw new Error(`File content not found: ${meta.name}`);
+			files.push({ meta, blob });
+		}
+		const exportedAt = new Date().toISOString();
+		const zip = await ClaimExport.build({
+			claimId,
+			claim: data.claim,
+			files,
+			claimForm: await IDBHelper.getFile(ClaimPdf.fileId(claimId)),
+			exportedAt
+		});
+		ClaimExport.download(zip, ClaimExport.fileName(exportedAt));
+	} catch (error) {
+		console.error('Error downloading files:', error);
+		alert(I18n.t('success.downloadFailed'));
+	} finally {
+		SafeDom.replace(downloadBtn, originalContent);
+		downloadBtn.disabled = false;
+	}
+}
+
+// Download the signed claim form sent with the submission; rebuilt from the
+// stored claim data if it is no longer in IndexedDB
+async function downloadClaimForm() {
+	const button = document.getElementById('claim-form-btn');
+	button.disabled = true;
+	try {
+		let blob = claimId ? await IDBHelper.getFile(ClaimPdf.fileId(claimId)) : null;
+		if (!blob) {
+			const data = claimId ? DraftStore.loadData(claimId) : null;
+			if (!data) {
+				alert(I18n.t('success.noData'));
+				return;
+			}
+			const submission = data.submission || {};
+			const { formData, uploadedFiles } = ClaimModel.toForm(data.claim);
+			blob = await ClaimPdf.createBlob({
+				claimId,
+				formData,
+				files: uploadedFiles,
+				generatedAt: submission.submittedAt || new Date().toISOString(),
+				locale: I18n.locale
+			});
+		}
+		ClaimExport.download(blob, `Insurance_Claim_Form_${claimId || new Date().toISOString().split('T')[0]}.pdf`);
+	} catch (error) {
+		console.error('Error downloading claim form:', error);
+		alert(I18n.t('success.downloadFailed'));
+	} finally {
+		button.disabled = false;
+	}
+}
+
+const pageActions = { goHome, viewClaim, downloadAllFiles, downloadClaimForm };
+
+// Initialize when page loads; encrypted claim data is read once the PIN is entered
+document.addEventListener('DOMContentLoaded', async () => {
+	document.addEventListener('click', event => {
+		const button = event.target.closest('[data-action]');
+		if (button && pageActions[button.dataset.action]) pageActions[button.dataset.action]();
+	});
+	await PinLock.unlockPage();
+	initSuccessPage();
+	I18n.onChange(initSuccessPage);
+});
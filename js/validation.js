@@ -0,0 +1,227 @@
+// === Schema Validation Engine ===
+// Checks claim data against a form schema (see ClaimFormSchema) and returns one
+// error object per problem: { field, step, rule, message }. At most one error is
+// reported per field; field rules run before cross-field rules. Errors in an entry of a
+// list (a field with `items`) are reported on `<key>-<index>` and also carry the list's
+// key as `group`, the entry's `index` and the field's `key`.
+const ValidationEngine = {
+	// Named value checks used by a field's `format`. Return null when valid,
+	// otherwise a translated message (or true to use the field's message).
+	formats: {
+		phone(value) {
+			return FormValidator.isValidInternationalPhone(String(value)) ? null : true;
+		},
+		bankCard(value) {
+			const result = BankCardValidator.validate(value);
+			return result.valid ? null : result.error;
+		},
+		idNumber(value, data) {
+			const result = IdNumberValidator.validate(data['id-type'] || 'national-id', value);
+			return result.valid ? null : result.error;
+		},
+		// A positive amount with at most 2 decimals
+		amount(value) {
+			const units = ValidationEngine.decimalUnits(value);
+			return units !== null && units > 0 ? null : true;
+		},
+		// A payee's share: a percentage up to 100, or an amount when the payout is split by amount
+		share(value, data) {
+			const units = ValidationEngine.decimalUnits(value);
+			if (data['payee-split'] === 'amount') return units !== null && units > 0 ? null : I18n.t('validation.payee-share.amount');
+			return units !== null && units > 0 && units <= 10000 ? null : I18n.t('validation.payee-share.percent');
+		},
+		// An expense amount above 0 with no more decimals than its currency has (none for JPY)
+		money(value, data) {
+			const currency = data['expense-currency'];
+			const units = Money.units(value, currency);
+			if (units !== null && units > 0) return null;
+			return I18n.t(Money.decimals(currency) === 0 ? 'validation.expense-amount.whole' : 'validation.expense-amount.format', { currency });
+		},
+		// The id of a file that is still uploaded
+		attachment(value, data) {
+			return (data.uploadedFiles || []).some(file => file.id === value) ? null : true;
+		}
+	},
+
+	// Cross-field checks used by schema `rules`. Return true when the data passes,
+	// otherwise false (to use the rule's message) or a translated message.
+	crossRules: {
+		// A date/time field is not later than now
+		notInFuture(rule, data) {
+			const value = data[rule.field];
+			return !value || new Date(value) <= new Date();
+		},
+		// A date field is on or after the birth date encoded in the ID number
+		notBeforeBirthDate(rule, data) {
+			const value = data[rule.field];
+			if (!value) return true;
+			const { birthDate } = IdNumberValidator.validate(data['id-type'] || 'national-id', data['id-number']);
+			return !birthDate || String(value).slice(0, 10) >= birthDate;
+		},
+		// `field` is on or after the date in `after` (compared by calendar date)
+		dateOrder(rule, data) {
+			const value = data[rule.field];
+			const other = data[rule.after];
+			if (!value || !other) return true;
+			return String(value).slice(0, 10) >= String(other).slice(0, 10);
+		},
+		// `field` differs from `value`
+		notEquals(rule, data) {
+			return data[rule.field] !== rule.value;
+		},
+		// The `share` values of the entries in `field` add up to `total`, or to the value of
+		// `totalField`. Compared in hundredths, so 33.33 + 33.33 + 33.34 is exactly 100.
+		sharesTotal(rule, data) {
+			const shares = (data[rule.field] || []).map(entry => ValidationEngine.decimalUnits(entry[rule.share]));
+			const total = ValidationEngine.decimalUnits(rule.totalField ? data[rule.totalField] : rule.total);
+			// Missing or malformed values are reported on their own fields
+			if (total === null || shares.some(share => share === null)) return true;
+			const allocated = shares.reduce((sum, share) => sum + share, 0);
+			if (allocated === total) return true;
+			return I18n.t(rule.message, { allocated: ValidationEngine.formatUnits(allocated), total: ValidationEngine.formatUnits(total) });
+		},
+		// Every document category required for the incident type has a file
+		requiredDocuments(rule, data, schema) {
+			const missing = ValidationEngine.missingDocuments(schema, data);
+			if (missing.length === 0) return true;
+			const categories = missing.map(category => I18n.t(`document.category.${category}`)).join(I18n.t('common.listSeparator'));
+			return I18n.t(rule.message, { categories });
+		}
+	},
+
+	// Document categories required for the incident type (see schema `documents`)
+	requiredDocuments(schema, data) {
+		return (schema.documents && schema.documents.required[data.incident]) || [];
+	},
+
+	// Required document categories without any uploaded file; untagged files count as 'other'
+	missingDocuments(schema, data) {
+		const present = new Set((data.uploadedFiles || []).map(file => file.category || 'other'));
+		return this.requiredDocuments(schema, data).filter(category => !present.has(category));
+	},
+
+	// A decimal with at most 2 decimals as a whole number of hundredths, or null
+	decimalUnits(value) {
+		return Money.units(value);
+	},
+
+	formatUnits(units) {
+		return I18n.formatNumber(units / 100, { maximumFractionDigits: 2 });
+	},
+
+	isEmpty(value) {
+		return value === undefined || value === null || value === '' || value === false ||
+			(Array.isArray(value) && value.length === 0);
+	},
+
+	// A condition or list of conditions, all of which must hold
+	matches(condition, data) {
+		if (!condition) return true;
+		if (Array.isArray(condition)) return condition.every(c => this.matches(c, data));
+		const value = data[condition.field];
+		if ('equals' in condition) return value === condition.equals;
+		if ('in' in condition) return condition.in.includes(value);
+		return !this.isEmpty(value);
+	},
+
+	// Translated message: the schema's key for this rule, else `fallback` (a message
+	// already produced by a format check), else the generic message for the rule
+	message(spec, field, rule, fallback) {
+		if (spec.messages && spec.messages[rule]) return I18n.t(spec.messages[rule]);
+		if (fallback) return fallback;
+		const generic = { required: 'validation.required', enum: 'validation.enum', maxLength: 'validation.maxLength' }[rule] || 'validation.invalid';
+		return I18n.t(generic, { label: I18n.t(`field.${field}`), max: spec.maxLength });
+	},
+
+	// First problem with one field, or null
+	validateField(field, spec, data) {
+		const value = data[field];
+		const required = spec.required || (spec.requiredWhen && this.matches(spec.requiredWhen, data));
+
+		if (this.isEmpty(value)) {
+			if (spec.minItems) return { rule: 'minItems', message: this.message(spec, field, 'minItems') };
+			if (!required) return null;
+			return { rule: 'required', message: this.message(spec, field, 'required') };
+		}
+		if ('const' in spec && value !== spec.const) {
+			return { rule: 'const', message: this.message(spec, field, 'const') };
+		}
+		if (spec.enum && !spec.enum.includes(value)) {
+			return { rule: 'enum', message: this.message(spec, field, 'enum') };
+		}
+		if (spec.minItems && (!Array.isArray(value) || value.length < spec.minItems)) {
+			return { rule: 'minItems', message: this.message(spec, field, 'minItems') };
+		}
+		if (spec.maxLength && String(value).length > spec.maxLength) {
+			return { rule: 'maxLength', message: this.message(spec, field, 'maxLength') };
+		}
+		if (spec.pattern && !new RegExp(spec.pattern).test(String(value).trim())) {
+			return { rule: 'pattern', message: this.message(spec, field, 'pattern') };
+		}
+		if (spec.format) {
+			const check = this.formats[spec.format];
+			const problem = check ? check(value, data) : null;
+			if (problem) {
+				return { rule: 'format', message: this.message(spec, field, 'format', typeof problem === 'string' ? problem : null) };
+			}
+		}
+		return null;
+	},
+
+	// Errors of `fields` and `rules` against `data`; `include(spec)` picks the fields to check
+	check(fields, rules, data, schema, include) {
+		const errors = [];
+		const failed = new Set();
+
+		Object.entries(fields).forEach(([field, spec]) => {
+			if (!include(spec)) return;
+			const error = this.validateField(field, spec, data);
+			if (error) {
+				errors.push({ field, ...error });
+				failed.add(field);
+			}
+		});
+
+		(rules || []).forEach(rule => {
+			if (!include(fields[rule.field] || {}) || failed.has(rule.field)) return;
+			if (!this.matches(rule.when, data)) return;
+			const check = this.crossRules[rule.check];
+			const result = check ? check(rule, data, schema) : true;
+			if (result !== true) {
+				const message = typeof result === 'string' ? result : I18n.t(rule.message);
+				errors.push({ field: rule.field, rule: rule.check, message });
+				failed.add(rule.field);
+			}
+		});
+
+		return errors;
+	},
+
+	// Validate `data` against `schema`. Options: { steps: [1, 2] } limits the check to those steps.
+	validate(schema, data, { steps } = {}) {
+		const inSteps = step => !steps || steps.includes(step);
+		const stepOf = field => (schema.fields[field] || {}).step;
+		const errors = this.check(schema.fields, schema.rules, data, schema, spec => inSteps(spec.step))
+			.map(error => ({ ...error, step: stepOf(error.field) }));
+
+		Object.entries(schema.fields).forEach(([group, spec]) => {
+			if (!spec.items || !inSteps(spec.step) || !Array.isArray(data[group])) return;
+			const { fields, rules, entryMessage } = spec.items;
+			data[group].forEach((entry, index) => {
+				this.check(fields, rules, { ...data, ...entry }, schema, () => true).forEach(error => {
+					errors.push({
+						...error,
+						field: `${error.field}-${index}`,
+						step: spec.step,
+						group,
+						index,
+						key: error.field,
+						message: I18n.t(entryMessage, { number: index + 1, message: error.message })
+					});
+				});
+			});
+		});
+
+		return errors;
+	}
+};
@@ -0,0 +1,140 @@
+// === ZIP Archives ===
+// ZipWriter writes uncompressed ("stored") ZIP archives. Attachments are mostly JPEG/PNG/PDF,
+// which are already compressed, so deflating them would cost time for little gain.
+// Entry names are stored as UTF-8 and timestamps in UTC, so the same entries always
+// produce the same archive.
+const ZipWriter = {
+	crcTable: null,
+
+	crc32(bytes) {
+		if (!this.crcTable) {
+			this.crcTable = new Uint32Array(256);
+			for (let n = 0; n < 256; n++) {
+				let c = n;
+				for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+				this.crcTable[n] = c >>> 0;
+			}
+		}
+		let crc = 0xffffffff;
+		for (let i = 0; i < bytes.length; i++) crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+		return (crc ^ 0xffffffff) >>> 0;
+	},
+
+	// MS-DOS date and time fields (2-second resolution, years 1980-2107)
+	dosDateTime(date) {
+		const d = new Date(date);
+		const year = Math.min(Math.max(d.getUTCFullYear(), 1980), 2107);
+		return {
+			time: (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | (d.getUTCSeconds() >> 1),
+			date: ((year - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate()
+		};
+	},
+
+	// Build an archive from [{ name, data: Uint8Array }]; `date` is used for every entry.
+	// Returns a Uint8Array.
+	build(entries, date) {
+		const encoder = new TextEncoder();
+		const { time, date: day } = this.dosDateTime(date);
+		const chunks = [];
+		const central = [];
+		let offset = 0;
+
+		const header = (size, fields) => {
+			const bytes = new Uint8Array(size);
+			const view = new DataView(bytes.buffer);
+			let pos = 0;
+			fields.forEach(([width, value]) => {
+				if (width === 4) view.setUint32(pos, value, true);
+				else view.setUint16(pos, value, true);
+				pos += width;
+			});
+			return bytes;
+		};
+
+		entries.forEach(({ name, data }) => {
+			const nameBytes = encoder.encode(name);
+			const crc = this.crc32(data);
+			// Version 2.0, flag bit 11 = UTF-8 names, method 0 = stored
+			const common = [[2, 20], [2, 0x0800], [2, 0], [2, time], [2, day], [4, crc], [4, data.length], [4, data.length], [2, nameBytes.length], [2, 0]];
+			chunks.push(header(30, [[4, 0x04034b50], ...common]), nameBytes, data);
+			central.push(header(46, [[4, 0x02014b50], [2, 20], ...common, [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]]), nameBytes);
+			offset += 30 + nameBytes.length + data.length;
+		});
+
+		const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+		const end = header(22, [[4, 0x06054b50], [2, 0], [2, 0], [2, entries.length], [2, entries.length], [4, centralSize], [4, offset], [2, 0]]);
+
+		const all = [...chunks, ...central, end];
+		const zip = new Uint8Array(all.reduce((sum, chunk) => sum + chunk.length, 0));
+		let pos = 0;
+		all.forEach(chunk => {
+			zip.set(chunk, pos);
+			pos += chunk.length;
+		});
+		return zip;
+	}
+};
+
+// Reads ZIP archives: stored entries, and deflated ones where the browser has
+// DecompressionStream (so archives re-packed by other tools can be read too)
+const ZipReader = {
+	isZip(bytes) {
+		return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+	},
+
+	// Entries listed in the central directory, as [{ name, method, crc, compressedSize, size, headerOffset }]
+	entries(bytes) {
+		const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		// The end-of-central-directory record is in the last 22 bytes plus an optional comment
+		let end = -1;
+		for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+			if (view.getUint32(i, true) === 0x06054b50) {
+				end = i;
+				break;
+			}
+		}
+		if (end < 0) throw new Error('Not a ZIP archive');
+
+		const decoder = new TextDecoder();
+		const count = view.getUint16(end + 10, true);
+		let pos = view.getUint32(end + 16, true);
+		const entries = [];
+		for (let i = 0; i < count; i++) {
+			if (view.getUint32(pos, true) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+			const nameLength = view.getUint16(pos + 28, true);
+			const extraLength = view.getUint16(pos + 30, true);
+			const commentLength = view.getUint16(pos + 32, true);
+			entries.push({
+				name: decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength)),
+				method: view.getUint16(pos + 10, true),
+				crc: view.getUint32(pos + 16, true),
+				compressedSize: view.getUint32(pos + 20, true),
+				size: view.getUint32(pos + 24, true),
+				headerOffset: view.getUint32(pos + 42, true)
+			});
+			pos += 46 + nameLength + extraLength + commentLength;
+		}
+		return entries;
+	},
+
+	// Content of one entry as a Uint8Array, checked against its CRC-32
+	async extract(bytes, entry) {
+		const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		const header = entry.headerOffset;
+		if (view.getUint32(header, true) !== 0x04034b50) throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+		const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+		const raw = bytes.subarray(start, start + entry.compressedSize);
+
+		let data;
+		if (entry.method === 0) {
+			data = raw;
+		} else if (entry.method === 8 && typeof DecompressionStream !== 'undefined') {
+			const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+			data = new Uint8Array(await new Response(stream).arrayBuffer());
+		} else {
+			throw new Error(`Unsupported ZIP compression method ${entry.method}: ${entry.name}`);
+		}
+		if (ZipWriter.crc32(data) !== entry.crc) throw new Error(`ZIP entry is damaged: ${entry.name}`);
+		return data;
+	}
+};
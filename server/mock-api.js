@@ -0,0 +1,443 @@
+// Local mock of the claims API, for end-to-end testing without an outside service.
+// Serves the static app from the repo root and implements:
+//   POST /api/claims          multipart claim submission -> { referenceNumber, status, receivedAt }
+//   POST /api/claims/lookup   { referenceNumber, idNumber } -> { referenceNumber, status, history }
+//
+// Usage:
+//   node server/mock-api.js
+// Environment:
+//   PORT                     port to listen on (default 8000)
+//   MOCK_FAILURE_RATE        0..1, share of submissions answered with 503 (to exercise retries)
+//   MOCK_STATUS_STEP_SECONDS seconds before a claim moves to its next status (default 60)
+//   MOCK_OUTCOME             'approved' (default) or 'rejected'
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const vm = require('vm');
+
+const PORT = Number(process.env.PORT) || 8000;
+const FAILURE_RATE = Number(process.env.MOCK_FAILURE_RATE) || 0;
+const STATUS_STEP_MS = (Number(process.env.MOCK_STATUS_STEP_SECONDS) || 60) * 1000;
+const OUTCOME = process.env.MOCK_OUTCOME === 'rejected' ? 'rejected' : 'approved';
+const STATIC_ROOT = path.resolve(__dirname, '..');
+// What is served from STATIC_ROOT: the pages and files at the top, and the app's directories.
+// The rest of the repo (server code, .git, notes) is not.
+const STATIC_FILES = ['index.html', 'drafts.html', 'success.html', 'status.html', 'file-comparison-tool.html', 'sw.js', 'manifest.webmanifest'];
+const STATIC_DIRECTORIES = ['css', 'js', 'icons', 'vendor'];
+const MAX_BODY_SIZE = 100 * 1024 * 1024; // 100MB for a whole claim
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB per attachment, same as the client
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'];
+const REQUIRED_FIELDS = {
+	'insured-name': 'Insured person name is required',
+	'id-number': 'ID number is required',
+	'phone': 'Phone number is required',
+	'accident-time': 'Incident time is required'
+};
+// Required in every entry of formData.payees, plus the company details for a company
+const PAYEE_REQUIRED_FIELDS = {
+	'payee-name': 'Payee name is required',
+	'payee-phone': 'Payee phone number is required',
+	'bank-card': 'Bank card number is required',
+	'bank-name': 'Bank name is required',
+	'payee-share': 'Payee share is required'
+};
+const COMPANY_REQUIRED_FIELDS = {
+	'company-registration': 'Business registration number is required',
+	'company-contact': 'Company contact person is required'
+};
+// Required in every entry of formData.expenses
+const EXPENSE_REQUIRED_FIELDS = {
+	'expense-date': 'Expense date is required',
+	'expense-category': 'Expense category is required',
+	'expense-provider': 'Provider is required',
+	'expense-amount': 'Amount is required',
+	'expense-currency': 'Currency is required',
+	'expense-receipt': 'Receipt is required'
+};
+
+// A script of the app that declares one global (`const Name = ...`), run on its own with
+// the `globals` it uses, so the mock checks claims against the same data and rules as the client
+function loadClientModule(file, name, globals = {}) {
+	const source = fs.readFileSync(path.join(STATIC_ROOT, file), 'utf8');
+	return vm.runInContext(`${source}\n${name};`, vm.createContext({ ...globals }), { filename: file });
+}
+
+const Money = loadClientModule('js/money.js', 'Money');
+const ClaimFormSchema = loadClientModule('js/claim-schema.js', 'ClaimFormSchema', { Money });
+const EXPENSE_CATEGORIES = ClaimFormSchema.fields.expenses.items.fields['expense-category'].enum;
+// Document categories required per incident type
+const REQUIRED_DOCUMENTS = ClaimFormSchema.documents.required;
+
+const MIME_TYPES = {
+	'.html': 'text/html; charset=utf-8',
+	'.js': 'text/javascript; charset=utf-8',
+	'.css': 'text/css; charset=utf-8',
+	'.json': 'application/json; charset=utf-8',
+	'.png': 'image/png',
+	'.svg': 'image/svg+xml',
+	'.ico': 'image/x-icon',
+	'.webmanifest': 'application/manifest+json',
+	'.woff2': 'font/woff2',
+	'.gz': 'application/gzip'
+};
+
+// Submitted claims by reference number, and idempotency keys already answered
+const claims = new Map();
+const responsesByKey = new Map();
+
+function sendJson(res, status, body) {
+	res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+	res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		let size = 0;
+		req.on('data', chunk => {
+			size += chunk.length;
+			if (size > MAX_BODY_SIZE) {
+				reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+				req.destroy();
+				return;
+			}
+			chunks.push(chunk);
+		});
+		req.on('end', () => resolve(Buffer.concat(chunks)));
+		req.on('error', reject);
+	});
+}
+
+// Minimal multipart/form-data parser: returns [{ name, filename, type, data }]
+function parseMultipart(buffer, contentType) {
+	const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+	if (!match) throw Object.assign(new Error('Missing multipart boundary'), { status: 400 });
+	const boundary = Buffer.from(`--${match[1] || match[2]}`);
+	const parts = [];
+	let start = buffer.indexOf(boundary);
+	while (start !== -1) {
+		const next = buffer.indexOf(boundary, start + boundary.length);
+		if (next === -1) break;
+		// Part content sits between the CRLF after the boundary and the CRLF before the next one
+		const part = buffer.slice(start + boundary.length + 2, next - 2);
+		const headerEnd = part.indexOf('\r\n\r\n');
+		if (headerEnd !== -1) {
+			const headers = part.slice(0, headerEnd).toString('utf8');
+			const disposition = /content-disposition:[^\r\n]*/i.exec(headers);
+			const name = disposition && /name="([^"]*)"/i.exec(disposition[0]);
+			const filename = disposition && /filename="([^"]*)"/i.exec(disposition[0]);
+			const type = /content-type:\s*([^\r\n]+)/i.exec(headers);
+			parts.push({
+				name: name ? name[1] : '',
+				filename: filename ? filename[1] : null,
+				type: type ? type[1].trim() : null,
+				data: part.slice(headerEnd + 4)
+			});
+		}
+		start = next;
+	}
+	return parts;
+}
+
+// Type of a file from its first bytes (the client checks the same), or null
+function detectType(data) {
+	const head = data.subarray(0, 8).toString('latin1');
+	if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg';
+	if (head === '\x89PNG\r\n\x1a\n') return 'image/png';
+	if (head.startsWith('GIF87a') || head.startsWith('GIF89a')) return 'image/gif';
+	if (head.startsWith('%PDF-')) return 'application/pdf';
+	return null;
+}
+
+// Problems with the payees: required fields per payee type, and shares that add up to
+// 100% or to the total amount being split
+function validatePayees(formData) {
+	const payees = Array.isArray(formData.payees) ? formData.payees : [];
+	if (payees.length === 0) return [{ field: 'payees', message: 'At least one payee is required' }];
+	const errors = [];
+	payees.forEach((payee, index) => {
+		const required = payee.payeeType === 'company' ? { ...PAYEE_REQUIRED_FIELDS, ...COMPANY_REQUIRED_FIELDS } : PAYEE_REQUIRED_FIELDS;
+		Object.entries(required).forEach(([field, message]) => {
+			if (!payee[field]) errors.push({ field: `payees.${index}.${field}`, message: `Payee ${index + 1}: ${message}` });
+		});
+		if (payee['payee-share'] && Money.units(payee['payee-share']) === null) {
+			errors.push({ field: `payees.${index}.payee-share`, message: `Payee ${index + 1}: Share is not a valid number` });
+		}
+	});
+	const shares = payees.map(payee => Money.units(payee['payee-share']));
+	const byAmount = formData['payee-split'] === 'amount';
+	const total = byAmount ? Money.units(formData['payout-total']) : 10000;
+	if (total === null) {
+		errors.push({ field: 'payout-total', message: 'Total amount to split is missing or not valid' });
+	} else if (!shares.includes(null)) {
+		const allocated = shares.reduce((sum, share) => sum + share, 0);
+		if (allocated !== total) {
+			errors.push({
+				field: 'payees',
+				message: byAmount
+					? `Payee amounts add up to ${allocated / 100}, not ${total / 100}`
+					: `Payee shares add up to ${allocated / 100}%, not 100%`
+			});
+		}
+	}
+	return errors;
+}
+
+// Problems with the itemized expenses: required fields, category, an amount valid in its
+// currency and a receipt that is one of the claim's attachments
+function validateExpenses(claim) {
+	const expenses = Array.isArray(claim.formData.expenses) ? claim.formData.expenses : [];
+	const attachmentIds = new Set((claim.attachments || []).map(file => file.id));
+	const errors = [];
+	expenses.forEach((expense, index) => {
+		const problem = (field, message) => errors.push({ field: `expenses.${index}.${field}`, message: `Expense ${index + 1}: ${message}` });
+		Object.entries(EXPENSE_REQUIRED_FIELDS).forEach(([field, message]) => {
+			if (!expense[field]) problem(field, message);
+		});
+		const currency = expense['expense-currency'];
+		if (expense['expense-category'] && !EXPENSE_CATEGORIES.includes(expense['expense-category'])) {
+			problem('expense-category', `Unknown expense category: ${expense['expense-category']}`);
+		}
+		if (currency && !(currency in Money.currencies)) {
+			problem('expense-currency', `Unsupported currency: ${currency}`);
+		} else if (expense['expense-amount'] && !(Money.units(expense['expense-amount'], currency) > 0)) {
+			problem('expense-amount', 'Amount is not valid');
+		}
+		if (expense['expense-receipt'] && !attachmentIds.has(expense['expense-receipt'])) {
+			problem('expense-receipt', 'Receipt is not one of the attached files');
+		}
+	});
+	return errors;
+}
+
+// Check a parsed submission; returns a list of { field, message }
+function validateSubmission(claim, attachments, signature, claimForm = null) {
+	const errors = [];
+	if (!claim || typeof claim.formData !== 'object' || claim.formData === null) {
+		return [{ field: 'claim', message: 'Claim data is missing or not valid JSON' }];
+	}
+	Object.entries(REQUIRED_FIELDS).forEach(([field, message]) => {
+		if (!claim.formData[field]) errors.push({ field, message });
+	});
+	errors.push(...validatePayees(claim.formData));
+	errors.push(...validateExpenses(claim));
+	if (!claim.formData.agreement) {
+		errors.push({ field: 'agreement', message: 'Terms and conditions must be accepted' });
+	}
+	if (attachments.length === 0) {
+		errors.push({ field: 'attachments', message: 'At least one document is required' });
+	}
+	const categories = new Set((claim.attachments || []).map(file => file.category || 'other'));
+	(REQUIRED_DOCUMENTS[claim.formData.incident] || []).forEach(category => {
+		if (!categories.has(category)) errors.push({ field: 'attachments', message: `Missing required document: ${category}` });
+	});
+	attachments.forEach((file, index) => {
+		// Attachment metadata is listed in the claim in the same order as the files
+		const listed = (claim.attachments || [])[index];
+		if (listed && listed.sha256 && crypto.createHash('sha256').update(file.data).digest('hex') !== listed.sha256) {
+			errors.push({ field: 'attachments', message: `File content does not match its SHA-256 hash: ${file.filename}` });
+		}
+		if (!ALLOWED_TYPES.includes(file.type)) {
+			errors.push({ field: 'attachments', message: `Unsupported file type: ${file.filename}` });
+		} else if (detectType(file.data) !== file.type) {
+			errors.push({ field: 'attachments', message: `File content does not match its type: ${file.filename}` });
+		}
+		if (file.data.length > MAX_FILE_SIZE) {
+			errors.push({ field: 'attachments', message: `File too large: ${file.filename}` });
+		}
+	});
+	if (signature && signature.type !== 'image/png') {
+		errors.push({ field: 'signature', message: 'Signature must be a PNG image' });
+	}
+	if (claimForm && (claimForm.type !== 'application/pdf' || claimForm.data.subarray(0, 5).toString('latin1') !== '%PDF-')) {
+		errors.push({ field: 'claimForm', message: 'Claim form must be a PDF document' });
+	}
+	return errors;
+}
+
+// Status history of a claim: it moves one status further every STATUS_STEP_MS.
+// A rejected claim is never paid.
+function statusHistory(record, now = Date.now()) {
+	const statuses = ['submitted', 'under-review', 'more-info-requested', OUTCOME];
+	if (OUTCOME === 'approved') statuses.push('paid');
+	const notes = {
+		'submitted': 'Claim received',
+		'under-review': 'An adjuster is reviewing your claim',
+		'more-info-requested': 'Please provide the original medical receipts',
+		'approved': 'Claim approved',
+		'rejected': 'Claim rejected: the incident is not covered by the policy',
+		'paid': 'Payment sent to the registered bank account'
+	};
+	const receivedAt = Date.parse(record.receivedAt);
+	const reached = Math.min(statuses.length, Math.floor((now - receivedAt) / STATUS_STEP_MS) + 1);
+	return statuses.slice(0, reached).map((status, i) => ({
+		status,
+		at: new Date(receivedAt + i * STATUS_STEP_MS).toISOString(),
+		note: notes[status]
+	}));
+}
+
+async function readJson(req) {
+	try {
+		return JSON.parse((await readBody(req)).toString('utf8'));
+	} catch (e) {
+		throw Object.assign(new Error('Request body must be JSON'), { status: 400 });
+	}
+}
+
+// Look up a claim by reference number; the ID number on the claim must match
+async function handleLookupClaim(req, res) {
+	const { referenceNumber, idNumber } = await readJson(req);
+	if (!referenceNumber || !idNumber) {
+		sendJson(res, 400, {
+			error: 'Reference number and ID number are required',
+			details: [
+				!referenceNumber && { field: 'referenceNumber', message: 'Reference number is required' },
+				!idNumber && { field: 'idNumber', message: 'ID number is required' }
+			].filter(Boolean)
+		});
+		return;
+	}
+	const record = claims.get(String(referenceNumber).trim().toUpperCase());
+	const normalize = value => String(value || '').replace(/\s+/g, '').toUpperCase();
+	// Same answer for an unknown reference and a wrong ID number, so references can't be probed
+	if (!record || normalize(record.claim.formData['id-number']) !== normalize(idNumber)) {
+		sendJson(res, 404, { error: 'No claim found for this reference number and ID number' });
+		return;
+	}
+	const history = statusHistory(record);
+	sendJson(res, 200, {
+		referenceNumber: record.referenceNumber,
+		status: history[history.length - 1].status,
+		history
+	});
+}
+
+function generateReferenceNumber() {
+	const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+	return `CLM${date}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+async function handleSubmitClaim(req, res) {
+	const idempotencyKey = req.headers['idempotency-key'];
+	if (idempotencyKey && responsesByKey.has(idempotencyKey)) {
+		// Retried submission: answer with the original result instead of filing it twice
+		sendJson(res, 200, responsesByKey.get(idempotencyKey));
+		return;
+	}
+
+	if (Math.random() < FAILURE_RATE) {
+		sendJson(res, 503, { error: 'Simulated outage' });
+		return;
+	}
+
+	if (!/^multipart\/form-data/i.test(req.headers['content-type'] || '')) {
+		sendJson(res, 415, { error: 'Expected multipart/form-data' });
+		return;
+	}
+
+	const parts = parseMultipart(await readBody(req), req.headers['content-type']);
+	const claimPart = parts.find(p => p.name === 'claim');
+	let claim = null;
+	try {
+		claim = claimPart ? JSON.parse(claimPart.data.toString('utf8')) : null;
+	} catch (e) {
+		claim = null;
+	}
+	const attachments = parts.filter(p => p.name === 'attachments' && p.filename !== null);
+	const signature = parts.find(p => p.name === 'signature') || null;
+	const claimForm = parts.find(p => p.name === 'claimForm') || null;
+
+	const errors = validateSubmission(claim, attachments, signature, claimForm);
+	if (errors.length > 0) {
+		sendJson(res, 422, { error: 'Claim validation failed', details: errors });
+		return;
+	}
+
+	const result = {
+		referenceNumber: generateReferenceNumber(),
+		status: 'submitted',
+		receivedAt: new Date().toISOString()
+	};
+	claims.set(result.referenceNumber, {
+		...result,
+		claim,
+		attachments: attachments.map(f => ({ name: f.filename, type: f.type, size: f.data.length })),
+		hasSignature: Boolean(signature),
+		hasClaimForm: Boolean(claimForm)
+	});
+	if (idempotencyKey) responsesByKey.set(idempotencyKey, result);
+	console.log(`Claim ${result.referenceNumber} received with ${attachments.length} attachment(s)`);
+	sendJson(res, 201, result);
+}
+
+function serveStatic(req, res, pathname) {
+	let relative;
+	try {
+		relative = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+	} catch (e) {
+		sendJson(res, 400, { error: 'Malformed URL encoding' });
+		return;
+	}
+	const segments = relative.split(/[\\/]/);
+	// No dotfiles or dot-directories (.git, .env, ..), and nothing outside the app's files
+	if (relative.includes('\0') || segments.some(segment => segment.startsWith('.'))) {
+		sendJson(res, 403, { error: 'Forbidden' });
+		return;
+	}
+	const served = segments.length === 1 ? STATIC_FILES.includes(relative) : STATIC_DIRECTORIES.includes(segments[0]);
+	const filePath = path.resolve(STATIC_ROOT, relative);
+	if (!served || !filePath.startsWith(STATIC_ROOT + path.sep)) {
+		sendJson(res, 404, { error: 'Not found' });
+		return;
+	}
+	fs.readFile(filePath, (err, data) => {
+		if (err) {
+			sendJson(res, 404, { error: 'Not found' });
+			return;
+		}
+		res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+		res.end(data);
+	});
+}
+
+const server = http.createServer(async (req, res) => {
+	const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+	try {
+		if (pathname === '/api/claims') {
+			if (req.method !== 'POST') {
+				sendJson(res, 405, { error: 'Method not allowed' });
+				return;
+			}
+			await handleSubmitClaim(req, res);
+			return;
+		}
+		if (pathname === '/api/claims/lookup') {
+			if (req.method !== 'POST') {
+				sendJson(res, 405, { error: 'Method not allowed' });
+				return;
+			}
+			await handleLookupClaim(req, res);
+			return;
+		}
+		if (pathname.startsWith('/api/')) {
+			sendJson(res, 404, { error: 'Unknown API endpoint' });
+			return;
+		}
+		serveStatic(req, res, pathname);
+	} catch (error) {
+		console.error('Request failed:', error);
+		if (!res.headersSent) sendJson(res, error.status || 500, { error: error.message || 'Internal server error' });
+	}
+});
+
+if (require.main === module) {
+	server.listen(PORT, () => {
+		console.log(`Mock claims API and app running at http://localhost:${PORT}/`);
+	});
+}
+
+module.exports = { server, parseMultipart, validateSubmission, statusHistory, claims };
@@ -1,15 +1,134 @@
-// Simple service worker to respond to /claim-data fetch with data from client via message channel
+// Service worker: precaches the app shell for offline use, responds to /claim-data fetch with
+// data from client via message channel (redacted unless ?mode=full is asked for and the page
+// allows it, see js/redaction.js), and sends claims queued while offline (see js/submission-queue.js)
+importScripts('js/idb.js', 'js/api-client.js', 'js/submission-queue.js');
+
+// Bump CACHE_VERSION whenever a file in APP_SHELL changes, so clients pick up the new version
+const CACHE_VERSION = 'v27';
+const CACHE_PREFIX = 'claim-app-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+const APP_SHELL = [
+  './',
+  'index.html',
+  'drafts.html',
+  'success.html',
+  'status.html',
+  'file-comparison-tool.html',
+  'manifest.webmanifest',
+  'css/styles.css',
+  'css/file-comparison-tool.css',
+  'js/dom.js',
+  'js/idb.js',
+  'js/encryption.js',
+  'js/claim-model.js',
+  'js/redaction.js',
+  'js/drafts.js',
+  'js/pin-lock.js',
+  'js/api-client.js',
+  'js/submission-queue.js',
+  'js/bank-card.js',
+  'js/id-number.js',
+  'js/money.js',
+  'js/coverage.js',
+  'js/claim-schema.js',
+  'js/validation.js',
+  'js/payee-list.js',
+  'js/expense-list.js',
+  'js/claim-pdf.js',
+  'js/zip.js',
+  'js/claim-export.js',
+  'js/claim-import.js',
+  'js/file-inspector.js',
+  'js/image-processing.js',
+  'js/attachment-viewer.js',
+  'js/ocr.js',
+  'js/pwa.js',
+  'js/i18n.js',
+  'js/locales/en.js',
+  'js/locales/zh-CN.js',
+  'js/app.js',
+  'js/drafts-page.js',
+  'js/success-page.js',
+  'js/status-page.js',
+  'js/file-comparison-tool.js',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'vendor/fontawesome/6.0.0/css/all.min.css',
+  'vendor/fontawesome/6.0.0/webfonts/fa-solid-900.woff2',
+  'vendor/fontawesome/6.0.0/webfonts/fa-regular-400.woff2',
+  'vendor/fontawesome/6.0.0/webfonts/fa-brands-400.woff2',
+  'vendor/fontawesome/6.0.0/webfonts/fa-v4compatibility.woff2'
+];
+
+// Font Awesome is loaded from this CDN; when it can't be reached, the local copy is served instead
+const FONT_AWESOME_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/';
+const FONT_AWESOME_LOCAL = 'vendor/fontawesome/6.0.0/';
+
+// The OCR engine (see js/ocr.js) is too large to precache; its files are cached on
+// first use instead, in a cache of their own that app shell updates leave alone
+const OCR_ENGINE_PATH = '/vendor/tesseract/';
+const OCR_CACHE_NAME = 'claim-ocr-engine-v5';
+
 self.addEventListener('install', event => {
-  self.skipWaiting();
+  // The new version waits until the page accepts the update prompt (SKIP_WAITING message)
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)));
 });
 
 self.addEventListener('activate', event => {
-  event.waitUntil(self.clients.claim());
+  event.waitUntil((async () => {
+    // Remove app shell caches from previous versions
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
 });
 
-// Handle fetch for /claim-data
+// Precached app shell first (ignoring ?claim=<id>), then the network
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: true });
+  return cached || fetch(request);
+}
+
+// CDN first, then the local Font Awesome copy
+async function fontAwesomeWithFallback(request) {
+  try {
+    return await fetch(request);
+  } catch (e) {
+    const localUrl = new URL(FONT_AWESOME_LOCAL + request.url.slice(FONT_AWESOME_CDN.length), self.registration.scope);
+    const cached = await caches.match(localUrl.href, { cacheName: CACHE_NAME });
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+// OCR engine files from their cache, else from the network (and kept for next time)
+async function ocrEngineCached(request) {
+  const cache = await caches.open(OCR_CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+}
+
+// Handle fetch for /claim-data, Font Awesome, the OCR engine and the app shell
 self.addEventListener('fetch', event => {
   const url = new URL(event.request.url);
+  if (event.request.method === 'GET' && url.origin === self.location.origin && url.pathname.includes(OCR_ENGINE_PATH)) {
+    event.respondWith(ocrEngineCached(event.request));
+    return;
+  }
+  if (event.request.method === 'GET' && event.request.url.startsWith(FONT_AWESOME_CDN)) {
+    event.respondWith(fontAwesomeWithFallback(event.request));
+    return;
+  }
+  if (event.request.method === 'GET' && url.origin === self.location.origin && url.pathname !== '/claim-data' && !url.pathname.includes('/api/')) {
+    event.respondWith(cacheFirst(event.request));
+    return;
+  }
   if (url.pathname === '/claim-data') {
     event.respondWith((async () => {
       try {
@@ -22,7 +141,13 @@ self.addEventListener('fetch', event => {
             const timeout = setTimeout(() => reject('timeout'), 1500);
             msgChannel.port1.onmessage = event => {
               clearTimeout(timeout);
-              if (event.data && event.data.type === 'CLAIM_DATA_RESPONSE') {
+              if (event.data && event.data.type === 'CLAIM_DATA_RESPONSE' && event.data.error) {
+                // Full data asked for where the page does not allow it
+                resolve(new Response(JSON.stringify({ error: event.data.error }), {
+                  status: 403,
+                  headers: { 'Content-Type': 'application/json' }
+                }));
+              } else if (event.data && event.data.type === 'CLAIM_DATA_RESPONSE') {
                 resolve(new Response(JSON.stringify(event.data.data), {
                   headers: { 'Content-Type': 'application/json' }
                 }));
@@ -31,7 +156,7 @@ self.addEventListener('fetch', event => {
               }
             };
           });
-          client.postMessage({ type: 'REQUEST_CLAIM_DATA' }, [msgChannel.port2]);
+          client.postMessage({ type: 'REQUEST_CLAIM_DATA', mode: url.searchParams.get('mode') || 'redacted' }, [msgChannel.port2]);
           return await responsePromise;
         }
         return new Response(JSON.stringify({ error: 'no-client' }), { status: 500, headers: { 'Content-Type': 'application/json' }});
@@ -41,3 +166,32 @@ self.addEventListener('fetch', event => {
     })());
   }
 });
+
+// Tell every open page about a queued submission's progress
+async function broadcastSubmissionStatus(entry) {
+  const allClients = await self.clients.matchAll({ includeUncontrolled: true });
+  allClients.forEach(client => client.postMessage({ type: 'SUBMISSION_STATUS', entry }));
+}
+
+// Send queued claims. Rejects while some are still waiting, so Background Sync retries later.
+async function processSubmissionQueue() {
+  const pending = await SubmissionQueue.process(broadcastSubmissionStatus);
+  if (pending > 0) throw new Error(`${pending} claim submission(s) still queued`);
+}
+
+self.addEventListener('sync', event => {
+  if (event.tag === SubmissionQueue.syncTag) {
+    event.waitUntil(processSubmissionQueue());
+  }
+});
+
+self.addEventListener('message', event => {
+  // The page accepted the "new version available" prompt
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+  // Pages ask for a flush on load and when they come back online (covers browsers without Background Sync)
+  if (event.data && event.data.type === 'FLUSH_SUBMISSION_QUEUE') {
+    event.waitUntil(processSubmissionQueue().catch(e => console.warn('Submission queue flush:', e.message)));
+  }
+});
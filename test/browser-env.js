@@ -0,0 +1,143 @@
+// === Browser environment for the tests ===
+// The app's scripts are plain browser scripts sharing globals, so the tests load them
+// into a vm context, in page order, with in-memory stand-ins for the browser APIs they
+// touch at load time or in the code under test: localStorage, IndexedDB and a document
+// that never finishes loading (so no page setup runs).
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// localStorage backed by a Map
+function memoryStorage() {
+	const items = new Map();
+	return {
+		get length() { return items.size; },
+		key: i => [...items.keys()][i] ?? null,
+		getItem: key => (items.has(key) ? items.get(key) : null),
+		setItem: (key, value) => { items.set(key, String(value)); },
+		removeItem: key => { items.delete(key); },
+		clear: () => items.clear()
+	};
+}
+
+// The part of IndexedDB that IDBHelper and SubmissionQueue use: open/upgrade, object
+// stores with a key path, and put/get/getAll/getAllKeys/delete/clear. Requests answer
+// asynchronously and a transaction completes once its requests (and the ones they
+// queue) have answered.
+// records(dbName, storeName) returns a store's Map of key -> record, for inspection.
+function memoryIndexedDB() {
+	const databases = new Map();
+
+	const names = list => ({ contains: name => list.includes(name) });
+
+	function transaction(stores, storeNames) {
+		let pending = 0;
+		const tx = { oncomplete: null, onerror: null };
+		const settle = () => setTimeout(() => {
+			if (pending === 0 && tx.oncomplete) tx.oncomplete();
+		});
+		const request = run => {
+			const req = { result: undefined, error: null, onsuccess: null, onerror: null };
+			pending++;
+			setTimeout(() => {
+				req.result = run();
+				if (req.onsuccess) req.onsuccess({ target: req });
+				pending--;
+				settle();
+			});
+			return req;
+		};
+		tx.objectStore = name => {
+			if (!storeNames.includes(name)) throw new Error(`Store not in transaction: ${name}`);
+			const { keyPath, records } = stores[name];
+			return {
+				put: value => request(() => { records.set(value[keyPath], { ...value }); return value[keyPath]; }),
+				get: key => request(() => (records.has(key) ? { ...records.get(key) } : undefined)),
+				getAll: () => request(() => [...records.values()].map(record => ({ ...record }))),
+				getAllKeys: () => request(() => [...records.keys()]),
+				delete: key => request(() => { records.delete(key); }),
+				clear: () => request(() => { records.clear(); })
+			};
+		};
+		settle();
+		return tx;
+	}
+
+	function open(name, version) {
+		const req = { result: null, error: null, transaction: null, onupgradeneeded: null, onsuccess: null, onerror: null };
+		setTimeout(() => {
+			if (!databases.has(name)) databases.set(name, { version: 0, stores: {} });
+			const entry = databases.get(name);
+			const db = {
+				get objectStoreNames() { return names(Object.keys(entry.stores)); },
+				createObjectStore(storeName, { keyPath }) {
+					const indexes = [];
+					entry.stores[storeName] = { keyPath, records: new Map(), indexes };
+					return { indexNames: names(indexes), createIndex: indexName => { indexes.push(indexName); } };
+				},
+				transaction: (storeNames, mode) => transaction(entry.stores, [].concat(storeNames), mode),
+				close() {}
+			};
+			req.result = db;
+			if (version > entry.version) {
+				const oldVersion = entry.version;
+				entry.version = version;
+				if (req.onupgradeneeded) req.onupgradeneeded({ oldVersion, newVersion: version });
+			}
+			if (req.onsuccess) req.onsuccess({ target: req });
+		});
+		return req;
+	}
+
+	return {
+		open,
+		records: (dbName, storeName) => databases.get(dbName).stores[storeName].records
+	};
+}
+
+// A context with the browser globals the scripts expect, and the given scripts (paths
+// from the repository root) run in it. Returns { context, get(name) } where get()
+// reads a script's top-level binding (const and class declarations are not properties
+// of the global object).
+function loadScripts(files, globals = {}) {
+	const context = vm.createContext({
+		console,
+		setTimeout,
+		clearTimeout,
+		setInterval,
+		clearInterval,
+		queueMicrotask,
+		atob,
+		btoa,
+		Blob,
+		URL,
+		TextEncoder,
+		TextDecoder,
+		crypto: globalThis.crypto,
+		navigator: { languages: ['en'], language: 'en' },
+		localStorage: memoryStorage(),
+		indexedDB: memoryIndexedDB(),
+		document: {
+			readyState: 'loading',
+			documentElement: {},
+			addEventListener() {}
+		},
+		...globals
+	});
+	context.window = context;
+	context.self = context;
+	for (const file of files) {
+		const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+		vm.runInContext(source, context, { filename: file });
+	}
+	return {
+		context,
+		get: name => vm.runInContext(name, context)
+	};
+}
+
+module.exports = { loadScripts, memoryStorage, memoryIndexedDB };
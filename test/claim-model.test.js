@@ -0,0 +1,109 @@
+// ClaimModel.migrate(): saved drafts and exported claims of every older version are
+// upgraded one version at a time, each migration producing exactly the next version.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./browser-env');
+
+const ClaimModel = () => loadScripts(['js/claim-model.js']).get('ClaimModel');
+
+// Compare across the vm context boundary, where objects have the context's prototypes
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// A version 1 draft: flat form keys, the old incident key and base64 attachment data
+const VERSION_1 = {
+	formData: {
+		'applicantType': 'self',
+		'insured-name': 'Li Lei',
+		'accident-situation': 'ordinary-illness',
+		'illness-hospital': 'Peking Union Medical College Hospital',
+		'payeeType': 'self',
+		'payee-name': 'Li Lei',
+		'account-relationship': 'self',
+		'bank-card': '6222020000000000000',
+		'bank-name': 'citic-bank',
+		'agreement': true,
+		'legacy-note': 'kept'
+	},
+	uploadedFiles: [{ id: 'file-1', name: 'receipt.png', size: 12, type: 'image/png', data: 'data:image/png;base64,AAAA' }],
+	currentStep: 2
+};
+
+const VERSION_2 = {
+	currentStep: 2,
+	schemaVersion: 2,
+	claim: {
+		policy: {},
+		insured: { relationship: 'self', name: 'Li Lei' },
+		incident: { type: 'ordinary-illness', hospital: 'Peking Union Medical College Hospital' },
+		payee: { type: 'self', name: 'Li Lei', relationship: 'self' },
+		payment: { method: 'bank-card', bankCard: '6222020000000000000', bankName: 'citic-bank' },
+		declaration: { agreed: true },
+		attachments: [{ id: 'file-1', name: 'receipt.png', size: 12, type: 'image/png', data: 'data:image/png;base64,AAAA' }],
+		'legacy-note': 'kept'
+	}
+};
+
+const VERSION_4_PAYEE = {
+	type: 'self',
+	name: 'Li Lei',
+	relationship: 'self',
+	share: '100',
+	payment: { method: 'bank-card', bankCard: '6222020000000000000', bankName: 'citic-bank' }
+};
+
+test('migrating version 1 produces exactly the version 2 shape', () => {
+	const model = ClaimModel();
+	assert.deepStrictEqual(plain(model.migrations[1].call(model, VERSION_1)), VERSION_2);
+});
+
+test('version 1 is upgraded through every later migration', () => {
+	const model = ClaimModel();
+	const steps = [];
+	Object.keys(model.migrations).forEach(version => {
+		const migration = model.migrations[version];
+		model.migrations[version] = function(data) {
+			steps.push(Number(version));
+			return migration.call(this, data);
+		};
+	});
+
+	const upgraded = plain(model.migrate(VERSION_1));
+
+	assert.deepStrictEqual(steps, [1, 2, 3]);
+	assert.strictEqual(upgraded.schemaVersion, model.schemaVersion);
+	const { payee, payment, ...sections } = VERSION_2.claim;
+	assert.deepStrictEqual(upgraded.claim, {
+		...sections,
+		payout: { split: 'percent' },
+		payees: [VERSION_4_PAYEE],
+		expenses: []
+	});
+});
+
+test('version 1 and version 2 of the same claim end up the same', () => {
+	const model = ClaimModel();
+	assert.deepStrictEqual(plain(model.migrate(VERSION_1)), plain(model.migrate(VERSION_2)));
+});
+
+test('a version 1 draft without payee details gets no payee', () => {
+	const model = ClaimModel();
+	const upgraded = model.migrate({ formData: { 'insured-name': 'Li Lei' } });
+	assert.deepStrictEqual(plain(upgraded.claim.payees), []);
+});
+
+test('the migrated claim loads into the current form', () => {
+	const model = ClaimModel();
+	const { formData, unknownFields } = model.toForm(model.migrate(VERSION_1).claim);
+	assert.deepStrictEqual(plain(formData.payees), [{
+		'payeeType': 'self',
+		'payee-name': 'Li Lei',
+		'account-relationship': 'self',
+		'payee-share': '100',
+		'bank-card': '6222020000000000000',
+		'bank-name': 'citic-bank'
+	}]);
+	assert.strictEqual(formData.incident, 'ordinary-illness');
+	assert.deepStrictEqual(plain(unknownFields), ['legacy-note']);
+});
@@ -0,0 +1,80 @@
+// ClaimPdf.build(): the claim form of a fixed claim (test/fixtures/claim-form.json)
+// matches the snapshots in test/snapshots/, byte for byte, whatever the clock and
+// random numbers say. After an intended change to the form, rewrite the snapshots with
+//   UPDATE_SNAPSHOTS=1 node --test test/claim-pdf.test.js
+// and review the new PDFs before committing them.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadScripts } = require('./browser-env');
+
+const SCRIPTS = ['js/i18n.js', 'js/locales/en.js', 'js/locales/zh-CN.js', 'js/money.js', 'js/coverage.js', 'js/claim-pdf.js'];
+const LOCALES = ['en', 'zh-CN'];
+
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'claim-form.json'), 'utf8'));
+const snapshotPath = locale => path.join(__dirname, 'snapshots', `claim-form.${locale}.pdf`);
+
+// The build arguments of the fixture, in the given locale
+function buildArgs(locale) {
+	const { signature, ...args } = fixture;
+	return { ...args, signature: { ...signature, jpeg: new Uint8Array(signature.jpeg) }, locale };
+}
+
+// A page whose clock and random numbers start from `seed`
+function pageAt(seed) {
+	const now = Date.UTC(2030, 0, 1) + seed * 86400000;
+	class SeededDate extends Date {
+		constructor(...args) {
+			super(...(args.length > 0 ? args : [now]));
+		}
+		static now() {
+			return now;
+		}
+	}
+	const page = loadScripts(SCRIPTS, { Date: SeededDate });
+	vm.runInContext(`Math.random = (() => { let x = ${seed}; return () => (x = (x * 9301 + 49297) % 233280) / 233280; })();`, page.context);
+	return page;
+}
+
+const build = (page, locale) => Buffer.from(page.get('ClaimPdf').build(buildArgs(locale)));
+
+// Line number and both versions of the first line that differs, for a readable failure
+function firstDifference(actual, expected) {
+	const a = actual.toString('latin1').split('\n');
+	const b = expected.toString('latin1').split('\n');
+	const i = a.findIndex((line, n) => line !== b[n]);
+	const line = i < 0 ? a.length : i;
+	return `line ${line + 1}:\n  actual:   ${JSON.stringify(a[line])}\n  expected: ${JSON.stringify(b[line])}`;
+}
+
+for (const locale of LOCALES) {
+	test(`claim form in ${locale} matches its snapshot`, () => {
+		const pdf = build(pageAt(1), locale);
+		if (process.env.UPDATE_SNAPSHOTS) fs.writeFileSync(snapshotPath(locale), pdf);
+		const expected = fs.readFileSync(snapshotPath(locale));
+		assert.ok(pdf.equals(expected), `PDF differs from ${path.relative(process.cwd(), snapshotPath(locale))} at ${firstDifference(pdf, expected)}`);
+	});
+
+	test(`claim form in ${locale} does not depend on the clock or random numbers`, () => {
+		const first = build(pageAt(1), locale);
+		const later = build(pageAt(400), locale);
+		assert.ok(first.equals(later), `PDF changed with the clock at ${firstDifference(later, first)}`);
+	});
+}
+
+test('claim form has no timestamps or ids other than the claim\'s own', () => {
+	const text = build(pageAt(1), 'en').toString('latin1');
+
+	// The creation date is the claim's generatedAt
+	assert.deepStrictEqual(text.match(/\/CreationDate \(D:\d+Z\)/g), ['/CreationDate (D:20260103050000Z)']);
+	// Dates and years printed on the form all come from the fixture
+	const years = new Set(text.match(/\b20\d\d\b/g));
+	assert.deepStrictEqual([...years], ['2026']);
+	// No document ID in the trailer, and the only id is the claim's
+	assert.ok(!/\/ID\s*\[/.test(text), 'trailer has a document /ID');
+	assert.deepStrictEqual(text.match(/claim-\d+-[a-z0-9]+/g), [fixture.claimId]);
+});
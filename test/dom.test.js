@@ -0,0 +1,32 @@
+// SafeDom: URLs that elements may load or link to.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./browser-env');
+
+const SafeDom = () => loadScripts(['js/dom.js'], {
+	document: { baseURI: 'http://localhost/index.html', readyState: 'loading', addEventListener() {} }
+}).get('SafeDom');
+
+// An element that records the attributes set on it
+const element = () => ({ attributes: {}, setAttribute(name, value) { this.attributes[name] = value; } });
+
+test('accepts relative, http(s), blob, mailto and tel URLs', () => {
+	const dom = SafeDom();
+	['receipt.png', '#agreement', 'https://example.com/claim', 'blob:http://localhost/1b4e28ba', 'mailto:claims@example.com', 'tel:+8613800000000']
+		.forEach(url => assert.ok(dom.isSafeUrl(url), url));
+});
+
+test('refuses data: and script URLs in every URL attribute', () => {
+	const dom = SafeDom();
+	const urls = ['data:text/html,<script>alert(1)</script>', 'DATA:image/png;base64,AAAA', 'javascript:alert(1)', ' javascript:alert(1)'];
+	urls.forEach(url => assert.ok(!dom.isSafeUrl(url), url));
+	dom.urlAttributes.forEach(name => {
+		urls.forEach(url => assert.throws(() => dom.setAttribute(element(), name, url), { name: 'TypeError' }, `${name}=${url}`));
+	});
+	// Other attributes take any text
+	const target = element();
+	dom.setAttribute(target, 'title', urls[0]);
+	assert.strictEqual(target.attributes.title, urls[0]);
+});
@@ -0,0 +1,49 @@
+// ClaimEncryption.unlock(): a PIN entered on a page opened while encryption was on,
+// after another window turned it off or erased the data.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, memoryStorage, memoryIndexedDB } = require('./browser-env');
+
+const SCRIPTS = ['js/idb.js', 'js/encryption.js', 'js/claim-model.js', 'js/drafts.js'];
+const PIN = '482913';
+
+// Two windows of the app on one device, with encryption turned on in the first
+async function encryptedDevice() {
+	const device = { localStorage: memoryStorage(), indexedDB: memoryIndexedDB() };
+	const first = loadScripts(SCRIPTS, device);
+	first.context.localStorage.setItem('insurance-claim-data:claim-1', JSON.stringify(first.get('DraftStore').emptyData()));
+	await first.get('ClaimEncryption').setPin(PIN);
+	const second = loadScripts(SCRIPTS, device);
+	assert.ok(second.get('ClaimEncryption').locked());
+	return { device, first, second };
+}
+
+test('a wrong PIN counts as a failed attempt', async () => {
+	const { second } = await encryptedDevice();
+	const result = await second.get('ClaimEncryption').unlock('000000');
+	assert.deepStrictEqual({ ...result }, { unlocked: false, attemptsLeft: 4 });
+});
+
+test('unlocking after encryption was turned off elsewhere reports it and opens the page', async () => {
+	const { first, second } = await encryptedDevice();
+	await first.get('ClaimEncryption').disable();
+
+	for (const pin of [PIN, '000000']) {
+		const encryption = second.get('ClaimEncryption');
+		assert.deepStrictEqual({ ...await encryption.unlock(pin) }, { unlocked: true, turnedOff: true });
+		assert.strictEqual(encryption.locked(), false);
+	}
+	// The claim, decrypted by the other window, reads as it is
+	assert.strictEqual(JSON.parse(second.get('DraftStore').readText('claim-1')).schemaVersion, second.get('ClaimModel').schemaVersion);
+});
+
+test('unlocking after the data was erased elsewhere reports it', async () => {
+	const { first, second } = await encryptedDevice();
+	await first.get('ClaimEncryption').wipe();
+
+	const encryption = second.get('ClaimEncryption');
+	assert.deepStrictEqual({ ...await encryption.unlock(PIN) }, { unlocked: true, turnedOff: true });
+	assert.strictEqual(second.get('DraftStore').readText('claim-1'), null);
+});
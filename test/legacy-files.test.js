@@ -0,0 +1,141 @@
+// DataStorage.migrateLegacyFiles(): attachments saved by older versions as base64
+// data URLs move into the IndexedDB file store when the claim page loads, and loading
+// the migrated claim again changes nothing.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { loadScripts, memoryStorage, memoryIndexedDB } = require('./browser-env');
+
+// The scripts of index.html that the claim page needs to load a draft, in page order
+const SCRIPTS = [
+	'js/dom.js',
+	'js/i18n.js',
+	'js/locales/en.js',
+	'js/idb.js',
+	'js/encryption.js',
+	'js/claim-model.js',
+	'js/drafts.js',
+	'js/pin-lock.js',
+	'js/money.js',
+	'js/claim-schema.js',
+	'js/payee-list.js',
+	'js/expense-list.js',
+	'js/claim-export.js',
+	'js/file-inspector.js',
+	'js/image-processing.js',
+	'js/ocr.js',
+	'js/app.js'
+];
+
+const CLAIM_ID = 'claim-legacy';
+const DATA_KEY = `insurance-claim-data:${CLAIM_ID}`;
+const RECEIPT = Buffer.from('receipt scan bytes');
+const INVOICE = Buffer.from('%PDF-1.4 invoice');
+const sha256 = bytes => crypto.createHash('sha256').update(bytes).digest('hex');
+const bytesOf = async blob => Buffer.from(await blob.arrayBuffer());
+
+// A version 1 draft: flat formData, and attachments carrying their content as base64 `data`
+function legacyDevice() {
+	const localStorage = memoryStorage();
+	localStorage.setItem(DATA_KEY, JSON.stringify({
+		formData: { 'insured-name': 'Li Lei', incident: 'ordinary-illness' },
+		uploadedFiles: [
+			{ id: 'file-receipt', name: 'receipt.png', size: RECEIPT.length, type: 'image/png', category: 'receipt', data: `data:image/png;base64,${RECEIPT.toString('base64')}` },
+			{ name: 'invoice.pdf', size: INVOICE.length, type: 'application/pdf', data: `data:application/pdf;base64,${INVOICE.toString('base64')}` }
+		],
+		currentStep: 3
+	}));
+	return { localStorage, indexedDB: memoryIndexedDB() };
+}
+
+// Open the claim page on the draft, with the device's storage; the page has no form
+// elements, so only the data is loaded
+function openClaimPage(device) {
+	const url = `http://localhost/index.html?claim=${CLAIM_ID}`;
+	return loadScripts(SCRIPTS, {
+		...device,
+		// Keep the page's progress logging out of the test output
+		console: { ...console, log() {} },
+		location: { href: url, search: new URL(url).search },
+		history: { replaceState() {} },
+		URLSearchParams,
+		// Autosave must not keep the test process running
+		setInterval: (fn, ms) => setInterval(fn, ms).unref(),
+		document: {
+			readyState: 'loading',
+			documentElement: {},
+			addEventListener() {},
+			getElementById: () => null,
+			querySelector: () => null,
+			querySelectorAll: () => []
+		}
+	});
+}
+
+const storedFiles = device => device.indexedDB.records('osworld_claims_db', 'files');
+
+test('moves base64 attachments into the IndexedDB file store', async () => {
+	const device = legacyDevice();
+	const page = openClaimPage(device);
+
+	assert.strictEqual(await page.get('storage').ready, 2);
+
+	const files = page.get('AppState').uploadedFiles;
+	assert.strictEqual(files.length, 2);
+	files.forEach(file => assert.ok(!('data' in file), `${file.name} still has data`));
+
+	const [receipt, invoice] = files;
+	assert.deepStrictEqual(
+		{ id: receipt.id, name: receipt.name, size: receipt.size, type: receipt.type, category: receipt.category, sha256: receipt.sha256 },
+		{ id: 'file-receipt', name: 'receipt.png', size: RECEIPT.length, type: 'image/png', category: 'receipt', sha256: sha256(RECEIPT) }
+	);
+	// A file saved without an id gets one
+	assert.match(invoice.id, /^file-/);
+	assert.strictEqual(invoice.sha256, sha256(INVOICE));
+
+	const stored = storedFiles(device);
+	assert.deepStrictEqual([...stored.keys()].sort(), [invoice.id, receipt.id].sort());
+	assert.strictEqual(stored.get(receipt.id).claimId, CLAIM_ID);
+	assert.strictEqual(stored.get(receipt.id).file.type, 'image/png');
+	assert.deepStrictEqual(await bytesOf(await page.get('IDBHelper').getFile(receipt.id)), RECEIPT);
+	assert.deepStrictEqual(await bytesOf(await page.get('IDBHelper').getFile(invoice.id)), INVOICE);
+
+	// The saved draft refers to the files by id and no longer holds their content
+	const saved = JSON.parse(device.localStorage.getItem(DATA_KEY));
+	assert.strictEqual(saved.schemaVersion, page.get('ClaimModel').schemaVersion);
+	assert.deepStrictEqual(saved.claim.attachments.map(file => file.id), [receipt.id, invoice.id]);
+	assert.ok(saved.claim.attachments.every(file => !('data' in file)));
+});
+
+test('loading the migrated claim again changes nothing', async () => {
+	const device = legacyDevice();
+	const first = openClaimPage(device);
+	await first.get('storage').ready;
+	const files = JSON.stringify(first.get('AppState').uploadedFiles);
+	const stored = new Map(storedFiles(device));
+	const saved = device.localStorage.getItem(DATA_KEY);
+
+	// Run again on the same page, then on a reload of it
+	assert.strictEqual(await first.get('storage').migrateLegacyFiles(), 0);
+	const reloaded = openClaimPage(device);
+	assert.strictEqual(await reloaded.get('storage').ready, 0);
+
+	assert.strictEqual(JSON.stringify(reloaded.get('AppState').uploadedFiles), files);
+	assert.deepStrictEqual(storedFiles(device), stored);
+	assert.strictEqual(device.localStorage.getItem(DATA_KEY), saved);
+});
+
+test('adds the content hash to stored files saved without one', async () => {
+	const device = legacyDevice();
+	const page = openClaimPage(device);
+	await page.get('storage').ready;
+	const files = page.get('AppState').uploadedFiles;
+	delete files[0].sha256;
+
+	assert.strictEqual(await page.get('storage').migrateLegacyFiles(), 1);
+
+	assert.strictEqual(files[0].sha256, sha256(RECEIPT));
+	assert.strictEqual(storedFiles(device).size, 2);
+});
@@ -0,0 +1,75 @@
+// SubmissionQueue.process(): a claim waiting in the IndexedDB outbox is sent, and once
+// sent its entry keeps only the status and the server's answer, none of the claim.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./browser-env');
+
+const SCRIPTS = ['js/idb.js', 'js/api-client.js', 'js/submission-queue.js'];
+const CLAIM_ID = 'claim-queued';
+
+// A page whose fetch() answers every request with `respond(url, options)`, a Response
+function pageWithServer(respond) {
+	const requests = [];
+	const page = loadScripts(SCRIPTS, {
+		FormData,
+		AbortController,
+		fetch: async (url, options) => {
+			requests.push({ url, options });
+			return respond(url, options);
+		}
+	});
+	return { page, requests };
+}
+
+// Parts of a signed claim with one attachment, as the claim page queues them
+function claimParts(page) {
+	return page.get('buildClaimParts')({
+		claimId: CLAIM_ID,
+		formData: { 'insured-name': 'Li Lei', 'id-number': '11010119900307777X', 'claimSignature': 'data:image/png;base64,AAAA' },
+		files: [{ meta: { id: 'file-1', name: 'receipt.png', size: 7, type: 'image/png' }, blob: new Blob(['receipt'], { type: 'image/png' }) }],
+		signature: new Blob(['signature'], { type: 'image/png' }),
+		claimForm: new Blob(['%PDF-1.4 11010119900307777X'], { type: 'application/pdf' })
+	});
+}
+
+const json = (status, body) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+test('a sent entry keeps no claim content', async () => {
+	const receipt = { referenceNumber: 'CLM-20260103-0001', status: 'submitted', receivedAt: '2026-01-03T05:00:00.000Z' };
+	const { page, requests } = pageWithServer(() => json(201, receipt));
+	const queue = page.get('SubmissionQueue');
+	const parts = claimParts(page);
+	await queue.enqueue(CLAIM_ID, parts, 'api');
+
+	assert.strictEqual(await queue.process(), 0);
+
+	// Everything the claim page queued was sent
+	assert.strictEqual(requests.length, 1);
+	const body = requests[0].options.body;
+	assert.deepStrictEqual([...body.keys()], ['claim', 'attachments', 'signature', 'claimForm']);
+	assert.strictEqual(requests[0].options.headers['Idempotency-Key'], CLAIM_ID);
+
+	// and none of it is left in the outbox
+	const sent = await queue.get(CLAIM_ID);
+	assert.strictEqual(sent.status, 'sent');
+	assert.deepStrictEqual(JSON.parse(JSON.stringify(sent.result)), receipt);
+	Object.keys(parts).forEach(name => {
+		const value = sent[name];
+		assert.ok(value === null || (Array.isArray(value) && value.length === 0), `sent entry still holds ${name}`);
+	});
+});
+
+test('an entry whose sending fails keeps its claim for the next try', async () => {
+	const { page } = pageWithServer(() => json(422, { error: 'Invalid claim', details: [{ field: 'phone', message: 'Required' }] }));
+	const queue = page.get('SubmissionQueue');
+	await queue.enqueue(CLAIM_ID, claimParts(page), 'api');
+
+	assert.strictEqual(await queue.process(), 0);
+
+	const failed = await queue.get(CLAIM_ID);
+	assert.strictEqual(failed.status, 'failed');
+	assert.strictEqual(failed.lastError.status, 422);
+	assert.ok(failed.claim && failed.attachments.length === 1 && failed.signature && failed.claimForm);
+});